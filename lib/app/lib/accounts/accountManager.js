@@ -0,0 +1,203 @@
+/*
+  Keeps several accounts signed in side by side. Each account gets its own namespaced storage
+  and its own manager graph (http, model, sync and auth managers), so keys, tokens, the sync token,
+  the server url and items never leak between accounts. Switching the active account doesn't sign out
+  of the previous one; its data stays in place until the account is removed.
+
+  The crypto layer (SFJS) is stateless and shared by all accounts.
+
+  options:
+  {
+    createManagers: (account, {timeout, interval}) => {httpManager, modelManager, syncManager, authManager, reencryptionManager, sharingManager, attachmentManager, archiveManager},
+      to construct the graph yourself (i.e to use subclasses or a different transport). Defaults to SFAccountManager.createManagers.
+    timeout, interval: passed on to the managers
+  }
+
+  Events: account:added, account:switched ({account, previousAccount}), account:removed.
+*/
+
+export class SFAccountManager {
+
+  constructor(storageManager, {createManagers, timeout, interval} = {}) {
+    this.storageManager = storageManager;
+    this.createManagers = createManagers || SFAccountManager.createManagers;
+    this.$timeout = timeout;
+    this.$interval = interval;
+
+    this.accountRecords = [];
+    this.graphs = {};
+    this.activeAccountId = null;
+    this.eventHandlers = [];
+  }
+
+  addEventHandler(handler) {
+    this.eventHandlers.push(handler);
+    return handler;
+  }
+
+  removeEventHandler(handler) {
+    _.pull(this.eventHandlers, handler);
+  }
+
+  notifyEvent(event, data) {
+    for(var handler of this.eventHandlers) {
+      handler(event, data || {});
+    }
+  }
+
+  /* Builds the default manager graph for an account, wired to the account's namespaced storage. */
+  static createManagers(account, {timeout, interval} = {}) {
+    let storageManager = account.storageManager;
+
+    let httpManager = new SFHttpManager(timeout);
+    let modelManager = new SFModelManager(timeout);
+    let authManager = new SFAuthManager(storageManager, httpManager, null, timeout);
+    let syncManager = new SFSyncManager(modelManager, storageManager, httpManager, timeout, interval);
+
+    syncManager.setKeyRequestHandler(async () => {
+      let offline = !(await authManager.passcodeManager.getItem("jwt"));
+      return {
+        keys: await authManager.keyring(),
+        auth_params: offline ? null : await authManager.getAuthParams(),
+        offline: offline
+      };
+    })
+
+    let reencryptionManager = new SFReencryptionManager(modelManager, syncManager, authManager);
+    let sharingManager = new SFSharingManager(modelManager, syncManager, authManager, httpManager);
+    let fileEndpoint = new SFHttpFileEndpoint(httpManager, () => {
+      return storageManager.getItem("server");
+    });
+    let attachmentManager = new SFAttachmentManager(modelManager, syncManager, fileEndpoint);
+    let archiveManager = new SFArchiveManager(modelManager);
+
+    return {httpManager, modelManager, syncManager, authManager, reencryptionManager, sharingManager, attachmentManager, archiveManager};
+  }
+
+  /* Loads the saved list of accounts and which one was active. */
+  async load() {
+    let saved = await this.storageManager.getItem(SFAccountManager.StorageKey);
+    let state = saved ? JSON.parse(saved) : {};
+    this.accountRecords = state.accounts || [];
+    this.activeAccountId = state.activeAccountId || null;
+    if(!this.getAccountRecord(this.activeAccountId)) {
+      this.activeAccountId = this.accountRecords.length > 0 ? this.accountRecords[0].uuid : null;
+    }
+    return this.accounts();
+  }
+
+  async save() {
+    return this.storageManager.setItem(SFAccountManager.StorageKey, JSON.stringify({
+      accounts: this.accountRecords,
+      activeAccountId: this.activeAccountId
+    }));
+  }
+
+  getAccountRecord(uuid) {
+    return _.find(this.accountRecords, {uuid: uuid});
+  }
+
+  /* Returns {uuid, label} for each account. Use account(uuid) to get its managers. */
+  accounts() {
+    return this.accountRecords.map((record) => {
+      return {uuid: record.uuid, label: record.label};
+    })
+  }
+
+  /*
+    Returns the account with its managers, constructing them the first time they're needed:
+    {uuid, label, storageManager, httpManager, modelManager, syncManager, authManager, reencryptionManager, sharingManager, attachmentManager, archiveManager}
+  */
+  account(uuid) {
+    let record = this.getAccountRecord(uuid);
+    if(!record) {
+      return null;
+    }
+    if(!this.graphs[uuid]) {
+      let account = {
+        uuid: record.uuid,
+        label: record.label,
+        storageManager: new SFNamespacedStorageManager(this.storageManager, record.namespace)
+      };
+      let managers = this.createManagers(account, {timeout: this.$timeout, interval: this.$interval});
+      this.graphs[uuid] = Object.assign(account, managers);
+    }
+    return this.graphs[uuid];
+  }
+
+  activeAccount() {
+    return this.activeAccountId ? this.account(this.activeAccountId) : null;
+  }
+
+  /* The first account added becomes the active one. */
+  async addAccount({label} = {}) {
+    let uuid = await SFJS.crypto.generateUUID();
+    let record = {uuid: uuid, label: label || null, namespace: `account-${uuid}`};
+    this.accountRecords.push(record);
+    if(!this.activeAccountId) {
+      this.activeAccountId = uuid;
+    }
+    await this.save();
+
+    let account = this.account(uuid);
+    this.notifyEvent("account:added", {account: account});
+    return account;
+  }
+
+  async setAccountLabel(uuid, label) {
+    let record = this.getAccountRecord(uuid);
+    if(!record) {
+      throw `Unknown account: ${uuid}`;
+    }
+    record.label = label;
+    if(this.graphs[uuid]) {
+      this.graphs[uuid].label = label;
+    }
+    return this.save();
+  }
+
+  /* Makes another account active. The previous account stays signed in and keeps its local data. */
+  async switchAccount(uuid) {
+    if(!this.getAccountRecord(uuid)) {
+      throw `Unknown account: ${uuid}`;
+    }
+    if(uuid == this.activeAccountId) {
+      return this.activeAccount();
+    }
+    let previousAccount = this.activeAccount();
+    this.activeAccountId = uuid;
+    await this.save();
+
+    let account = this.activeAccount();
+    this.notifyEvent("account:switched", {account: account, previousAccount: previousAccount});
+    return account;
+  }
+
+  /* Signs out of the account and deletes its local data. If it was active, the next remaining account becomes active. */
+  async removeAccount(uuid) {
+    let record = this.getAccountRecord(uuid);
+    if(!record) {
+      return;
+    }
+    let account = this.account(uuid);
+    await account.syncManager.handleSignout();
+    account.modelManager.handleSignout();
+    account.attachmentManager.handleSignout();
+    await account.authManager.signout(true);
+
+    let wasActive = this.activeAccountId == uuid;
+    _.pull(this.accountRecords, record);
+    delete this.graphs[uuid];
+    if(wasActive) {
+      this.activeAccountId = this.accountRecords.length > 0 ? this.accountRecords[0].uuid : null;
+    }
+    await this.save();
+
+    this.notifyEvent("account:removed", {account: account});
+    if(wasActive && this.activeAccountId) {
+      this.notifyEvent("account:switched", {account: this.activeAccount(), previousAccount: account});
+    }
+  }
+}
+
+SFAccountManager.StorageKey = "accounts";
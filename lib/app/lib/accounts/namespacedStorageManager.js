@@ -0,0 +1,120 @@
+/*
+  Wraps another storage manager so that several accounts can share the same underlying storage.
+  Keys are stored as "<namespace>:<key>" and models with their uuid prefixed the same way,
+  so clear(), clearAllModels() and clearAllData() only ever remove this namespace's data.
+
+  Implements the SFStorageManager interface. It wraps rather than subclasses a storage manager,
+  since the underlying storage is platform specific.
+*/
+
+export class SFNamespacedStorageManager {
+
+  constructor(storageManager, namespace) {
+    this.storageManager = storageManager;
+    this.namespace = namespace;
+    this.prefix = `${namespace}:`;
+    this.keyIndexUpdate = Promise.resolve();
+  }
+
+  namespacedKey(key) {
+    return this.prefix + key;
+  }
+
+  /* Simple Key/Value Storage */
+
+  async setItem(key, value) {
+    await this.storageManager.setItem(this.namespacedKey(key), value);
+    return this.updateStoredKeys((keys) => {
+      if(!keys.includes(key)) {
+        keys.push(key);
+        return keys;
+      }
+    })
+  }
+
+  async getItem(key) {
+    return this.storageManager.getItem(this.namespacedKey(key));
+  }
+
+  async removeItem(key) {
+    await this.storageManager.removeItem(this.namespacedKey(key));
+    return this.updateStoredKeys((keys) => {
+      if(keys.includes(key)) {
+        return _.pull(keys, key);
+      }
+    })
+  }
+
+  async clear() {
+    for(var key of await this.storedKeys()) {
+      await this.storageManager.removeItem(this.namespacedKey(key));
+    }
+    await this.storageManager.removeItem(this.namespacedKey(SFNamespacedStorageManager.KeyIndexKey));
+  }
+
+  /* The underlying storage can't enumerate keys, so we keep track of the ones we've set. */
+  async storedKeys() {
+    let index = await this.storageManager.getItem(this.namespacedKey(SFNamespacedStorageManager.KeyIndexKey));
+    return index ? JSON.parse(index) : [];
+  }
+
+  /* Updates are chained so that concurrent setItem calls don't overwrite each other's index changes. */
+  updateStoredKeys(modify) {
+    this.keyIndexUpdate = this.keyIndexUpdate.then(async () => {
+      let keys = modify(await this.storedKeys());
+      if(keys) {
+        await this.storageManager.setItem(this.namespacedKey(SFNamespacedStorageManager.KeyIndexKey), JSON.stringify(keys));
+      }
+    }).catch((error) => {
+      console.error("Unable to update storage key index", error);
+    })
+    return this.keyIndexUpdate;
+  }
+
+  /*
+  Model Storage
+  */
+
+  async getAllModels() {
+    let models = await this.storageManager.getAllModels() || [];
+    return models.filter((model) => {
+      return model.uuid && model.uuid.startsWith(this.prefix);
+    }).map((model) => {
+      return Object.assign({}, model, {uuid: model.uuid.substring(this.prefix.length)});
+    })
+  }
+
+  async saveModel(item) {
+    return this.saveModels([item]);
+  }
+
+  async saveModels(items) {
+    return this.storageManager.saveModels(items.map((item) => {
+      return Object.assign({}, item, {uuid: this.prefix + item.uuid});
+    }));
+  }
+
+  async deleteModel(item) {
+    return this.storageManager.deleteModel(Object.assign({}, item, {uuid: this.prefix + item.uuid}));
+  }
+
+  async clearAllModels() {
+    let models = await this.storageManager.getAllModels() || [];
+    for(var model of models) {
+      if(model.uuid && model.uuid.startsWith(this.prefix)) {
+        await this.storageManager.deleteModel(model);
+      }
+    }
+  }
+
+  /* General */
+
+  async clearAllData() {
+    return Promise.all([
+      this.clear(),
+      this.clearAllModels()
+    ])
+  }
+}
+
+SFNamespacedStorageManager.KeyIndexKey = "__keys";
@@ -0,0 +1,410 @@
+/*
+  Exports items to password protected archives, and imports them back.
+
+  Unlike SFModelManager.getJSONDataForItems, whose encrypted exports are tied to the account's password, an archive
+  is encrypted with a password chosen for the export, using its own nonce and cost. The items, along with a manifest
+  of their counts and checksums, are encrypted as a single item (see SFItemTransformer), optionally gzip compressed first:
+
+  {
+    archive: {uuid, content, enc_item_key, auth_hash},
+    auth_params: {identifier, pw_nonce, pw_cost, pw_memory, version}
+  }
+
+  Where content decrypts to {manifest, items}, or {compression: "gzip", data} with data the base64 compressed
+  JSON of {manifest, items}. The manifest is:
+
+  {created_at, item_count, content_types: {<content_type>: count}, checksums: {<uuid>: sha256 of the item's JSON}}
+
+  Importing decrypts and checks the whole archive against its manifest before any item is mapped.
+
+  Backup files, {items, auth_params} as exported by SFModelManager.getJSONDataForItems, can be imported too. Their items
+  are either decrypted (plain or 000 base64 content), or encrypted with 001 to 003 using keys derived from the account's
+  password and the file's auth_params.
+
+  Imports happen in two steps: prepareImport() reads a file and reports what importing it would do, without changing
+  anything, and commitImport() imports it once the user has confirmed. confirmAndImport() does both, confirming through
+  the alert manager. Files from other apps are converted by the importer registry (see SFImporterRegistry), and imported
+  the same way with prepareFileImport().
+*/
+
+export class SFArchiveManager {
+
+  constructor(modelManager, alertManager) {
+    this.modelManager = modelManager;
+    this.alertManager = alertManager || new SFAlertManager();
+    this.importerRegistry = new SFImporterRegistry();
+  }
+
+  /* Compression uses CompressionStream, available in modern browsers and Node 18 and up. */
+  supportsCompression() {
+    return typeof globalScope.CompressionStream !== 'undefined' && typeof globalScope.Response !== 'undefined';
+  }
+
+  /*
+    options:
+    {
+      items: the items to export. Defaults to all items.
+      cost: the key derivation cost. Defaults to, and can't be lower than, the minimum for the version.
+      version: the protocol version to encrypt with. Defaults to the library's version.
+      compress: whether to gzip the items before encrypting them.
+    }
+    Resolves with {data}, the archive as a JSON string, or with {error}.
+  */
+  async exportArchive(password, {items, cost, version, compress} = {}) {
+    if(!password) {
+      return {error: {message: "A password is required to export an encrypted archive."}};
+    }
+    version = version || SFJS.version();
+    if(!SFJS.supportedVersions().includes(version)) {
+      return {error: {message: `Archives can't be encrypted with version ${version} on this platform.`}};
+    }
+    let minimum = SFJS.costMinimumForVersion(version);
+    if(cost && cost < minimum) {
+      return {error: {message: `The archive's cost must be at least ${minimum}.`}};
+    }
+    let maximum = SFJS.costMaximumForVersion(version);
+    if(cost && maximum && cost > maximum) {
+      return {error: {message: `The archive's cost can't be more than ${maximum}.`}};
+    }
+    if(compress && !this.supportsCompression()) {
+      return {error: {message: "Compression isn't supported on this platform."}};
+    }
+
+    let exported = await Promise.all((items || this.modelManager.allItems).map((item) => {
+      return new SFItemParams(item).paramsForExportFile();
+    }));
+    var content = {manifest: await this.createManifest(exported), items: exported};
+    if(compress) {
+      content = {compression: "gzip", data: await this.compress(JSON.stringify(content))};
+    }
+
+    let archive = {uuid: await SFJS.crypto.generateUUID()};
+    let authParams = {
+      identifier: archive.uuid,
+      pw_nonce: await SFJS.crypto.generateRandomKey(256),
+      pw_cost: cost || minimum,
+      version: version
+    };
+    if(version == "004") {
+      authParams.pw_memory = SFJS.memoryMinimumForVersion(version);
+    }
+    let keys = await SFJS.crypto.computeEncryptionKeysForUser(password, authParams);
+    let encryptable = {uuid: archive.uuid, createContentJSONFromProperties: () => {return content}};
+    Object.assign(archive, await SFJS.itemTransformer.encryptItem(encryptable, keys, authParams));
+
+    return {data: JSON.stringify({archive: archive, auth_params: authParams}, null, 2 /* pretty print */)};
+  }
+
+  async createManifest(items) {
+    let manifest = {created_at: new Date(), item_count: items.length, content_types: {}, checksums: {}};
+    for(var item of items) {
+      manifest.content_types[item.content_type] = (manifest.content_types[item.content_type] || 0) + 1;
+      manifest.checksums[item.uuid] = await SFJS.crypto.sha256(JSON.stringify(item));
+    }
+    return manifest;
+  }
+
+  /* Whether data, an archive's JSON string or parsed JSON, is a password protected archive. */
+  isArchive(data) {
+    if(typeof data === 'string') {
+      try {
+        data = JSON.parse(data);
+      } catch (e) {
+        return false;
+      }
+    }
+    return !!(data && data.archive && data.auth_params);
+  }
+
+  /* Whether a file's key derivation parameters are above the maximum this platform will derive keys with. */
+  exceedsMaximumCost(authParams) {
+    let maximum = SFJS.costMaximumForVersion(authParams.version);
+    let memoryMaximum = SFJS.memoryMaximumForVersion(authParams.version);
+    return !!((maximum && authParams.pw_cost > maximum) || (memoryMaximum && authParams.pw_memory > memoryMaximum));
+  }
+
+  /*
+    Decrypts an archive and checks it against its manifest, without mapping anything.
+    Resolves with {manifest, items}, or with {error}.
+  */
+  async readArchive(data, password) {
+    let invalid = {error: {message: "This file isn't a valid encrypted archive."}};
+    if(typeof data === 'string') {
+      try {
+        data = JSON.parse(data);
+      } catch (e) {
+        return invalid;
+      }
+    }
+    if(!this.isArchive(data) || typeof data.archive.content !== 'string') {
+      return invalid;
+    }
+
+    let authParams = data.auth_params;
+    if(!SFJS.supportedVersions().includes(authParams.version)) {
+      return {error: {message: `This archive was encrypted with version ${authParams.version}, which isn't supported on this platform.`}};
+    }
+    let minimum = SFJS.costMinimumForVersion(authParams.version);
+    let memoryMinimum = SFJS.memoryMinimumForVersion(authParams.version);
+    if(!(authParams.pw_cost >= minimum) || (memoryMinimum && !(authParams.pw_memory >= memoryMinimum))) {
+      return {error: {message: "This archive's encryption parameters are insecure."}};
+    }
+    if(this.exceedsMaximumCost(authParams)) {
+      return {error: {message: "This archive's encryption parameters exceed what this platform supports."}};
+    }
+
+    let keys = await SFJS.crypto.computeEncryptionKeysForUser(password, authParams);
+    let archive = _.pick(data.archive, ["uuid", "content", "enc_item_key", "auth_hash"]);
+    await SFJS.itemTransformer.decryptItem(archive, keys);
+    if(archive.errorDecrypting !== false) {
+      return {error: {message: "Unable to decrypt the archive. Make sure the password is correct."}};
+    }
+
+    var content;
+    try {
+      content = JSON.parse(archive.content);
+      if(content.compression) {
+        if(content.compression !== "gzip" || !this.supportsCompression()) {
+          return {error: {message: "This archive is compressed in a way that isn't supported on this platform."}};
+        }
+        content = JSON.parse(await this.decompress(content.data));
+      }
+    } catch (e) {
+      console.error("Error reading archive", e);
+      return invalid;
+    }
+
+    let error = await this.validateContent(content);
+    if(error) {
+      return {error: {message: `The archive is corrupt: ${error}`}};
+    }
+    return {manifest: content.manifest, items: content.items};
+  }
+
+  /* Returns a description of the first problem found with the archive's content, or null if it matches its manifest. */
+  async validateContent(content) {
+    let manifest = content && content.manifest;
+    let items = content && content.items;
+    if(!manifest || !Array.isArray(items)) {
+      return "its manifest or items are missing.";
+    }
+    if(items.length !== manifest.item_count) {
+      return `it contains ${items.length} items, but its manifest lists ${manifest.item_count}.`;
+    }
+
+    let counts = {};
+    let uuids = [];
+    for(var item of items) {
+      if(!item || !item.uuid || uuids.includes(item.uuid)) {
+        return "an item is missing its uuid, or appears more than once.";
+      }
+      uuids.push(item.uuid);
+      counts[item.content_type] = (counts[item.content_type] || 0) + 1;
+      if(!manifest.checksums || manifest.checksums[item.uuid] !== await SFJS.crypto.sha256(JSON.stringify(item))) {
+        return `the checksum of item ${item.uuid} doesn't match.`;
+      }
+    }
+    let contentTypes = manifest.content_types || {};
+    let allContentTypes = _.uniq(Object.keys(counts).concat(Object.keys(contentTypes)));
+    if(allContentTypes.find((contentType) => {return counts[contentType] !== contentTypes[contentType]})) {
+      return "its item counts don't match its manifest.";
+    }
+    return null;
+  }
+
+  /*
+    Reads data, an archive or a backup file as a JSON string or parsed JSON, and compares its items with the local ones.
+    Nothing is imported. Resolves with a report, to pass on to commitImport(), or with {error}:
+    {
+      manifest: the archive's manifest, for archives
+      new: items that don't exist locally, or that couldn't be decrypted locally
+      identical: items that exist locally with the same content, which are skipped
+      conflicting: items that exist locally with different content, which are imported as conflicted copies
+      undecryptable: items that couldn't be decrypted, which are skipped
+      collisions: items whose uuid is used by a local item of another content type, or by an earlier item in the file,
+        which are imported with a new uuid
+    }
+    Deleted items are left out.
+  */
+  async prepareImport(data, password) {
+    let invalid = {error: {message: "This file isn't a valid backup."}};
+    if(typeof data === 'string') {
+      try {
+        data = JSON.parse(data);
+      } catch (e) {
+        return invalid;
+      }
+    }
+
+    if(this.isArchive(data)) {
+      let result = await this.readArchive(data, password);
+      if(result.error) {
+        return result;
+      }
+      return this.createImportReport(result.items, [], {manifest: result.manifest});
+    }
+
+    if(!data || !Array.isArray(data.items)) {
+      return invalid;
+    }
+
+    let items = _.cloneDeep(data.items.filter((item) => {return item && !item.deleted}));
+    let encrypted = items.filter((item) => {
+      return typeof item.content === 'string' && !item.content.startsWith("000");
+    });
+
+    var keys;
+    if(encrypted.length > 0) {
+      let authParams = data.auth_params;
+      if(!authParams || !SFJS.supportedVersions().includes(authParams.version)) {
+        return {error: {message: "This backup's encryption version isn't supported on this platform."}};
+      }
+      if(!password) {
+        return {error: {message: "This backup is encrypted. Enter the password of the account it was exported from."}};
+      }
+      if(!SFJS.supportsPasswordDerivationCost(authParams.pw_cost) || this.exceedsMaximumCost(authParams)) {
+        return {error: {message: "This backup was encrypted on a platform with higher security capabilities than this browser supports."}};
+      }
+      keys = await SFJS.crypto.computeEncryptionKeysForUser(password, authParams);
+      if(!keys) {
+        return invalid;
+      }
+    }
+
+    await SFJS.itemTransformer.decryptMultipleItems(items, keys);
+
+    var decrypted = [], undecryptable = [];
+    for(var item of items) {
+      if(!item.errorDecrypting && typeof item.content === 'string') {
+        try {
+          item.content = JSON.parse(item.content);
+        } catch (e) {
+          item.errorDecrypting = true;
+        }
+      }
+      if(item.errorDecrypting || typeof item.content !== 'object') {
+        undecryptable.push(item);
+      } else {
+        decrypted.push(_.omit(item, ["enc_item_key", "auth_hash", "auth_params", "errorDecrypting", "errorDecryptingValueChanged"]));
+      }
+    }
+
+    if(encrypted.length > 0 && encrypted.every((item) => {return undecryptable.includes(item)})) {
+      return {error: {message: "Unable to decrypt the backup. Make sure the password is correct."}};
+    }
+
+    return this.createImportReport(decrypted, undecryptable);
+  }
+
+  /*
+    Converts files from other apps (see SFImporterRegistry.convert) and compares the resulting items with the local ones.
+    Resolves with a report like prepareImport's, with skipped, the names of the files that couldn't be imported.
+  */
+  async prepareFileImport(files) {
+    let {items, skipped} = await this.importerRegistry.convert(files);
+    return this.createImportReport(items, [], {skipped: skipped});
+  }
+
+  async createImportReport(items, undecryptable, report = {}) {
+    Object.assign(report, {new: [], identical: [], conflicting: [], undecryptable: undecryptable, collisions: []});
+
+    var uuids = [];
+    for(var item of items) {
+      if(!item.uuid) {
+        item.uuid = await SFJS.crypto.generateUUID();
+      }
+      let existing = this.modelManager.findItem(item.uuid);
+      if(uuids.includes(item.uuid) || (existing && existing.content_type !== item.content_type)) {
+        report.collisions.push(item);
+      } else if(!existing || existing.errorDecrypting) {
+        report.new.push(item);
+      } else if(existing.isItemContentEqualWith(this.modelManager.createItem(_.cloneDeep(item), true))) {
+        report.identical.push(item);
+      } else {
+        report.conflicting.push(item);
+      }
+      uuids.push(item.uuid);
+    }
+    return report;
+  }
+
+  /* Imports the items of a report from prepareImport(). Resolves with the imported items. */
+  async commitImport(report) {
+    if(report.committed) {
+      return [];
+    }
+    report.committed = true;
+
+    let items = _.cloneDeep(report.new.concat(report.conflicting));
+    for(var collision of _.cloneDeep(report.collisions)) {
+      collision.uuid = await SFJS.crypto.generateUUID();
+      items.push(collision);
+    }
+    return this.modelManager.importItems(items);
+  }
+
+  /*
+    Imports data, an archive or a backup file, without confirmation.
+    Resolves with {manifest, items}, where manifest is the archive's manifest and items are the imported items, or with {error}.
+  */
+  async importArchive(data, password) {
+    let report = await this.prepareImport(data, password);
+    if(report.error) {
+      return report;
+    }
+    return {manifest: report.manifest, items: await this.commitImport(report)};
+  }
+
+  /*
+    Prepares an import and asks the user to confirm it, describing what it'll do.
+    Resolves with {report, items}, or with {error}, which has no message if the user cancelled.
+  */
+  async confirmAndImport(data, password) {
+    let report = await this.prepareImport(data, password);
+    if(report.error) {
+      return report;
+    }
+
+    var text = `${report.new.length + report.collisions.length} new items will be imported`;
+    if(report.conflicting.length > 0) {
+      text += `, and ${report.conflicting.length} items that differ from yours will be imported as copies`;
+    }
+    text += ".";
+    if(report.identical.length > 0) {
+      text += ` ${report.identical.length} items you already have will be skipped.`;
+    }
+    if(report.undecryptable.length > 0) {
+      text += ` ${report.undecryptable.length} items couldn't be decrypted and will be skipped.`;
+    }
+
+    var cancelled = false;
+    await this.alertManager.confirm({title: "Import", text: text, confirmButtonText: "Import"}).catch(() => {
+      cancelled = true;
+    })
+    if(cancelled) {
+      return {error: {}};
+    }
+    return {report: report, items: await this.commitImport(report)};
+  }
+
+  /* Resolves with the base64 gzip of text. */
+  async compress(text) {
+    let stream = new Blob([text]).stream().pipeThrough(new CompressionStream("gzip"));
+    let bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+    var binary = "";
+    for(var i = 0; i < bytes.length; i++) {
+      binary += String.fromCharCode(bytes[i]);
+    }
+    return globalScope.btoa(binary);
+  }
+
+  async decompress(base64) {
+    let binary = globalScope.atob(base64);
+    let bytes = new Uint8Array(binary.length);
+    for(var i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    let stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("gzip"));
+    return new Response(stream).text();
+  }
+}
@@ -0,0 +1,95 @@
+/*
+  Converts files from other apps into items, which are then imported like a backup (see SFArchiveManager.prepareFileImport),
+  through SFModelManager.importItems. Each file is handled by the first registered importer that can import it
+  (see SFImporter). Markdown, Evernote (ENEX) and plain text importers are registered by default. Importers registered
+  later take precedence, so that they can replace the default ones.
+
+  Notes become items of content type Note. Each distinct tag title becomes an item of content type Tag,
+  which references the notes it was set on.
+*/
+
+export class SFImporterRegistry {
+
+  constructor() {
+    this.importers = [];
+    for(var importer of [new SFPlainTextImporter(), new SFEnexImporter(), new SFMarkdownImporter()]) {
+      this.register(importer);
+    }
+  }
+
+  register(importer) {
+    this.importers.unshift(importer);
+    return importer;
+  }
+
+  unregister(importer) {
+    _.pull(this.importers, importer);
+  }
+
+  importerForFile(file) {
+    return this.importers.find((importer) => {return importer.canImport(file)});
+  }
+
+  /*
+    files: [{name, content}] (see SFImporter). Hidden files and files in hidden folders, like .obsidian, are skipped.
+    Resolves with {items, skipped}, where skipped are the names of the files that no importer could import.
+  */
+  async convert(files) {
+    var notes = [], skipped = [];
+    for(var file of files) {
+      let hidden = file.name.split("/").find((part) => {return part.startsWith(".")});
+      let importer = !hidden && this.importerForFile(file);
+      if(!importer) {
+        skipped.push(file.name);
+        continue;
+      }
+      try {
+        notes = notes.concat(await importer.parse(file));
+      } catch (e) {
+        console.error("Error importing file", file.name, e);
+        skipped.push(file.name);
+      }
+    }
+    return {items: await this.createItems(notes), skipped: skipped};
+  }
+
+  async createItems(notes) {
+    var items = [];
+    let tags = Object.create(null);
+
+    for(var note of notes) {
+      let item = {
+        uuid: await SFJS.crypto.generateUUID(),
+        content_type: "Note",
+        content: {title: note.title || "", text: note.text || "", references: []}
+      };
+      let createdAt = this.parseDate(note.created_at);
+      if(createdAt) {
+        item.created_at = createdAt;
+        item.updated_at = this.parseDate(note.updated_at) || createdAt;
+      }
+      items.push(item);
+
+      for(var title of _.uniq((note.tags || []).map((tag) => {return tag.trim()}))) {
+        if(title.length == 0) {
+          continue;
+        }
+        if(!tags[title]) {
+          tags[title] = {uuid: await SFJS.crypto.generateUUID(), content_type: "Tag", content: {title: title, references: []}};
+        }
+        tags[title].content.references.push({uuid: item.uuid, content_type: item.content_type});
+      }
+    }
+
+    return items.concat(Object.values(tags));
+  }
+
+  /* An ISO date string, or null if value isn't a date. */
+  parseDate(value) {
+    if(!value) {
+      return null;
+    }
+    let date = new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+  }
+}
@@ -0,0 +1,41 @@
+/*
+  Converts files from other apps into notes. Subclasses implement canImport and parse, and are registered with
+  SFImporterRegistry.
+
+  Files are {name, content}, where name is the file's path relative to the imported folder (i.e webkitRelativePath
+  in browsers), and content is its text.
+*/
+
+export class SFImporter {
+
+  /* Whether this importer handles file. */
+  canImport(file) {
+    throw "SFImporter.canImport must be overriden by subclasses.";
+  }
+
+  /*
+    Resolves with the notes in file: [{title, text, tags, created_at, updated_at}], where tags are tag titles,
+    and dates are optional. Throws if the file can't be read.
+  */
+  async parse(file) {
+    throw "SFImporter.parse must be overriden by subclasses.";
+  }
+
+  /* The file's extension, lowercased. */
+  extension(file) {
+    let name = this.fileName(file);
+    let index = name.lastIndexOf(".");
+    return index > 0 ? name.substring(index + 1).toLowerCase() : "";
+  }
+
+  fileName(file) {
+    return file.name.split("/").pop();
+  }
+
+  /* The file's name, without its extension. */
+  baseName(file) {
+    let name = this.fileName(file);
+    let index = name.lastIndexOf(".");
+    return index > 0 ? name.substring(0, index) : name;
+  }
+}
@@ -0,0 +1,71 @@
+/*
+  Evernote exports (.enex). Each note's ENML content is converted to plain text, and its tags are kept.
+  Attachments (resources) aren't imported.
+*/
+
+export class SFEnexImporter extends SFImporter {
+
+  canImport(file) {
+    return this.extension(file) == "enex";
+  }
+
+  async parse(file) {
+    if(!/<en-export[\s>]/.test(file.content)) {
+      throw "The file isn't an Evernote export.";
+    }
+
+    return this.elements(file.content, "note").map((note) => {
+      return {
+        title: this.decodeEntities(this.element(note, "title") || ""),
+        text: this.enmlToText(this.element(note, "content") || ""),
+        tags: this.elements(note, "tag").map((tag) => {return this.decodeEntities(tag).trim()}),
+        created_at: this.parseDate(this.element(note, "created")),
+        updated_at: this.parseDate(this.element(note, "updated"))
+      }
+    });
+  }
+
+  /* The contents of each of xml's name elements, with CDATA sections unwrapped. */
+  elements(xml, name) {
+    let pattern = new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`, "g");
+    var values = [], match;
+    while((match = pattern.exec(xml))) {
+      values.push(match[1].replace(/^\s*<!\[CDATA\[([\s\S]*)\]\]>\s*$/, "$1"));
+    }
+    return values;
+  }
+
+  element(xml, name) {
+    return this.elements(xml, name)[0];
+  }
+
+  enmlToText(enml) {
+    let text = enml
+      .replace(/<\?xml[^>]*\?>|<!DOCTYPE[^>]*>/g, "")
+      .replace(/<en-todo[^>]*checked="true"[^>]*\/?>/g, "[x] ")
+      .replace(/<en-todo[^>]*\/?>/g, "[ ] ")
+      .replace(/<li[^>]*>/g, "- ")
+      .replace(/<br\s*\/?>/g, "\n")
+      .replace(/<\/(div|p|li|tr|h[1-6])>/g, "\n")
+      .replace(/<[^>]+>/g, "");
+    return this.decodeEntities(text).replace(/\n{3,}/g, "\n\n").trim();
+  }
+
+  decodeEntities(text) {
+    let entities = {lt: "<", gt: ">", quot: "\"", apos: "'", nbsp: " "};
+    return text
+      .replace(/&(lt|gt|quot|apos|nbsp);/g, (match, name) => {return entities[name]})
+      .replace(/&#x([0-9a-f]+);/gi, (match, code) => {return String.fromCharCode(parseInt(code, 16))})
+      .replace(/&#(\d+);/g, (match, code) => {return String.fromCharCode(parseInt(code, 10))})
+      .replace(/&amp;/g, "&");
+  }
+
+  /* Evernote dates are formatted as 20190101T120000Z. */
+  parseDate(value) {
+    let match = value && /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(value.trim());
+    if(!match) {
+      return null;
+    }
+    return `${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}Z`;
+  }
+}
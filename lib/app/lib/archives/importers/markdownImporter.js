@@ -0,0 +1,67 @@
+/*
+  Markdown files (.md, .markdown), i.e from a folder of notes. Front matter, if any, can set the title, tags and dates:
+
+  ---
+  title: Meeting notes
+  tags: [work, meetings]
+  created: 2019-01-01
+  ---
+
+  tags can also be a comma separated list, or a YAML list. The title defaults to the file name.
+*/
+
+export class SFMarkdownImporter extends SFImporter {
+
+  canImport(file) {
+    return ["md", "markdown"].includes(this.extension(file));
+  }
+
+  async parse(file) {
+    let {attributes, body} = this.parseFrontMatter(file.content);
+    return [{
+      title: attributes.title || this.baseName(file),
+      text: body,
+      tags: this.listValue(attributes.tags),
+      created_at: attributes.created || attributes.date,
+      updated_at: attributes.updated || attributes.modified
+    }];
+  }
+
+  /* Only the subset of YAML that front matter commonly uses: "key: value" lines, and lists of "- value" lines. */
+  parseFrontMatter(text) {
+    let match = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(\r?\n|$)/.exec(text);
+    if(!match) {
+      return {attributes: {}, body: text};
+    }
+
+    var attributes = {}, key = null;
+    for(var line of match[1].split(/\r?\n/)) {
+      let listItem = /^\s*-\s+(.*)$/.exec(line);
+      if(listItem && key) {
+        attributes[key] = (Array.isArray(attributes[key]) ? attributes[key] : []).concat([this.unquote(listItem[1])]);
+        continue;
+      }
+      let pair = /^([\w-]+):\s*(.*)$/.exec(line);
+      if(pair) {
+        key = pair[1].toLowerCase();
+        attributes[key] = this.unquote(pair[2]);
+      }
+    }
+    return {attributes: attributes, body: text.substring(match[0].length)};
+  }
+
+  /* Tags as [a, b], "a, b" or a YAML list. */
+  listValue(value) {
+    if(!value) {
+      return [];
+    }
+    if(!Array.isArray(value)) {
+      value = value.replace(/^\[|\]$/g, "").split(",");
+    }
+    return value.map((entry) => {return this.unquote(entry).replace(/^#/, "")}).filter((entry) => {return entry.length > 0});
+  }
+
+  unquote(value) {
+    return value.trim().replace(/^(["'])(.*)\1$/, "$2");
+  }
+}
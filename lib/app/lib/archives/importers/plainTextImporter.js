@@ -0,0 +1,12 @@
+/* Plain text files (.txt), each imported as a note titled with the file's name. */
+
+export class SFPlainTextImporter extends SFImporter {
+
+  canImport(file) {
+    return ["txt", "text"].includes(this.extension(file));
+  }
+
+  async parse(file) {
+    return [{title: this.baseName(file), text: file.content}];
+  }
+}
@@ -0,0 +1,227 @@
+/*
+  Uploads and downloads encrypted file attachments.
+
+  A file is split into fixed size chunks, each encrypted with AES-GCM under a key generated for the file, with its own
+  random nonce. The file's uuid, the chunk's index and the number of chunks are authenticated along with each chunk,
+  so chunks can't be swapped between files, reordered or dropped. Encrypted chunks are stored through a file endpoint
+  (see SFFileEndpoint) as nonce + ciphertext, and the key, along with the file's size and SHA-256 hash, is kept
+  in a SFFileDescriptor item that's synced like any other item.
+
+  Downloads verify each chunk as it arrives, and the size and hash of the whole file once complete.
+  If a download is interrupted, the verified chunks are kept in memory, and downloading the file again continues
+  from the first missing chunk. Once interrupted downloads take more than maxPartialDownloadBytes, the oldest are dropped.
+  Downloading a file that's already being downloaded resolves with the result of that download.
+
+  This isn't streaming: uploads and downloads hold the whole file in memory, and hash it in one go.
+
+  Requires authenticated encryption, which is only available through WebCrypto (see SFJS.crypto.supportsAEAD).
+
+  Events: attachments:upload-progress and attachments:download-progress ({descriptor, completed, total}).
+*/
+
+export class SFAttachmentManager {
+
+  constructor(modelManager, syncManager, fileEndpoint) {
+    this.modelManager = modelManager;
+    this.syncManager = syncManager;
+    this.fileEndpoint = fileEndpoint;
+
+    // The size of chunks in bytes, for files uploaded from now on
+    this.chunkSize = SFAttachmentManager.DefaultChunkSize;
+
+    // Verified chunks of interrupted downloads, by descriptor uuid, oldest first
+    this.partialDownloads = {};
+    this.maxPartialDownloadBytes = SFAttachmentManager.DefaultMaxPartialDownloadBytes;
+
+    // Downloads in progress, by descriptor uuid
+    this.downloads = {};
+
+    this.eventHandlers = [];
+  }
+
+  setFileEndpoint(fileEndpoint) {
+    this.fileEndpoint = fileEndpoint;
+  }
+
+  addEventHandler(handler) {
+    this.eventHandlers.push(handler);
+    return handler;
+  }
+
+  removeEventHandler(handler) {
+    _.pull(this.eventHandlers, handler);
+  }
+
+  notifyEvent(event, data) {
+    for(var handler of this.eventHandlers) {
+      handler(event, data || {});
+    }
+  }
+
+  /*
+    Encrypts data (an ArrayBuffer or Uint8Array) and uploads it a chunk at a time, then saves a descriptor for it.
+    Resolves with {descriptor} or {error}. If uploading fails, the chunks uploaded so far are deleted.
+  */
+  async uploadFile(data, {name, mimeType} = {}) {
+    if(!SFJS.crypto.supportsAEAD()) {
+      return {error: {message: "Attachments aren't supported on this platform."}};
+    }
+
+    let bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    let descriptor = new SFFileDescriptor({content_type: SFFileDescriptor.contentType()});
+    await descriptor.initUUID();
+
+    let key = await SFJS.crypto.generateRandomKey(256);
+    let chunkSize = this.chunkSize;
+    // Empty files still have a chunk, so that their key and hash are verified on download
+    let chunkCount = Math.max(1, Math.ceil(bytes.length / chunkSize));
+
+    for(var index = 0; index < chunkCount; index++) {
+      let chunk = bytes.subarray(index * chunkSize, (index + 1) * chunkSize);
+      let encrypted = await this.encryptChunk(chunk, key, descriptor.uuid, index, chunkCount);
+      try {
+        await this.fileEndpoint.uploadChunk(descriptor.uuid, index, encrypted);
+      } catch (e) {
+        console.error("Error uploading file chunk", e);
+        this.fileEndpoint.deleteFile(descriptor.uuid).catch((error) => {
+          console.error("Error deleting partially uploaded file", error);
+        });
+        return {error: {message: "Unable to upload the file. Please try again."}};
+      }
+      this.notifyEvent("attachments:upload-progress", {descriptor: descriptor, completed: index + 1, total: chunkCount});
+    }
+
+    Object.assign(descriptor.content, {
+      name: name || null,
+      mimeType: mimeType || null,
+      size: bytes.length,
+      chunkSize: chunkSize,
+      chunkCount: chunkCount,
+      key: key,
+      hash: await SFJS.crypto.sha256Bytes(bytes)
+    });
+    this.modelManager.addItem(descriptor);
+    descriptor.setDirty(true);
+    await this.syncManager.sync();
+
+    return {descriptor: descriptor};
+  }
+
+  /* Downloads and decrypts a file. Resolves with {data}, a Uint8Array, or with {error}. */
+  async downloadFile(descriptor) {
+    if(!SFJS.crypto.supportsAEAD()) {
+      return {error: {message: "Attachments aren't supported on this platform."}};
+    }
+
+    let uuid = descriptor.uuid;
+    if(!this.downloads[uuid]) {
+      let finished = () => {
+        delete this.downloads[uuid];
+      }
+      this.downloads[uuid] = this.performDownload(descriptor);
+      this.downloads[uuid].then(finished, finished);
+    }
+    return this.downloads[uuid];
+  }
+
+  async performDownload(descriptor) {
+    let content = descriptor.content;
+    // Taken out while downloading, so that it isn't evicted. It's kept again if the download is interrupted.
+    let chunks = this.partialDownloads[descriptor.uuid] || [];
+    delete this.partialDownloads[descriptor.uuid];
+
+    for(var index = chunks.length; index < content.chunkCount; index++) {
+      var encrypted;
+      try {
+        encrypted = await this.fileEndpoint.downloadChunk(descriptor.uuid, index);
+      } catch (e) {
+        console.error("Error downloading file chunk", e);
+        this.keepPartialDownload(descriptor.uuid, chunks);
+        return {error: {message: "Unable to download the file. Try again to continue where it stopped."}};
+      }
+
+      let chunk = await this.decryptChunk(encrypted, content.key, descriptor.uuid, index, content.chunkCount);
+      if(!chunk) {
+        this.keepPartialDownload(descriptor.uuid, chunks);
+        return {error: {message: "The file is corrupt and could not be decrypted."}};
+      }
+      chunks.push(chunk);
+      this.notifyEvent("attachments:download-progress", {descriptor: descriptor, completed: index + 1, total: content.chunkCount});
+    }
+
+    let data = new Uint8Array(chunks.reduce((length, chunk) => {return length + chunk.length}, 0));
+    var offset = 0;
+    for(var chunk of chunks) {
+      data.set(chunk, offset);
+      offset += chunk.length;
+    }
+
+    if(data.length !== content.size || await SFJS.crypto.sha256Bytes(data) !== content.hash) {
+      return {error: {message: "The file is corrupt and could not be verified."}};
+    }
+    return {data: data};
+  }
+
+  /* Keeps the verified chunks of an interrupted download, dropping the oldest ones beyond maxPartialDownloadBytes. */
+  keepPartialDownload(uuid, chunks) {
+    if(chunks.length == 0) {
+      return;
+    }
+    this.partialDownloads[uuid] = chunks;
+
+    var bytes = 0;
+    for(var id of Object.keys(this.partialDownloads).reverse()) {
+      bytes += this.partialDownloads[id].reduce((length, chunk) => {return length + chunk.length}, 0);
+      if(bytes > this.maxPartialDownloadBytes) {
+        delete this.partialDownloads[id];
+      }
+    }
+  }
+
+  /* Drops the chunks of all interrupted downloads. */
+  handleSignout() {
+    this.partialDownloads = {};
+  }
+
+  /* Deletes the file's chunks and its descriptor. Resolves with {} or {error}. */
+  async deleteFile(descriptor) {
+    try {
+      await this.fileEndpoint.deleteFile(descriptor.uuid);
+    } catch (e) {
+      console.error("Error deleting file", e);
+      return {error: {message: "Unable to delete the file. Please try again."}};
+    }
+    delete this.partialDownloads[descriptor.uuid];
+    this.modelManager.setItemToBeDeleted(descriptor);
+    await this.syncManager.sync();
+    return {};
+  }
+
+  chunkAuthenticatedData(fileId, index, chunkCount) {
+    return [fileId, index, chunkCount].join(":");
+  }
+
+  async encryptChunk(chunk, key, fileId, index, chunkCount) {
+    let nonce = (await SFJS.crypto.generateRandomKey(128)).substring(0, SFAttachmentManager.NonceLength * 2);
+    let ciphertext = await SFJS.crypto.encryptBytesAEAD(chunk, key, nonce, this.chunkAuthenticatedData(fileId, index, chunkCount));
+    let encrypted = new Uint8Array(SFAttachmentManager.NonceLength + ciphertext.length);
+    encrypted.set(SFJS.crypto.hexStringToBytes(nonce));
+    encrypted.set(ciphertext, SFAttachmentManager.NonceLength);
+    return encrypted;
+  }
+
+  /* Returns null if the chunk couldn't be authenticated. */
+  async decryptChunk(encrypted, key, fileId, index, chunkCount) {
+    if(!encrypted || encrypted.length < SFAttachmentManager.NonceLength) {
+      return null;
+    }
+    let nonce = await SFJS.crypto.arrayBufferToHexString(encrypted.subarray(0, SFAttachmentManager.NonceLength));
+    let ciphertext = encrypted.subarray(SFAttachmentManager.NonceLength);
+    return SFJS.crypto.decryptBytesAEAD(ciphertext, key, nonce, this.chunkAuthenticatedData(fileId, index, chunkCount));
+  }
+}
+
+SFAttachmentManager.DefaultChunkSize = 1024 * 1024;
+SFAttachmentManager.DefaultMaxPartialDownloadBytes = 64 * 1024 * 1024;
+// AES-GCM nonces are 96 bits
+SFAttachmentManager.NonceLength = 12;
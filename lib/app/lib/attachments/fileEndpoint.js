@@ -0,0 +1,53 @@
+/*
+  Stores the encrypted chunks of attachments for SFAttachmentManager. Chunks are Uint8Arrays, encrypted before
+  they reach the endpoint, and are identified by the uuid of their file descriptor and their index.
+  Methods reject if the chunk couldn't be stored or retrieved.
+
+  SFHttpFileEndpoint stores chunks on the server. Subclass SFFileEndpoint to store them elsewhere.
+*/
+
+export class SFFileEndpoint {
+
+  async uploadChunk(fileId, index, bytes) {
+    throw "SFFileEndpoint.uploadChunk must be overriden by subclasses.";
+  }
+
+  /* Resolves with the chunk's bytes. */
+  async downloadChunk(fileId, index) {
+    throw "SFFileEndpoint.downloadChunk must be overriden by subclasses.";
+  }
+
+  async deleteFile(fileId) {
+    throw "SFFileEndpoint.deleteFile must be overriden by subclasses.";
+  }
+}
+
+/*
+  Chunks are sent base64 encoded, since requests go through SFHttpManager as JSON:
+    POST /files/chunks {file_id, index, data}
+    GET /files/chunks {file_id, index} => {data}
+    POST /files/delete {file_id}
+*/
+export class SFHttpFileEndpoint extends SFFileEndpoint {
+
+  /* url: async () => String, the server url */
+  constructor(httpManager, url) {
+    super();
+    this.httpManager = httpManager;
+    this.url = url;
+  }
+
+  async uploadChunk(fileId, index, bytes) {
+    let data = await SFJS.crypto.arrayBufferToBase64(bytes);
+    return this.httpManager.request("post", await this.url() + "/files/chunks", {file_id: fileId, index: index, data: data});
+  }
+
+  async downloadChunk(fileId, index) {
+    let response = await this.httpManager.request("get", await this.url() + "/files/chunks", {file_id: fileId, index: index});
+    return new Uint8Array(await SFJS.crypto.base64ToArrayBuffer(response.data));
+  }
+
+  async deleteFile(fileId) {
+    return this.httpManager.request("post", await this.url() + "/files/delete", {file_id: fileId});
+  }
+}
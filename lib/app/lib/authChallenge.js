@@ -0,0 +1,27 @@
+/*
+  An additional step the server requires before completing sign in, i.e a two-factor code.
+  SFAuthManager.login resolves with {error, challenge} when the server responds with a challenge tag.
+  The UI shows challenge.message, asks the user for a value, and calls challenge.answer(value),
+  which resolves the same way login does: with the sign in response, or with another challenge
+  (i.e if the code was wrong, with the server's message).
+
+  Answering reuses the keys computed during login, so the password isn't derived again.
+*/
+
+export class SFAuthChallenge {
+
+  constructor({type, message, param, payload, respond}) {
+    this.type = type;
+    this.message = message;
+    // The sign in param the answer is sent as
+    this.param = param;
+    this.payload = payload || {};
+    this.respond = respond;
+  }
+
+  async answer(value) {
+    return this.respond({[this.param]: value});
+  }
+}
+
+SFAuthChallenge.TypeTOTP = "totp";
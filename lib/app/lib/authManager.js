@@ -4,13 +4,29 @@ export class SFAuthManager {
     SFAuthManager.DidSignOutEvent = "DidSignOutEvent";
     SFAuthManager.WillSignInEvent = "WillSignInEvent";
     SFAuthManager.DidSignInEvent = "DidSignInEvent";
+    SFAuthManager.DidRefreshSessionEvent = "DidRefreshSessionEvent";
 
     this.httpManager = httpManager;
     this.storageManager = storageManager;
+    // Keys, tokens and the session are read and written through the passcode layer
+    this.passcodeManager = new SFPasscodeManager(storageManager);
     this.alertManager = alertManager || new SFAlertManager();
     this.$timeout = timeout || setTimeout.bind(window);
 
+    // Access tokens expiring within this many milliseconds are refreshed before being used
+    this.sessionRefreshMargin = 60000;
+
     this.eventHandlers = [];
+
+    if(this.httpManager) {
+      // The token may be wrapped by the passcode layer, so requests read it through here rather than from storage
+      this.httpManager.setJWTRequestHandler(() => {
+        return this.getAccessToken();
+      })
+      this.httpManager.setSessionRefreshHandler(() => {
+        return this.refreshSession();
+      })
+    }
   }
 
   addEventHandler(handler) {
@@ -29,16 +45,60 @@ export class SFAuthManager {
   }
 
   async saveKeys(keys) {
+    // Replaced keys stay in the keyring, so that items whose keys are wrapped with them can still be decrypted
+    let existing = await this.keys();
+    if(existing && existing.mk !== keys.mk) {
+      let previousKeys = (await this.getPreviousKeys()).filter((candidate) => {
+        return candidate.mk !== keys.mk && candidate.mk !== existing.mk;
+      });
+      previousKeys.unshift({mk: existing.mk, ak: existing.ak});
+      await this.savePreviousKeys(previousKeys);
+    }
+
     this._keys = keys;
-    await this.storageManager.setItem("mk", keys.mk);
-    await this.storageManager.setItem("ak", keys.ak);
+    await this.passcodeManager.setItem("mk", keys.mk);
+    await this.passcodeManager.setItem("ak", keys.ak);
+  }
+
+  async getPreviousKeys() {
+    let value = await this.passcodeManager.getItem("previous_keys");
+    return value ? JSON.parse(value) : [];
+  }
+
+  async savePreviousKeys(previousKeys) {
+    if(previousKeys.length == 0) {
+      return this.passcodeManager.removeItem("previous_keys");
+    }
+    return this.passcodeManager.setItem("previous_keys", JSON.stringify(previousKeys));
+  }
+
+  /* The current keys along with the previous keys item keys may still be wrapped with. Null if signed out or locked. */
+  async keyring() {
+    let keys = await this.keys();
+    if(!keys) {
+      return null;
+    }
+    return SFKeyring.create(keys, await this.getPreviousKeys());
+  }
+
+  /* Drops previous keys from the keyring, once no item key is wrapped with them anymore. */
+  async removePreviousKeys(keyIds) {
+    var remaining = [];
+    for(var keys of await this.getPreviousKeys()) {
+      if(!keyIds.includes(await SFKeyring.idForKeys(keys))) {
+        remaining.push(keys);
+      }
+    }
+    return this.savePreviousKeys(remaining);
   }
 
   async signout(clearAllData) {
     this._keys = null;
     this._authParams = null;
+    this._session = null;
     if(clearAllData) {
       return this.storageManager.clearAllData().then(() => {
+        this.passcodeManager.reset();
         this.notifyEvent(SFAuthManager.DidSignOutEvent);
       })
     } else {
@@ -47,16 +107,115 @@ export class SFAuthManager {
   }
 
   async keys() {
+    if(await this.passcodeManager.isLocked()) {
+      return null;
+    }
     if(!this._keys) {
-      var mk = await this.storageManager.getItem("mk");
+      var mk = await this.passcodeManager.getItem("mk");
       if(!mk) {
         return null;
       }
-      this._keys = {mk: mk, ak: await this.storageManager.getItem("ak")};
+      this._keys = {mk: mk, ak: await this.passcodeManager.getItem("ak")};
     }
     return this._keys;
   }
 
+  /*
+    Servers that support session refresh respond to sign in with
+    {session: {access_token, refresh_token, access_expiration, refresh_expiration}}, expirations being timestamps in milliseconds.
+    Older servers respond with a single {token} that never expires.
+
+    The access token is stored as "jwt", as it has always been, and the rest of the session as "session".
+  */
+  async saveSession(response) {
+    var session = response.session;
+    if(!session) {
+      this._session = null;
+      await this.passcodeManager.removeItem("session");
+      return this.passcodeManager.setItem("jwt", response.token);
+    }
+
+    this._session = {
+      refresh_token: session.refresh_token,
+      access_expiration: session.access_expiration ? new Date(session.access_expiration).getTime() : null,
+      refresh_expiration: session.refresh_expiration ? new Date(session.refresh_expiration).getTime() : null
+    };
+    await this.passcodeManager.setItem("jwt", session.access_token);
+    return this.passcodeManager.setItem("session", JSON.stringify(this._session));
+  }
+
+  /* Returns {refresh_token, access_expiration, refresh_expiration}, or null if the session can't be refreshed. */
+  async getSession() {
+    if(await this.passcodeManager.isLocked()) {
+      return null;
+    }
+    if(!this._session) {
+      var data = await this.passcodeManager.getItem("session");
+      this._session = data ? JSON.parse(data) : null;
+    }
+    return this._session;
+  }
+
+  /*
+    Returns the access token, refreshing the session first if the token is about to expire.
+    Used as the http manager's JWT request handler, which the constructor installs.
+  */
+  async getAccessToken() {
+    var session = await this.getSession();
+    if(session && session.access_expiration && session.access_expiration - Date.now() < this.sessionRefreshMargin) {
+      await this.refreshSession();
+    }
+    return this.passcodeManager.getItem("jwt");
+  }
+
+  /*
+    Exchanges the refresh token for a new session. Resolves with whether it succeeded.
+    Concurrent calls (i.e several requests receiving a 401 at once) share a single refresh request.
+  */
+  async refreshSession() {
+    if(!this.sessionRefresh) {
+      this.sessionRefresh = this.performSessionRefresh().then((refreshed) => {
+        this.sessionRefresh = null;
+        return refreshed;
+      })
+    }
+    return this.sessionRefresh;
+  }
+
+  async performSessionRefresh() {
+    var session = await this.getSession();
+    if(!session || !session.refresh_token) {
+      return false;
+    }
+    if(session.refresh_expiration && session.refresh_expiration <= Date.now()) {
+      return false;
+    }
+
+    var url = await this.storageManager.getItem("server");
+    var params = {
+      access_token: await this.passcodeManager.getItem("jwt"),
+      refresh_token: session.refresh_token
+    };
+
+    try {
+      var response = await this.httpManager.request("post", url + "/session/refresh", params, {sessionRefresh: true});
+      if(!response || !response.session) {
+        return false;
+      }
+      // The user may have signed out in the meantime
+      if(this._session !== session) {
+        return false;
+      }
+      await this.saveSession(response);
+    } catch (error) {
+      console.error("Error refreshing session", error.response);
+      return false;
+    }
+
+    this.notifyEvent(SFAuthManager.DidRefreshSessionEvent);
+    return true;
+  }
+
   async getAuthParams() {
     if(!this._authParams) {
       var data = await this.storageManager.getItem("auth_params");
@@ -96,7 +255,7 @@ export class SFAuthManager {
         resolve(response);
       }, (response) => {
         console.error("Error getting auth params", response);
-        if(typeof response !== 'object') {
+        if(!response || typeof response !== 'object') {
           response = {error: {message: "A server error occurred while trying to sign in. Please try again."}};
         }
         resolve(response);
@@ -124,6 +283,12 @@ export class SFAuthManager {
   async login(url, email, password, strictSignin, extraParams) {
     return new Promise(async (resolve, reject) => {
 
+      // Keys can't be saved while locked, and the existing ones can't be read, so we can't tell whether we're signed in
+      if(await this.passcodeManager.isLocked()) {
+        resolve({error: {message: SFAuthManager.PasscodeLockedMessage}});
+        return;
+      }
+
       let existingKeys = await this.keys();
       if(existingKeys != null) {
         resolve({error : {message: "Cannot log in because already signed in."}});
@@ -192,16 +357,25 @@ export class SFAuthManager {
       }
 
       var minimum = SFJS.costMinimumForVersion(authParams.version);
-      if(authParams.pw_cost < minimum) {
+      var memoryMinimum = SFJS.memoryMinimumForVersion(authParams.version);
+      if(authParams.pw_cost < minimum || (memoryMinimum && !(authParams.pw_memory >= memoryMinimum))) {
         let message = "Unable to login due to insecure password parameters. Please visit standardnotes.org/help/security for more information.";
         this.unlockAndResolve(resolve, {error: {message: message}});
         return;
       }
 
+      var maximum = SFJS.costMaximumForVersion(authParams.version);
+      var memoryMaximum = SFJS.memoryMaximumForVersion(authParams.version);
+      if((maximum && authParams.pw_cost > maximum) || (memoryMaximum && authParams.pw_memory > memoryMaximum)) {
+        let message = "Unable to login because your password parameters exceed what this application supports. Please visit standardnotes.org/help/security for more information.";
+        this.unlockAndResolve(resolve, {error: {message: message}});
+        return;
+      }
+
       if(strictSignin) {
-        // Refuse sign in if authParams.version is anything but the latest version
+        // Refuse sign in if authParams.version is older than the latest version
         var latestVersion = SFJS.version();
-        if(authParams.version !== latestVersion) {
+        if(parseInt(authParams.version) < parseInt(latestVersion)) {
           let message = `Strict sign in refused server sign in parameters. The latest security version is ${latestVersion}, but your account is reported to have version ${authParams.version}. If you'd like to proceed with sign in anyway, please disable strict sign in and try again.`;
           this.unlockAndResolve(resolve, {error: {message: message}});
           return;
@@ -210,23 +384,76 @@ export class SFAuthManager {
 
       let keys = await SFJS.crypto.computeEncryptionKeysForUser(password, authParams);
 
+      let response = await this.signInWithKeys(url, email, authParams, keys, extraParams);
+      this.unlockAndResolve(resolve, response);
+    });
+  }
+
+  /*
+    Resolves with the sign in response. If the server requires an additional step, resolves with
+    {error, challenge}, where challenge is an SFAuthChallenge that resumes sign in with the same keys once answered.
+  */
+  async signInWithKeys(url, email, authParams, keys, extraParams) {
+    if(await this.passcodeManager.isLocked()) {
+      return {error: {message: SFAuthManager.PasscodeLockedMessage}};
+    }
+
+    return new Promise((resolve, reject) => {
       var requestUrl = url + "/auth/sign_in";
       var params = _.merge({password: keys.pw, email: email}, extraParams);
 
       this.httpManager.postAbsolute(requestUrl, params, async (response) => {
         this.notifyEvent(SFAuthManager.DidSignInEvent);
         await this.handleAuthResponse(response, email, url, authParams, keys);
-        this.$timeout(() => this.unlockAndResolve(resolve, response));
+        this.$timeout(() => resolve(response));
       }, (response) => {
-        console.error("Error logging in", response);
-        if(typeof response !== 'object') {
+        if(!response || typeof response !== 'object') {
           response = {error: {message: "A server error occurred while trying to sign in. Please try again."}};
         }
-        this.$timeout(() => this.unlockAndResolve(resolve, response));
+
+        let challenge = this.challengeForResponse(response, (answerParams) => {
+          return this.answerChallenge(url, email, authParams, keys, _.merge({}, extraParams, answerParams));
+        });
+        if(challenge) {
+          response.challenge = challenge;
+        } else {
+          console.error("Error logging in", response);
+        }
+        this.$timeout(() => resolve(response));
       });
+    })
+  }
+
+  challengeForResponse(response, respond) {
+    let error = response.error;
+    let type = error && SFAuthManager.ChallengeTags[error.tag];
+    if(!type) {
+      return null;
+    }
+    let payload = error.payload || {};
+    return new SFAuthChallenge({
+      type: type,
+      message: error.message,
+      param: payload.mfa_key || "mfa_code",
+      payload: payload,
+      respond: respond
     });
   }
 
+  async answerChallenge(url, email, authParams, keys, params) {
+    if(await this.keys() != null) {
+      return {error : {message: "Cannot log in because already signed in."}};
+    }
+    if(this.isLocked()) {
+      return {error : {message: "Login already in progress."}};
+    }
+
+    this.lock();
+    let response = await this.signInWithKeys(url, email, authParams, keys, params);
+    this.unlock();
+    return response;
+  }
+
   register(url, email, password) {
     return new Promise(async (resolve, reject) => {
 
@@ -249,7 +476,7 @@ export class SFAuthManager {
         this.unlockAndResolve(resolve, response);
       }, (response) => {
         console.error("Registration error", response);
-        if(typeof response !== 'object') {
+        if(!response || typeof response !== 'object') {
           response = {error: {message: "A server error occurred while trying to register. Please try again."}};
         }
         this.unlockAndResolve(resolve, response);
@@ -257,6 +484,10 @@ export class SFAuthManager {
     });
   }
 
+  /*
+    Only changes the password on the server and saves the new keys. Items stay encrypted with the previous keys;
+    SFReencryptionManager.changePassword also re-encrypts them.
+  */
   async changePassword(url, email, current_server_pw, newKeys, newAuthParams) {
     return new Promise(async (resolve, reject) => {
 
@@ -276,7 +507,7 @@ export class SFAuthManager {
         await this.handleAuthResponse(response, email, null, newAuthParams, newKeys);
         this.unlockAndResolve(resolve, response);
       }, (response) => {
-        if(typeof response !== 'object') {
+        if(!response || typeof response !== 'object') {
           response = {error: {message: "Something went wrong while changing your password. Your password was not changed. Please try again."}}
         }
         this.unlockAndResolve(resolve, response);
@@ -288,7 +519,15 @@ export class SFAuthManager {
     if(url) { await this.storageManager.setItem("server", url);}
     this._authParams = authParams;
     await this.storageManager.setItem("auth_params", JSON.stringify(authParams));
-    await this.storageManager.setItem("jwt", response.token);
+    await this.saveSession(response);
     return this.saveKeys(keys);
   }
 }
+
+SFAuthManager.PasscodeLockedMessage = "Unlock the application with your passcode before signing in.";
+
+// Error tags the server uses to require an additional sign in step, mapped to the challenge type
+SFAuthManager.ChallengeTags = {
+  "mfa-required": SFAuthChallenge.TypeTOTP,
+  "mfa-invalid": SFAuthChallenge.TypeTOTP
+};
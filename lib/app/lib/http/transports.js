@@ -0,0 +1,250 @@
+/*
+  Transports perform the actual network request on behalf of SFHttpManager. A transport implements a single method,
+  `send(request)`, where request has the following format:
+
+  {
+    verb: "get" | "post" | "patch",
+    url: String,
+    headers: Object,
+    body: String (optional),
+    signal: AbortSignal (optional),
+    timeout: Number in milliseconds (optional),
+    onHeadersReceived: Function called once the server starts responding, i.e the upload is complete (optional)
+  }
+
+  `send` returns a promise that resolves with {status, responseText, headers} for any HTTP response (including non 2xx),
+  and rejects with {status: 0, aborted, timedOut, error} if no response could be obtained.
+*/
+
+var globalScope = typeof window !== 'undefined' ? window : (typeof global !== 'undefined' ? global : null);
+
+export class SFHttpTransport {
+
+  async send(request) {
+    throw "SFHttpTransport.send must be overriden by subclasses.";
+  }
+
+  failure({aborted, timedOut, error} = {}) {
+    return {status: 0, response: null, aborted: aborted == true, timedOut: timedOut == true, error: error};
+  }
+
+  /*
+    Calls onAbort when the signal aborts, and returns a function that removes the listener.
+    Signals are duck-typed so that polyfilled AbortControllers work as well.
+  */
+  observeSignal(signal, onAbort) {
+    if(!signal) {
+      return () => {};
+    }
+    if(signal.addEventListener) {
+      signal.addEventListener("abort", onAbort);
+      return () => { signal.removeEventListener("abort", onAbort); }
+    }
+    signal.onabort = onAbort;
+    return () => { signal.onabort = null; }
+  }
+
+  parseHeaderString(string) {
+    var headers = {};
+    if(!string) {
+      return headers;
+    }
+    for(var line of string.trim().split(/[\r\n]+/)) {
+      var index = line.indexOf(":");
+      if(index > 0) {
+        headers[line.substring(0, index).trim().toLowerCase()] = line.substring(index + 1).trim();
+      }
+    }
+    return headers;
+  }
+}
+
+export class SFXHRTransport extends SFHttpTransport {
+
+  async send({verb, url, headers, body, signal, timeout, onHeadersReceived} = {}) {
+    return new Promise((resolve, reject) => {
+      if(signal && signal.aborted) {
+        reject(this.failure({aborted: true}));
+        return;
+      }
+
+      var xmlhttp = new XMLHttpRequest();
+
+      var stopObservingSignal = this.observeSignal(signal, () => {
+        xmlhttp.abort();
+      });
+
+      xmlhttp.onreadystatechange = () => {
+        if(xmlhttp.readyState == 2 && onHeadersReceived) {
+          onHeadersReceived();
+        }
+      }
+
+      xmlhttp.onload = () => {
+        stopObservingSignal();
+        resolve({
+          status: xmlhttp.status,
+          responseText: xmlhttp.responseText,
+          headers: this.parseHeaderString(xmlhttp.getAllResponseHeaders())
+        });
+      }
+
+      xmlhttp.onerror = () => {
+        stopObservingSignal();
+        reject(this.failure());
+      }
+
+      xmlhttp.ontimeout = () => {
+        stopObservingSignal();
+        reject(this.failure({timedOut: true}));
+      }
+
+      xmlhttp.onabort = () => {
+        stopObservingSignal();
+        reject(this.failure({aborted: true}));
+      }
+
+      xmlhttp.open(verb, url, true);
+
+      if(timeout) {
+        xmlhttp.timeout = timeout;
+      }
+
+      for(var key of Object.keys(headers || {})) {
+        xmlhttp.setRequestHeader(key, headers[key]);
+      }
+
+      xmlhttp.send(body);
+    });
+  }
+}
+
+export class SFFetchTransport extends SFHttpTransport {
+
+  constructor(fetchFunction) {
+    super();
+    this.fetch = fetchFunction || globalScope.fetch.bind(globalScope);
+  }
+
+  async send({verb, url, headers, body, signal, timeout, onHeadersReceived} = {}) {
+    return new Promise((resolve, reject) => {
+      if(signal && signal.aborted) {
+        reject(this.failure({aborted: true}));
+        return;
+      }
+
+      var finished = false, timedOut = false, timer;
+      var controller = globalScope.AbortController ? new globalScope.AbortController() : null;
+
+      var finish = (callback, value) => {
+        if(finished) { return; }
+        finished = true;
+        clearTimeout(timer);
+        stopObservingSignal();
+        callback(value);
+      }
+
+      // The caller's signal is forwarded to our own controller so that timeouts and aborts share a single fetch signal.
+      var stopObservingSignal = this.observeSignal(signal, () => {
+        controller && controller.abort();
+        finish(reject, this.failure({aborted: true}));
+      });
+
+      if(timeout) {
+        timer = setTimeout(() => {
+          timedOut = true;
+          controller && controller.abort();
+          finish(reject, this.failure({timedOut: true}));
+        }, timeout);
+      }
+
+      this.fetch(url, {
+        method: verb.toUpperCase(),
+        headers: headers,
+        body: body,
+        signal: controller ? controller.signal : undefined
+      }).then(async (response) => {
+        if(onHeadersReceived) {
+          onHeadersReceived();
+        }
+        var responseHeaders = {};
+        response.headers.forEach((value, key) => {
+          responseHeaders[key.toLowerCase()] = value;
+        });
+        var responseText = await response.text();
+        finish(resolve, {status: response.status, responseText: responseText, headers: responseHeaders});
+      }).catch((error) => {
+        finish(reject, this.failure({timedOut: timedOut, error: error}));
+      });
+    });
+  }
+}
+
+/*
+  For Node environments. The http and https modules must be passed in, so that browser bundles don't pull them in:
+  new SFNodeHttpTransport({http: require("http"), https: require("https")})
+*/
+export class SFNodeHttpTransport extends SFHttpTransport {
+
+  constructor({http, https} = {}) {
+    super();
+    this.http = http;
+    this.https = https;
+  }
+
+  async send({verb, url, headers, body, signal, timeout, onHeadersReceived} = {}) {
+    return new Promise((resolve, reject) => {
+      if(signal && signal.aborted) {
+        reject(this.failure({aborted: true}));
+        return;
+      }
+
+      var module = url.startsWith("https:") ? this.https : this.http;
+      if(!module) {
+        reject(this.failure({error: `No module supplied to SFNodeHttpTransport for ${url}`}));
+        return;
+      }
+
+      var finished = false;
+      var finish = (callback, value) => {
+        if(finished) { return; }
+        finished = true;
+        stopObservingSignal();
+        callback(value);
+      }
+
+      var request = module.request(url, {method: verb.toUpperCase(), headers: headers}, (response) => {
+        if(onHeadersReceived) {
+          onHeadersReceived();
+        }
+        var chunks = [];
+        response.setEncoding("utf8");
+        response.on("data", (chunk) => { chunks.push(chunk); });
+        response.on("end", () => {
+          finish(resolve, {status: response.statusCode, responseText: chunks.join(""), headers: response.headers});
+        });
+      });
+
+      var stopObservingSignal = this.observeSignal(signal, () => {
+        finish(reject, this.failure({aborted: true}));
+        request.destroy();
+      });
+
+      request.on("error", (error) => {
+        finish(reject, this.failure({error: error}));
+      });
+
+      if(timeout) {
+        request.setTimeout(timeout, () => {
+          finish(reject, this.failure({timedOut: true}));
+          request.destroy();
+        });
+      }
+
+      if(body) {
+        request.write(body);
+      }
+      request.end();
+    });
+  }
+}
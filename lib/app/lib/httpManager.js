@@ -2,19 +2,48 @@ var globalScope = typeof window !== 'undefined' ? window : (typeof global !== 'u
 
 export class SFHttpManager {
 
-  constructor(timeout) {
+  constructor(timeout, transport) {
     // calling callbacks in a $timeout allows UI to update
     this.$timeout = timeout || setTimeout.bind(globalScope);
+    this.transport = transport || SFHttpManager.defaultTransport();
+  }
+
+  /*
+    XMLHttpRequest is preferred where available, since it's what this library has always used in browsers.
+    Node environments without fetch must set an SFNodeHttpTransport manually.
+  */
+  static defaultTransport() {
+    if(typeof XMLHttpRequest !== 'undefined') {
+      return new SFXHRTransport();
+    } else if(globalScope && typeof globalScope.fetch === 'function') {
+      return new SFFetchTransport();
+    }
+    return null;
+  }
+
+  setTransport(transport) {
+    this.transport = transport;
   }
 
   setJWTRequestHandler(handler) {
     this.jwtRequestHandler = handler;
   }
 
-  async setAuthHeadersForRequest(request) {
+  /*
+    handler: async () => Boolean, resolving with whether the session could be refreshed.
+    When a request receives a 401, the handler is called and, if it succeeds, the request is retried once.
+  */
+  setSessionRefreshHandler(handler) {
+    this.sessionRefreshHandler = handler;
+  }
+
+  async setAuthHeadersForRequest(headers) {
+    if(!this.jwtRequestHandler) {
+      return;
+    }
     var token = await this.jwtRequestHandler();
     if(token) {
-      request.setRequestHeader('Authorization', 'Bearer ' + token);
+      headers['Authorization'] = 'Bearer ' + token;
     }
   }
 
@@ -30,45 +59,157 @@ export class SFHttpManager {
     this.httpRequest("get", url, params, onsuccess, onerror);
   }
 
+  /* Callback based wrapper around `request`, kept for compatibility. */
   async httpRequest(verb, url, params, onsuccess, onerror) {
+    return this.request(verb, url, params).then((response) => {
+      this.$timeout(function(){
+        onsuccess(response);
+      })
+    }).catch((error) => {
+      console.error("Request error:", error.response);
+      this.$timeout(function(){
+        onerror(error.response, error.status)
+      })
+    })
+  }
 
-    var xmlhttp = new XMLHttpRequest();
+  /*
+    Returns a promise that resolves with the parsed response for 2xx statuses, and rejects otherwise with
+    {response, status, headers, aborted, timedOut}. A status of 0 means no response was received, and response
+    is then {error: {message}}.
+
+    options:
+    {
+      signal: AbortSignal that cancels the request (and any pending retries),
+      timeout: milliseconds after which a single attempt is abandoned,
+      retries: number of additional attempts for network errors, timeouts and 5xx responses (default 0),
+      retryDelay: milliseconds before the first retry, doubled on each subsequent one (default 1000),
+      onHeadersReceived: called once the server starts responding to an attempt,
+      onTransferComplete: called with {bytesSent, bytesReceived} once an attempt receives a response,
+      sessionRefresh: true for the request that refreshes the session itself. It's sent without the
+        Authorization header, and a 401 doesn't trigger another refresh.
+    }
+  */
+  async request(verb, url, params, options = {}) {
+    var retries = options.retries || 0;
+    var retryDelay = options.retryDelay || 1000;
+    var refreshedSession = false;
+
+    for(var attempt = 0; ; attempt++) {
+      try {
+        return await this.performRequest(verb, url, params, options);
+      } catch (error) {
+        if(error.status == 401 && this.sessionRefreshHandler && !options.sessionRefresh && !refreshedSession) {
+          refreshedSession = true;
+          if(await this.sessionRefreshHandler()) {
+            // Retry with the new token, without using up one of the retries
+            attempt--;
+            continue;
+          }
+          throw error;
+        }
 
-    xmlhttp.onreadystatechange = function() {
-      if (xmlhttp.readyState == 4) {
-        var response = xmlhttp.responseText;
-        if(response) {
-          try {
-            response = JSON.parse(response);
-          } catch(e) {}
+        var retryable = !error.aborted && (error.status == 0 || error.status >= 500);
+        if(!retryable || attempt >= retries) {
+          throw error;
         }
+        await this.waitBeforeRetry(retryDelay * Math.pow(2, attempt), options.signal);
+      }
+    }
+  }
 
-       if(xmlhttp.status >= 200 && xmlhttp.status <= 299){
-         this.$timeout(function(){
-           onsuccess(response);
-         })
-       } else {
-         console.error("Request error:", response);
-         this.$timeout(function(){
-           onerror(response, xmlhttp.status)
-         })
-       }
-     }
-   }.bind(this)
+  async performRequest(verb, url, params, {signal, timeout, onHeadersReceived, onTransferComplete, sessionRefresh} = {}) {
+    if(!this.transport) {
+      throw {response: {error: {message: "No HTTP transport available."}}, status: 0};
+    }
+
+    params = params || {};
 
     if(verb == "get" && Object.keys(params).length > 0) {
       url = url + this.formatParams(params);
     }
 
-    xmlhttp.open(verb, url, true);
-    await this.setAuthHeadersForRequest(xmlhttp);
-    xmlhttp.setRequestHeader('Content-type', 'application/json');
+    var headers = {'Content-type': 'application/json'};
+    if(!sessionRefresh) {
+      await this.setAuthHeadersForRequest(headers);
+    }
+
+    var body = (verb == "post" || verb == "patch") ? JSON.stringify(params) : undefined;
 
-    if(verb == "post" || verb == "patch") {
-      xmlhttp.send(JSON.stringify(params));
-    } else {
-      xmlhttp.send();
+    var result;
+    try {
+      result = await this.transport.send({verb: verb, url: url, headers: headers, body: body, signal: signal, timeout: timeout, onHeadersReceived: onHeadersReceived});
+    } catch (failure) {
+      throw SFHttpManager.connectionError(failure);
     }
+
+    if(onTransferComplete) {
+      onTransferComplete({
+        bytesSent: body ? SFHttpManager.byteLength(body) : 0,
+        bytesReceived: result.responseText ? SFHttpManager.byteLength(result.responseText) : 0
+      });
+    }
+
+    var response = result.responseText;
+    if(response) {
+      try {
+        response = JSON.parse(response);
+      } catch(e) {}
+    }
+
+    if(result.status >= 200 && result.status <= 299) {
+      return response;
+    }
+
+    throw {response: response, status: result.status, headers: result.headers || {}};
+  }
+
+  /* The UTF-8 encoded size of a request or response body, in bytes */
+  static byteLength(string) {
+    if(typeof TextEncoder !== 'undefined') {
+      return new TextEncoder().encode(string).length;
+    }
+    return unescape(encodeURIComponent(string)).length;
+  }
+
+  /*
+    The rejection for requests that got no response. It carries an error response like the server's,
+    so that callers reading response.error don't need to handle a missing response.
+  */
+  static connectionError({aborted, timedOut} = {}) {
+    var message = "Could not connect to server.";
+    if(aborted) {
+      message = "The request was cancelled.";
+    } else if(timedOut) {
+      message = "The request timed out.";
+    }
+    return {response: {error: {message: message}}, status: 0, headers: {}, aborted: aborted == true, timedOut: timedOut == true};
+  }
+
+  async waitBeforeRetry(delay, signal) {
+    return new Promise((resolve, reject) => {
+      let abortError = SFHttpManager.connectionError({aborted: true});
+      if(signal && signal.aborted) {
+        reject(abortError);
+        return;
+      }
+
+      var onAbort = () => {
+        clearTimeout(timer);
+        reject(abortError);
+      }
+
+      var timer = setTimeout(() => {
+        if(signal && signal.removeEventListener) {
+          signal.removeEventListener("abort", onAbort);
+        }
+        resolve();
+      }, delay);
+
+      if(signal && signal.addEventListener) {
+        signal.addEventListener("abort", onAbort);
+      }
+    })
   }
 
   formatParams(params) {
@@ -26,6 +26,8 @@ export class SFModelManager {
     this.itemsHash = {};
     this.missedReferences = {};
     this.uuidChangeObservers = [];
+    this.itemDirtyObservers = [];
+    this.notifyObserversOfDirtyItem = this.notifyObserversOfDirtyItem.bind(this);
   }
 
   handleSignout() {
@@ -303,10 +305,19 @@ export class SFModelManager {
     })
   }
 
+  /* Classes of the content types this library defines. Apps map their own through SFModelManager.ContentTypeClassMapping. */
+  static libraryClassForContentType(contentType) {
+    return {
+      "SF|File" : SFFileDescriptor,
+      "SF|KeyPair" : SFKeyPair,
+      "SF|SharedItem" : SFSharedItem
+    }[contentType];
+  }
+
   createItem(json_obj, dontNotifyObservers) {
     var itemClass = SFModelManager.ContentTypeClassMapping && SFModelManager.ContentTypeClassMapping[json_obj.content_type];
     if(!itemClass) {
-      itemClass = SFItem;
+      itemClass = SFModelManager.libraryClassForContentType(json_obj.content_type) || SFItem;
     }
     var item = new itemClass(json_obj);
 
@@ -373,10 +384,27 @@ export class SFModelManager {
       if(!this.itemsHash[item.uuid]) {
         this.itemsHash[item.uuid] = item;
         this.items.push(item);
+        item.dirtyObserver = this.notifyObserversOfDirtyItem;
       }
     });
   }
 
+  /* Called with the item whenever one of this manager's items is marked dirty, i.e so that SFSyncScheduler can sync after edits. */
+  addItemDirtyObserver(callback) {
+    this.itemDirtyObservers.push(callback);
+    return callback;
+  }
+
+  removeItemDirtyObserver(callback) {
+    _.pull(this.itemDirtyObservers, callback);
+  }
+
+  notifyObserversOfDirtyItem(item) {
+    for(var observer of this.itemDirtyObservers) {
+      observer(item);
+    }
+  }
+
   /* Notifies observers when an item has been synced or mapped from a remote response */
   addItemSyncObserver(id, types, callback) {
     if(!Array.isArray(types)) {
@@ -445,6 +473,7 @@ export class SFModelManager {
   removeItemLocally(item, callback) {
     _.remove(this.items, {uuid: item.uuid});
     delete this.itemsHash[item.uuid]
+    item.dirtyObserver = null;
 
     item.isBeingRemovedLocally();
 
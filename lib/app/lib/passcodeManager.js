@@ -0,0 +1,188 @@
+/*
+  Wraps sensitive storage values (the account keys and previous keys, the access token, the session and any pending
+  key change) with a key derived from a local passcode, so that they aren't kept in plaintext on disk.
+
+  Without a passcode, values are read and written through the storage manager as they always have been.
+  Once a passcode is set, they're kept in memory while unlocked and stored in a single encrypted blob.
+  While locked, protected values read as null and can't be written, so SFAuthManager reports no keys.
+  Apps shouldn't sync while locked.
+
+  The wrapping keys are derived the same way account keys are (PBKDF2 with the current protocol version),
+  and the passcode is verified by authenticating the blob, so no passcode hash is stored.
+*/
+
+export class SFPasscodeManager {
+
+  constructor(storageManager) {
+    this.storageManager = storageManager;
+  }
+
+  isProtectedKey(key) {
+    return SFPasscodeManager.ProtectedKeys.includes(key);
+  }
+
+  async getPasscodeParams() {
+    if(this.passcodeParams === undefined) {
+      var value = await this.storageManager.getItem(SFPasscodeManager.ParamsStorageKey);
+      this.passcodeParams = value ? JSON.parse(value) : null;
+    }
+    return this.passcodeParams;
+  }
+
+  async hasPasscode() {
+    return await this.getPasscodeParams() != null;
+  }
+
+  async isLocked() {
+    return await this.hasPasscode() && !this.wrappingKeys;
+  }
+
+  /* Discards the wrapping keys and unwrapped values from memory. */
+  lock() {
+    this.wrappingKeys = null;
+    this.values = null;
+  }
+
+  /* Resolves with whether the passcode was correct. */
+  async unlock(passcode) {
+    let params = await this.getPasscodeParams();
+    if(!params) {
+      return true;
+    }
+    let keys = await SFJS.crypto.computeEncryptionKeysForUser(passcode, params);
+    let values = await this.unwrapValues(keys);
+    if(!values) {
+      return false;
+    }
+    this.wrappingKeys = keys;
+    this.values = values;
+    return true;
+  }
+
+  /* Checks the passcode without changing whether we're locked. */
+  async verifyPasscode(passcode) {
+    let params = await this.getPasscodeParams();
+    if(!params) {
+      return false;
+    }
+    let keys = await SFJS.crypto.computeEncryptionKeysForUser(passcode, params);
+    return await this.unwrapValues(keys) != null;
+  }
+
+  /* Sets or changes the passcode, wrapping any protected values currently stored in plaintext. */
+  async setPasscode(passcode) {
+    if(await this.isLocked()) {
+      throw "Unlock with the current passcode before changing it.";
+    }
+
+    var values = this.values;
+    if(!values) {
+      values = {};
+      for(var key of SFPasscodeManager.ProtectedKeys) {
+        let value = await this.storageManager.getItem(key);
+        if(value != null) {
+          values[key] = value;
+        }
+      }
+    }
+
+    let identifier = await SFJS.crypto.generateUUID();
+    let result = await SFJS.crypto.generateInitialKeysAndAuthParamsForUser(identifier, passcode);
+    this.wrappingKeys = result.keys;
+    this.values = values;
+    this.passcodeParams = result.authParams;
+
+    // Plaintext values are only removed once both the blob and the params are stored
+    await this.wrapValues();
+    await this.storageManager.setItem(SFPasscodeManager.ParamsStorageKey, JSON.stringify(result.authParams));
+
+    for(var key of SFPasscodeManager.ProtectedKeys) {
+      await this.storageManager.removeItem(key);
+    }
+  }
+
+  /* Stores the protected values in plaintext again. */
+  async removePasscode() {
+    if(await this.isLocked()) {
+      throw "Unlock with the current passcode before removing it.";
+    }
+    let values = this.values || {};
+    for(var key of Object.keys(values)) {
+      await this.storageManager.setItem(key, values[key]);
+    }
+    await this.storageManager.removeItem(SFPasscodeManager.ParamsStorageKey);
+    await this.storageManager.removeItem(SFPasscodeManager.WrappedStorageKey);
+    this.passcodeParams = null;
+    this.lock();
+  }
+
+  /* Forgets cached state, i.e after storage was cleared on sign out. */
+  reset() {
+    this.passcodeParams = undefined;
+    this.lock();
+  }
+
+  async getItem(key) {
+    if(!this.isProtectedKey(key) || !(await this.hasPasscode())) {
+      return this.storageManager.getItem(key);
+    }
+    if(!this.values) {
+      return null;
+    }
+    let value = this.values[key];
+    return value === undefined ? null : value;
+  }
+
+  async setItem(key, value) {
+    if(!this.isProtectedKey(key) || !(await this.hasPasscode())) {
+      return this.storageManager.setItem(key, value);
+    }
+    if(!this.values) {
+      throw "Unable to save protected value while locked.";
+    }
+    this.values[key] = value;
+    return this.wrapValues();
+  }
+
+  async removeItem(key) {
+    if(!this.isProtectedKey(key) || !(await this.hasPasscode())) {
+      return this.storageManager.removeItem(key);
+    }
+    if(!this.values) {
+      throw "Unable to remove protected value while locked.";
+    }
+    delete this.values[key];
+    return this.wrapValues();
+  }
+
+  async wrapValues() {
+    let params = await this.getPasscodeParams();
+    let item = new SFItem({
+      uuid: SFPasscodeManager.WrappedStorageKey,
+      content_type: SFPasscodeManager.WrappedContentType,
+      content: {values: this.values}
+    });
+    let wrapped = await new SFItemParams(item, this.wrappingKeys, params).paramsForSync();
+    return this.storageManager.setItem(SFPasscodeManager.WrappedStorageKey, JSON.stringify(wrapped));
+  }
+
+  /* Returns the unwrapped values, or null if the keys are wrong. */
+  async unwrapValues(keys) {
+    let value = await this.storageManager.getItem(SFPasscodeManager.WrappedStorageKey);
+    if(!value) {
+      return null;
+    }
+    let wrapped = JSON.parse(value);
+    await SFJS.itemTransformer.decryptItem(wrapped, keys);
+    if(wrapped.errorDecrypting) {
+      return null;
+    }
+    let content = typeof wrapped.content === 'string' ? JSON.parse(wrapped.content) : wrapped.content;
+    return content.values || {};
+  }
+}
+
+SFPasscodeManager.ProtectedKeys = ["mk", "ak", "previous_keys", "jwt", "session", "key_transition"];
+SFPasscodeManager.ParamsStorageKey = "passcode_params";
+SFPasscodeManager.WrappedStorageKey = "wrapped_storage";
+SFPasscodeManager.WrappedContentType = "SF|WrappedStorage";
@@ -55,11 +55,25 @@ export class SFPrivilegesManager {
   async delegate.getFromStorage(key)
   async delegate.verifyAccountPassword
   async delegate.verifyLocalPasscode
+
+  hasLocalPasscode and verifyLocalPasscode are only used if no passcode manager was set.
   */
   setDelegate(delegate) {
     this.delegate = delegate;
   }
 
+  /* The SFPasscodeManager that CredentialLocalPasscode is verified against, i.e authManager.passcodeManager */
+  setPasscodeManager(passcodeManager) {
+    this.passcodeManager = passcodeManager;
+  }
+
+  async hasLocalPasscode() {
+    if(this.passcodeManager) {
+      return this.passcodeManager.hasPasscode();
+    }
+    return this.delegate.hasLocalPasscode();
+  }
+
   getAvailableActions() {
     return this.availableActions;
   }
@@ -79,7 +93,7 @@ export class SFPrivilegesManager {
           netCredentials.push(cred);
         }
       } else if(cred == SFPrivilegesManager.CredentialLocalPasscode) {
-        let hasLocalPasscode = await this.delegate.hasLocalPasscode();
+        let hasLocalPasscode = await this.hasLocalPasscode();
         if(hasLocalPasscode) {
           netCredentials.push(cred);
         }
@@ -280,6 +294,9 @@ export class SFPrivilegesManager {
     }
 
     let verifyLocalPasscode = async (passcode) => {
+      if(this.passcodeManager) {
+        return this.passcodeManager.verifyPasscode(passcode);
+      }
       return this.delegate.verifyLocalPasscode(passcode);
     }
 
@@ -0,0 +1,404 @@
+/*
+  Changes an account's keys and re-encrypts every item with the new ones, either to change the password
+  or to move an account off an outdated protocol version (see SFJS.isProtocolVersionOutdated).
+
+  A change is recorded as a transition before anything is sent to the server, holding both the previous and
+  the new keys and auth params, and which items still need to be re-uploaded. It's stored through the passcode
+  layer along with the keys themselves. While a transition is pending, the sync manager decrypts items with either
+  key set, so an interrupted change never leaves items that can't be read. Call load() before loading local items
+  so that the previous keys are in place, and resume() once they're loaded to finish a change that was interrupted.
+
+  Only the encryption keys of each key set are stored. The server passwords (pw) stay in memory, so after a restart,
+  resume() needs the password to finish a change that the server applied without us getting the response.
+
+  The transition goes through two phases:
+    changing-password: the new keys and auth params are sent to /auth/change_pw. If the outcome isn't known
+      (i.e the app closed before the response arrived), the server's auth params tell whether it was applied.
+    reencrypting: items are marked dirty and synced in batches, so that each is uploaded encrypted with the new keys.
+      Progress is saved after each batch.
+
+  Rolling back runs the same two phases with the key sets swapped. A password change rolls back by itself if
+  re-uploading fails; if the rollback can't finish either (i.e while offline), it stays pending and resume() finishes it.
+
+  Replaced keys stay in the auth manager's keyring. rewrapItemKeys() then moves item keys over to the current keys
+  progressively, and drops previous keys once nothing is wrapped with them.
+
+  Events: reencryption:progress ({completed, total, rollback}), reencryption:completed, reencryption:rolled-back,
+  reencryption:rewrap-progress ({completed, total}).
+*/
+
+export class SFReencryptionManager {
+
+  constructor(modelManager, syncManager, authManager) {
+    this.modelManager = modelManager;
+    this.syncManager = syncManager;
+    this.authManager = authManager;
+
+    // The number of items marked dirty and synced at a time
+    this.batchSize = 100;
+
+    this.eventHandlers = [];
+  }
+
+  addEventHandler(handler) {
+    this.eventHandlers.push(handler);
+    return handler;
+  }
+
+  removeEventHandler(handler) {
+    _.pull(this.eventHandlers, handler);
+  }
+
+  notifyEvent(event, data) {
+    for(var handler of this.eventHandlers) {
+      handler(event, data || {});
+    }
+  }
+
+  async getTransition() {
+    if(this.transition) {
+      return this.transition;
+    }
+    let value = await this.authManager.passcodeManager.getItem(SFReencryptionManager.StorageKey);
+    return value ? JSON.parse(value) : null;
+  }
+
+  async saveTransition(transition) {
+    this.transition = transition;
+    return this.authManager.passcodeManager.setItem(SFReencryptionManager.StorageKey, JSON.stringify(this.storedTransition(transition)));
+  }
+
+  storedTransition(transition) {
+    let stored = Object.assign({}, transition, {
+      previousKeys: _.omit(transition.previousKeys, ["pw"]),
+      keys: _.omit(transition.keys, ["pw"])
+    });
+    if(transition.rollbackOf) {
+      stored.rollbackOf = this.storedTransition(transition.rollbackOf);
+    }
+    return stored;
+  }
+
+  async clearTransition() {
+    this.transition = null;
+    await this.authManager.passcodeManager.removeItem(SFReencryptionManager.StorageKey);
+    this.syncManager.setTransitionKeys(null);
+  }
+
+  /* Makes both key sets of a pending transition available for decryption. Resolves with the transition, if any. */
+  async load() {
+    let transition = await this.getTransition();
+    if(transition) {
+      this.syncManager.setTransitionKeys([transition.previousKeys, transition.keys]);
+    }
+    return transition;
+  }
+
+  async hasPendingTransition() {
+    return await this.getTransition() != null;
+  }
+
+  /*
+    Generates new keys and auth params with the latest protocol version (or options.version) and re-encrypts
+    every item with them. The password stays the same.
+    options.email is required for accounts whose auth params don't include the identifier (001 and 002).
+    Resolves with {} once complete, or with {error}. If the error happens after the password was changed,
+    the transition stays pending and resume() continues from where it stopped.
+  */
+  async upgradeProtocolVersion(password, {email, version} = {}) {
+    version = version || SFJS.version();
+    if(!SFJS.supportedVersions().includes(version)) {
+      return {error: {message: `Encryption version ${version} isn't supported by this application.`}};
+    }
+
+    let authParams = await this.authManager.getAuthParams();
+    if(authParams && parseInt(authParams.version) >= parseInt(version)) {
+      return {error: {message: `Your account already uses encryption version ${authParams.version}.`}};
+    }
+
+    return this.changeKeys(password, password, {email: email, version: version});
+  }
+
+  /*
+    Changes the password and re-encrypts every item with the new keys, which use the latest protocol version.
+    Resolves with {} once complete, or with {error}. If re-uploading fails, the change is rolled back and the
+    response includes rolledBack: true once the previous password and keys are restored.
+  */
+  async changePassword(currentPassword, newPassword, {email} = {}) {
+    // Accounts already on a version newer than the library's keep it
+    let authParams = await this.authManager.getAuthParams();
+    var version = SFJS.version();
+    if(authParams && parseInt(authParams.version) > parseInt(version)) {
+      version = authParams.version;
+    }
+
+    return this.changeKeys(currentPassword, newPassword, {email: email, version: version, rollbackOnFailure: true});
+  }
+
+  async changeKeys(currentPassword, newPassword, {email, version, rollbackOnFailure}) {
+    if(await this.hasPendingTransition()) {
+      return {error: {message: "A password change or encryption update is already in progress. Please resume it before starting another."}};
+    }
+
+    let keys = await this.authManager.keys();
+    let authParams = await this.authManager.getAuthParams();
+    if(!keys || !authParams) {
+      return {error: {message: "You must be signed in to change your keys."}};
+    }
+
+    email = email || authParams.identifier;
+    if(!email) {
+      return {error: {message: "Your email is required to change your keys."}};
+    }
+
+    let currentKeys = await SFJS.crypto.computeEncryptionKeysForUser(currentPassword, authParams);
+    if(currentKeys.mk !== keys.mk) {
+      return {error: {message: "The password you entered is incorrect. Please try again."}};
+    }
+
+    let result = await SFJS.crypto.generateInitialKeysAndAuthParamsForUser(email, newPassword, version);
+
+    let transition = {
+      phase: SFReencryptionManager.PhaseChangingPassword,
+      email: email,
+      // Keys loaded from storage don't include the server password
+      previousKeys: currentKeys,
+      previousAuthParams: authParams,
+      keys: result.keys,
+      authParams: result.authParams,
+      rollbackOnFailure: rollbackOnFailure || false
+    };
+    await this.saveTransition(transition);
+    return this.performTransition(transition);
+  }
+
+  /*
+    Continues a pending transition. Resolves with {} if there was nothing to resume.
+    options.password is the password being changed to, required if the app restarted before the new keys were sent.
+  */
+  async resume({password} = {}) {
+    let transition = await this.load();
+    if(!transition) {
+      return {};
+    }
+    if(password && !transition.keys.pw) {
+      let keys = await SFJS.crypto.computeEncryptionKeysForUser(password, transition.authParams);
+      if(keys.mk !== transition.keys.mk) {
+        return {error: {message: "The password you entered is incorrect. Please try again."}};
+      }
+      transition.keys = keys;
+    }
+    return this.performTransition(transition);
+  }
+
+  async performTransition(transition) {
+    this.syncManager.setTransitionKeys([transition.previousKeys, transition.keys]);
+
+    if(transition.phase == SFReencryptionManager.PhaseChangingPassword) {
+      let response = await this.applyServerChange(transition);
+      if(response.error) {
+        return response;
+      }
+
+      // Taken from storage rather than the model manager, which may not have loaded local items yet
+      let payloads = await this.syncManager.storageManager.getAllModels();
+      transition.phase = SFReencryptionManager.PhaseReencrypting;
+      transition.pending = payloads.filter((payload) => {return !payload.deleted}).map((payload) => {return payload.uuid});
+      transition.total = transition.pending.length;
+      await this.saveTransition(transition);
+    }
+
+    let response = await this.reencryptItems(transition);
+    if(response.error) {
+      if(transition.rollbackOnFailure) {
+        let rollbackResponse = await this.rollback();
+        return {error: response.error, rolledBack: !rollbackResponse.error};
+      }
+      return response;
+    }
+
+    await this.clearTransition();
+    this.notifyEvent(transition.rollbackOf ? "reencryption:rolled-back" : "reencryption:completed");
+    return {};
+  }
+
+  /*
+    Reverts the pending transition: the previous keys are restored on the server and every item is uploaded
+    encrypted with them again. Resolves with {} once rolled back, or with {error}, in which case resume() continues the rollback.
+  */
+  async rollback() {
+    let transition = await this.getTransition();
+    if(!transition) {
+      return {error: {message: "There's no password change or encryption update to roll back."}};
+    }
+    if(transition.rollbackOf) {
+      return this.performTransition(transition);
+    }
+
+    let reversed = {
+      phase: SFReencryptionManager.PhaseChangingPassword,
+      email: transition.email,
+      previousKeys: transition.keys,
+      previousAuthParams: transition.authParams,
+      keys: transition.previousKeys,
+      authParams: transition.previousAuthParams,
+      rollbackOf: transition
+    };
+    await this.saveTransition(reversed);
+    return this.performTransition(reversed);
+  }
+
+  /*
+    Sends the new keys to the server. If the request fails, the server's auth params tell whether the change was applied anyway,
+    in which case we sign in with the new keys to get a session. If it wasn't applied, the transition is discarded,
+    or for a rollback, the transition being rolled back is pending again.
+    A transition loaded from storage has no server passwords. Then the change can't be sent again, and if the server applied it,
+    signing in requires the password passed to resume().
+  */
+  async applyServerChange(transition) {
+    let url = await this.authManager.storageManager.getItem("server");
+    var response;
+    if(transition.previousKeys.pw && transition.keys.pw) {
+      response = await this.authManager.changePassword(url, transition.email, transition.previousKeys.pw, transition.keys, transition.authParams);
+      if(!response.error) {
+        return response;
+      }
+    } else {
+      response = {error: {message: "Your password change or encryption update was interrupted. Please try again."}};
+    }
+
+    let serverParams = await this.authManager.getAuthParamsForEmail(url, transition.email);
+    if(serverParams.error) {
+      return response;
+    }
+
+    // Accounts on 001 and 002 have a pw_salt instead of a pw_nonce
+    let serverSalt = serverParams.pw_nonce || serverParams.pw_salt;
+    if(serverSalt !== (transition.authParams.pw_nonce || transition.authParams.pw_salt)) {
+      if(transition.rollbackOf) {
+        await this.saveTransition(transition.rollbackOf);
+      } else {
+        await this.clearTransition();
+      }
+      return response;
+    }
+
+    if(!transition.keys.pw) {
+      return {error: {message: "Your password is required to finish your password change or encryption update."}};
+    }
+
+    return this.authManager.signInWithKeys(url, transition.email, transition.authParams, transition.keys);
+  }
+
+  async reencryptItems(transition) {
+    while(transition.pending.length > 0) {
+      let batch = transition.pending.slice(0, this.batchSize);
+
+      // Stored items that aren't loaded can't be re-encrypted. Once local items are loaded, missing ones have been deleted since.
+      let found = this.modelManager.findItems(batch, true);
+      if(found.includes(undefined) && !this.syncManager.initialDataLoaded()) {
+        return {error: {message: "Your local data must be loaded before it can be re-encrypted."}};
+      }
+
+      // Items that couldn't be decrypted with either key set are left as they are
+      let items = found.filter((item) => {return item && !item.errorDecrypting});
+      for(var item of items) {
+        item.setDirty(true, true);
+      }
+
+      if(!await this.uploadItems(items)) {
+        return {error: {message: "Unable to upload your re-encrypted data."}};
+      }
+
+      transition.pending = transition.pending.slice(batch.length);
+      await this.saveTransition(transition);
+      this.notifyEvent("reencryption:progress", {
+        completed: transition.total - transition.pending.length,
+        total: transition.total,
+        rollback: transition.rollbackOf != null
+      });
+    }
+    return {};
+  }
+
+  /*
+    Syncs until none of the items is dirty anymore. sync() may resolve with a sync that was already queued before
+    the items were marked dirty, so a successful response alone doesn't mean they were uploaded. Resolves with whether they were.
+  */
+  async uploadItems(items) {
+    for(var attempt = 0; attempt < SFReencryptionManager.MaxUploadAttempts; attempt++) {
+      let response = await this.syncManager.sync();
+      if(!response || response.error) {
+        return false;
+      }
+      if(!items.some((item) => {return item.dirty})) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /*
+    Re-wraps item keys that are wrapped with previous keys (or were wrapped before key ids) with the current keys,
+    a batch at a time. Locally stored items keep their content as is; only enc_item_key changes. When signed in,
+    each batch is also synced, so that the server's copies are wrapped with the current keys too.
+    Once no item key is wrapped with a previous key set, it's removed from the keyring.
+    Re-wrapped items are skipped, so it's safe to call again after an interruption. Resolves with {} or {error}.
+  */
+  async rewrapItemKeys() {
+    let keyring = await this.authManager.keyring();
+    let authParams = await this.authManager.getAuthParams();
+    if(!keyring || !authParams) {
+      return {error: {message: "You must be signed in to rotate your keys."}};
+    }
+
+    let storageManager = this.syncManager.storageManager;
+    let isStale = (payload) => {
+      return typeof payload.content === 'string' && payload.enc_item_key && SFJS.itemTransformer.keyIdForItem(payload) !== keyring.currentId;
+    }
+    let stale = (await storageManager.getAllModels()).filter(isStale);
+    let signedIn = await this.authManager.passcodeManager.getItem("jwt") != null;
+
+    var completed = 0;
+    while(completed < stale.length) {
+      let batch = stale.slice(completed, completed + this.batchSize);
+
+      var rewrapped = [];
+      for(var payload of batch) {
+        if(await SFJS.itemTransformer.rewrapItemKey(payload, keyring, authParams)) {
+          rewrapped.push(payload);
+        }
+      }
+      await storageManager.saveModels(rewrapped);
+
+      if(signedIn) {
+        // Items that couldn't be re-wrapped, i.e from an older protocol version, are re-encrypted as they're uploaded
+        let items = this.modelManager.findItems(batch.map((payload) => {return payload.uuid})).filter((item) => {
+          return !item.errorDecrypting;
+        });
+        for(var item of items) {
+          item.setDirty(true, true);
+        }
+        if(!await this.uploadItems(items)) {
+          return {error: {message: "Unable to upload your re-wrapped data."}};
+        }
+      }
+
+      completed += batch.length;
+      this.notifyEvent("reencryption:rewrap-progress", {completed: completed, total: stale.length});
+    }
+
+    // Item keys without an id could be wrapped with any of the previous keys
+    let remaining = (await storageManager.getAllModels()).filter(isStale);
+    let remainingIds = remaining.map((payload) => {return SFJS.itemTransformer.keyIdForItem(payload)});
+    if(!remainingIds.includes(null)) {
+      await this.authManager.removePreviousKeys(keyring.previousIds().filter((id) => {return !remainingIds.includes(id)}));
+    }
+    return {};
+  }
+}
+
+SFReencryptionManager.StorageKey = "key_transition";
+SFReencryptionManager.PhaseChangingPassword = "changing-password";
+SFReencryptionManager.PhaseReencrypting = "reencrypting";
+SFReencryptionManager.MaxUploadAttempts = 3;
@@ -0,0 +1,299 @@
+/*
+  Shares items with other accounts, end to end encrypted.
+
+  Each account has an SFKeyPair, synced as an encrypted item, with an encryption key pair (RSA-OAEP) and a signing
+  key pair (ECDSA), whose public keys are published to the server by enableSharing(). To share an item, its content
+  is encrypted with a new item key, which is wrapped for the recipient's public key instead of with the account keys
+  (see SFItemTransformer), and sent to the recipient's inbox on the server as an SFSharedItem signed by the sender.
+  fetchSharedItems() decrypts the inbox with the account's private key, verifies the signatures, and saves the shared
+  items to the account, where they're synced like any other item until acceptSharedItem() turns one into a regular
+  item, or declineSharedItem() deletes it.
+
+  Public keys come from the server, so a compromised server could substitute its own. To rule that out, users compare
+  fingerprints of each other's public keys out of band: fingerprint() for their own, fingerprintForAccount() for a
+  recipient's, which can then be passed to shareItem(), and sharedItem.sender.fingerprint for a sender's.
+  The sender's email is checked against the account the server received the share from.
+
+  Server endpoints:
+    POST /sharing/public_key {public_key, signing_public_key}
+    GET /sharing/public_key {email} => {public_key, signing_public_key}
+    POST /sharing/shares {recipient, item}
+    GET /sharing/shares => {shares}, the items shared with this account, each with the sender's sender_email
+    POST /sharing/shares/received {uuids}, removes shares from the inbox once they're saved to the account
+
+  Events: sharing:received ({items}).
+*/
+
+export class SFSharingManager {
+
+  constructor(modelManager, syncManager, authManager, httpManager) {
+    this.modelManager = modelManager;
+    this.syncManager = syncManager;
+    this.authManager = authManager;
+    this.httpManager = httpManager;
+
+    this.eventHandlers = [];
+  }
+
+  addEventHandler(handler) {
+    this.eventHandlers.push(handler);
+    return handler;
+  }
+
+  removeEventHandler(handler) {
+    _.pull(this.eventHandlers, handler);
+  }
+
+  notifyEvent(event, data) {
+    for(var handler of this.eventHandlers) {
+      handler(event, data || {});
+    }
+  }
+
+  /* The account's key pairs, oldest first. There's normally one, but two devices may each have created one before syncing. */
+  keyPairs() {
+    return this.modelManager.validItemsForContentType(SFKeyPair.contentType()).sort((a, b) => {
+      return a.created_at - b.created_at;
+    });
+  }
+
+  async isSignedIn() {
+    return await this.authManager.passcodeManager.getItem("jwt") != null;
+  }
+
+  /* Formatted for reading aloud, as groups of 4 hex digits. */
+  async fingerprintForKeys(publicKey, signingPublicKey) {
+    let hash = await SFJS.crypto.sha256Bytes(await SFJS.crypto.stringToArrayBuffer(`${publicKey}:${signingPublicKey}`));
+    return hash.toUpperCase().match(/.{4}/g).join(" ");
+  }
+
+  /* The fingerprint of this account's public keys, or null if sharing isn't enabled. */
+  async fingerprint() {
+    let keyPair = this.keyPairs()[0];
+    if(!keyPair || !keyPair.signingPublicKey) {
+      return null;
+    }
+    return this.fingerprintForKeys(keyPair.publicKey, keyPair.signingPublicKey);
+  }
+
+  /* The fingerprint of the public keys the server has for the account with email. Resolves with {fingerprint} or {error}. */
+  async fingerprintForAccount(email) {
+    let response = await this.publicKeysForAccount(email);
+    if(response.error) {
+      return response;
+    }
+    return {fingerprint: await this.fingerprintForKeys(response.public_key, response.signing_public_key)};
+  }
+
+  async publicKeysForAccount(email) {
+    let response = await this.serverRequest("get", "/sharing/public_key", {email: email});
+    if(!response.error && (!response.public_key || !response.signing_public_key)) {
+      return {error: {message: `${email} hasn't enabled sharing.`}};
+    }
+    return response;
+  }
+
+  /* What the sender signs: everything in the shared item but the signature, and its uuid so that it can't be replayed as another item. */
+  signedText(uuid, content) {
+    let sender = _.pick(content.sender, ["email", "public_key", "signing_public_key"]);
+    return JSON.stringify([uuid, sender, content.recipient, content.item]);
+  }
+
+  /*
+    Creates the account's key pair if it doesn't have one yet, and publishes its public key.
+    Sync first, so that a key pair created on another device is used. Resolves with {} or {error}.
+  */
+  async enableSharing() {
+    if(!SFJS.crypto.supportsAsymmetricEncryption()) {
+      return {error: {message: "Sharing isn't supported on this platform."}};
+    }
+    if(!(await this.isSignedIn())) {
+      return {error: {message: "You must be signed in to share items."}};
+    }
+
+    var keyPair = this.keyPairs()[0];
+    if(!keyPair || !keyPair.signingPrivateKey) {
+      if(!keyPair) {
+        keyPair = new SFKeyPair({content_type: SFKeyPair.contentType(), content: await SFJS.crypto.generateKeyPair()});
+        await keyPair.initUUID();
+        this.modelManager.addItem(keyPair);
+      }
+      // Key pairs created before shares were signed don't have signing keys yet
+      let signingKeyPair = await SFJS.crypto.generateSigningKeyPair();
+      keyPair.content.signingPublicKey = signingKeyPair.publicKey;
+      keyPair.content.signingPrivateKey = signingKeyPair.privateKey;
+      keyPair.setDirty(true);
+
+      // The public keys are only published once the private keys are safely stored in the account
+      let response = await this.syncManager.sync();
+      if(!response || response.error) {
+        return {error: {message: "Unable to save your sharing keys. Please try again."}};
+      }
+    }
+
+    return this.serverRequest("post", "/sharing/public_key", {public_key: keyPair.publicKey, signing_public_key: keyPair.signingPublicKey});
+  }
+
+  /*
+    Shares a copy of item with the account with recipientEmail. Both accounts must have enabled sharing.
+    References to other items aren't shared. options.email is the sender's email, required for accounts
+    whose auth params don't include the identifier (001 and 002). options.fingerprint is the recipient's fingerprint,
+    as verified with them; the item isn't shared if the recipient's public keys don't match it. Resolves with {} or {error}.
+  */
+  async shareItem(item, recipientEmail, {email, fingerprint} = {}) {
+    if(!SFJS.crypto.supportsAsymmetricEncryption()) {
+      return {error: {message: "Sharing isn't supported on this platform."}};
+    }
+    let authParams = await this.authManager.getAuthParams();
+    if(!authParams || !(await this.isSignedIn())) {
+      return {error: {message: "You must be signed in to share items."}};
+    }
+    email = email || authParams.identifier;
+    if(!email) {
+      return {error: {message: "Your email is required to share items."}};
+    }
+
+    let keyPair = this.keyPairs()[0];
+    if(!keyPair || !keyPair.signingPrivateKey) {
+      return {error: {message: "Enable sharing to share items."}};
+    }
+
+    let recipient = await this.publicKeysForAccount(recipientEmail);
+    if(recipient.error) {
+      return recipient;
+    }
+    if(fingerprint && fingerprint !== await this.fingerprintForKeys(recipient.public_key, recipient.signing_public_key)) {
+      return {error: {message: `The keys of ${recipientEmail} don't match the fingerprint you verified. The item wasn't shared.`}};
+    }
+
+    let content = _.cloneDeep(item.createContentJSONFromProperties());
+    content.references = [];
+    let sharedItem = new SFSharedItem({
+      content_type: SFSharedItem.contentType(),
+      content: {
+        sender: {email: email, public_key: keyPair.publicKey, signing_public_key: keyPair.signingPublicKey},
+        recipient: recipientEmail,
+        item: {content_type: item.content_type, content: content}
+      }
+    });
+    await sharedItem.initUUID();
+    sharedItem.content.signature = await SFJS.crypto.signText(this.signedText(sharedItem.uuid, sharedItem.content), keyPair.signingPrivateKey);
+
+    // Only the protocol version is bound to the ciphertext, so that the sender's auth params aren't shared
+    let params = await new SFItemParams(sharedItem, {publicKey: recipient.public_key}, {version: SFJS.version()}).paramsForSync();
+    return this.serverRequest("post", "/sharing/shares", {recipient: recipientEmail, item: params});
+  }
+
+  /*
+    Decrypts the items shared with this account and saves them to it. options.email is this account's email, as for shareItem().
+    Resolves with {items, undecryptable}, where undecryptable is the number of shares left in the inbox because
+    they couldn't be decrypted with any of the account's key pairs, or didn't come from their stated sender. Or with {error}.
+  */
+  async fetchSharedItems({email} = {}) {
+    let keyPairs = this.keyPairs();
+    if(keyPairs.length == 0) {
+      return {error: {message: "Enable sharing to receive shared items."}};
+    }
+
+    let response = await this.serverRequest("get", "/sharing/shares");
+    if(response.error) {
+      return response;
+    }
+
+    if(!email) {
+      let authParams = await this.authManager.getAuthParams();
+      email = authParams && authParams.identifier;
+    }
+
+    let shares = response.shares || [];
+    for(var keyPair of keyPairs) {
+      let remaining = shares.filter((share) => {return share.errorDecrypting !== false});
+      await SFJS.itemTransformer.decryptMultipleItems(remaining, {privateKey: keyPair.privateKey});
+    }
+
+    var items = [];
+    for(var share of shares) {
+      if(share.errorDecrypting !== false || share.content_type !== SFSharedItem.contentType()) {
+        continue;
+      }
+      let sharedItem = new SFSharedItem(_.pick(share, ["uuid", "content_type", "content"]));
+      if(sharedItem.sender.email !== share.sender_email) {
+        console.error("Shared item sender does not match the account it was received from", share.sender_email);
+        continue;
+      }
+      if(!(await this.verifySharedItem(sharedItem, email))) {
+        console.error("Shared item signature is invalid", share.sender_email);
+        continue;
+      }
+      sharedItem.content.sender.fingerprint = await this.fingerprintForKeys(sharedItem.sender.public_key, sharedItem.sender.signing_public_key);
+      items.push(sharedItem);
+    }
+
+    let newItems = items.filter((item) => {return !this.modelManager.findItem(item.uuid)});
+    this.modelManager.addItems(newItems);
+    for(var item of newItems) {
+      item.setDirty(true);
+    }
+
+    if(items.length > 0) {
+      let syncResponse = await this.syncManager.sync();
+      if(!syncResponse || syncResponse.error) {
+        return {error: {message: "Unable to save the items shared with you. Please try again."}};
+      }
+      response = await this.serverRequest("post", "/sharing/shares/received", {uuids: items.map((item) => {return item.uuid})});
+      if(response.error) {
+        return response;
+      }
+    }
+
+    if(newItems.length > 0) {
+      this.notifyEvent("sharing:received", {items: newItems});
+    }
+    return {items: newItems, undecryptable: shares.length - items.length};
+  }
+
+  /* Whether sharedItem was signed by its sender's key for this account. The recipient is only checked if this account's email is known. */
+  async verifySharedItem(sharedItem, email) {
+    let sender = sharedItem.sender;
+    if(!sharedItem.signature || !sender.public_key || !sender.signing_public_key) {
+      return false;
+    }
+    if(email && sharedItem.recipient !== email) {
+      return false;
+    }
+    return SFJS.crypto.verifyText(this.signedText(sharedItem.uuid, sharedItem.content), sharedItem.signature, sender.signing_public_key);
+  }
+
+  /* Creates a regular item from a shared item, and deletes the shared item. Resolves with the new item. */
+  async acceptSharedItem(sharedItem) {
+    let item = this.modelManager.createItem({
+      content_type: sharedItem.sharedContentType,
+      content: _.cloneDeep(sharedItem.sharedContent)
+    });
+    await item.initUUID();
+    this.modelManager.addItem(item);
+    item.setDirty(true);
+
+    this.modelManager.setItemToBeDeleted(sharedItem);
+    await this.syncManager.sync();
+    return item;
+  }
+
+  async declineSharedItem(sharedItem) {
+    this.modelManager.setItemToBeDeleted(sharedItem);
+    return this.syncManager.sync();
+  }
+
+  async serverRequest(verb, path, params) {
+    let url = await this.authManager.storageManager.getItem("server");
+    try {
+      return await this.httpManager.request(verb, url + path, params) || {};
+    } catch (error) {
+      console.error("Sharing request error", error.response);
+      if(error.response && typeof error.response === 'object' && error.response.error) {
+        return error.response;
+      }
+      return {error: {message: "A server error occurred. Please try again."}};
+    }
+  }
+}
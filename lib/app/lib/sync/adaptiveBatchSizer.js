@@ -0,0 +1,34 @@
+/*
+  Grows or shrinks a batch size based on how long the last request took and how large its payload was.
+  Slow or heavy batches halve the size, fast and light ones grow it by half, always within [min, max].
+*/
+
+export class SFAdaptiveBatchSizer {
+
+  constructor({initial = 100, min = 10, max = 500, targetLatency = 2000, maxPayloadBytes = 1000000} = {}) {
+    this.size = initial;
+    this.min = min;
+    this.max = max;
+    this.targetLatency = targetLatency; // milliseconds
+    this.maxPayloadBytes = maxPayloadBytes;
+  }
+
+  recordBatch({itemCount, latency, bytes}) {
+    let slow = latency > this.targetLatency;
+    let heavy = bytes > this.maxPayloadBytes * 0.75;
+
+    if(slow || heavy) {
+      this.size = Math.max(this.min, Math.floor(this.size / 2));
+      return this.size;
+    }
+
+    let fast = latency < this.targetLatency / 2;
+    let light = bytes < this.maxPayloadBytes / 2;
+    // Only grow if the batch was actually full, otherwise its timing says nothing about larger batches.
+    if(fast && light && itemCount >= this.size) {
+      this.size = Math.min(this.max, Math.ceil(this.size * 1.5));
+    }
+
+    return this.size;
+  }
+}
@@ -0,0 +1,53 @@
+/*
+  Maps content types to the policy used when the server rejects an item with a sync_conflict.
+  A uuid_conflict always gives the local item a new uuid, since the uuid belongs to another account.
+  A policy is either one of the constants below, or a function:
+
+  async (item, serverItem, tag, syncManager) => {
+    // Resolve the conflict yourself and return nothing, or return one of the policy constants to apply it.
+  }
+
+  "*" can be used to register a policy for all content types without their own.
+*/
+
+export class SFConflictPolicyRegistry {
+
+  constructor() {
+    this.policies = {};
+  }
+
+  register(contentType, policy) {
+    if(typeof policy !== 'function' && !SFConflictPolicyRegistry.Policies.includes(policy)) {
+      throw `Unknown conflict policy: ${policy}`;
+    }
+    this.policies[contentType] = policy;
+  }
+
+  remove(contentType) {
+    delete this.policies[contentType];
+  }
+
+  /* Returns null if no policy was registered, in which case the sync manager decides. */
+  policyForContentType(contentType) {
+    return this.policies[contentType] || this.policies["*"] || null;
+  }
+}
+
+// Keep a conflicted copy of the server's version.
+SFConflictPolicyRegistry.Duplicate = "duplicate";
+// Three-way merge if conflict merging is enabled, otherwise (or if the edits overlap) duplicate.
+SFConflictPolicyRegistry.Merge = "merge";
+// Replace the local item with the server's version.
+SFConflictPolicyRegistry.ServerWins = "server-wins";
+// Overwrite the server's version with the local item.
+SFConflictPolicyRegistry.ClientWins = "client-wins";
+// Server or client wins depending on which version has the later client_updated_at.
+SFConflictPolicyRegistry.LastWriterWins = "last-writer-wins";
+
+SFConflictPolicyRegistry.Policies = [
+  SFConflictPolicyRegistry.Duplicate,
+  SFConflictPolicyRegistry.Merge,
+  SFConflictPolicyRegistry.ServerWins,
+  SFConflictPolicyRegistry.ClientWins,
+  SFConflictPolicyRegistry.LastWriterWins
+];
@@ -0,0 +1,231 @@
+/*
+  Tracks the progress of the current sync operation and the outcome of recent ones. An operation spans
+  all the requests needed to sync every dirty item and retrieve every change (batches), from the first request
+  until sync:completed or sync:error.
+
+  Observers receive an immutable snapshot whenever anything changes:
+
+  {
+    phase: one of the SFSyncDiagnostics.Phase* values,
+    inProgress: Boolean,
+    startedAt: Date | null,
+    items: {total, uploaded, retrieved},
+    bytes: {uploaded, downloaded},
+    batches: [{startedAt, duration, itemCount, retrievedCount, uploadedBytes, downloadedBytes, timings: {phase: milliseconds}}],
+    error: the last sync error, if the last operation failed,
+    localError: the last error writing to local storage, if any,
+    recentOutcomes: [{startedAt, finishedAt, duration, success, error, batchCount, savedCount, retrievedCount, conflictCount, uploadedBytes, downloadedBytes}]
+  }
+*/
+
+export class SFSyncDiagnostics {
+
+  constructor({historySize = 10} = {}) {
+    this.historySize = historySize;
+    this.observers = [];
+    this.recentOutcomes = [];
+    this.error = null;
+    this.localError = null;
+    this.reset();
+  }
+
+  reset() {
+    this.phase = SFSyncDiagnostics.PhaseIdle;
+    this.operation = null;
+    this.batch = null;
+  }
+
+  addObserver(callback) {
+    this.observers.push(callback);
+    return callback;
+  }
+
+  removeObserver(callback) {
+    _.pull(this.observers, callback);
+  }
+
+  notifyObservers() {
+    if(this.observers.length == 0) {
+      return;
+    }
+    let snapshot = this.snapshot();
+    for(var observer of this.observers) {
+      observer(snapshot);
+    }
+  }
+
+  isOperationInProgress() {
+    return this.operation != null;
+  }
+
+  beginBatch(itemCount, totalItems) {
+    let now = new Date();
+    if(!this.operation) {
+      this.operation = {
+        startedAt: now,
+        total: 0,
+        uploaded: 0,
+        retrieved: 0,
+        conflicts: 0,
+        uploadedBytes: 0,
+        downloadedBytes: 0,
+        batches: []
+      };
+      this.error = null;
+    }
+    // More items may have become dirty since the operation started
+    this.operation.total = Math.max(totalItems, this.operation.total, this.operation.uploaded + itemCount);
+
+    this.batch = {
+      startedAt: now,
+      duration: null,
+      itemCount: itemCount,
+      retrievedCount: 0,
+      uploadedBytes: 0,
+      downloadedBytes: 0,
+      timings: {}
+    };
+    this.operation.batches.push(this.batch);
+    this.phase = SFSyncDiagnostics.PhaseIdle;
+    this.phaseStart = now;
+  }
+
+  /* Ignored outside of a batch, i.e for local-only operations */
+  beginPhase(phase) {
+    if(!this.batch || this.phase == phase) {
+      return;
+    }
+    this.closePhase();
+    this.phase = phase;
+    this.notifyObservers();
+  }
+
+  closePhase() {
+    let now = new Date();
+    if(this.phase != SFSyncDiagnostics.PhaseIdle) {
+      this.batch.timings[this.phase] = (this.batch.timings[this.phase] || 0) + (now - this.phaseStart);
+    }
+    this.phaseStart = now;
+  }
+
+  recordTransfer({bytesSent, bytesReceived}) {
+    if(!this.batch) {
+      return;
+    }
+    this.batch.uploadedBytes += bytesSent;
+    this.batch.downloadedBytes += bytesReceived;
+    this.operation.uploadedBytes += bytesSent;
+    this.operation.downloadedBytes += bytesReceived;
+  }
+
+  /* itemCount can differ from the count passed to beginBatch if items were left for the next batch */
+  endBatch({itemCount, retrievedCount = 0, conflictCount = 0} = {}) {
+    if(!this.batch) {
+      return;
+    }
+    this.closePhase();
+    this.batch.duration = new Date() - this.batch.startedAt;
+    if(itemCount != null) {
+      this.batch.itemCount = itemCount;
+    }
+    this.batch.retrievedCount = retrievedCount;
+    this.operation.uploaded += this.batch.itemCount;
+    this.operation.retrieved += retrievedCount;
+    this.operation.conflicts += conflictCount;
+    this.batch = null;
+    this.phase = SFSyncDiagnostics.PhaseIdle;
+    this.notifyObservers();
+  }
+
+  endOperation({success, error} = {}) {
+    if(!this.operation) {
+      return;
+    }
+    if(this.batch) {
+      // The batch failed
+      this.closePhase();
+      this.batch.duration = new Date() - this.batch.startedAt;
+      this.batch = null;
+    }
+
+    let finishedAt = new Date();
+    this.recentOutcomes.unshift({
+      startedAt: this.operation.startedAt,
+      finishedAt: finishedAt,
+      duration: finishedAt - this.operation.startedAt,
+      success: success,
+      error: error || null,
+      batchCount: this.operation.batches.length,
+      savedCount: success ? this.operation.uploaded : 0,
+      retrievedCount: this.operation.retrieved,
+      conflictCount: this.operation.conflicts,
+      uploadedBytes: this.operation.uploadedBytes,
+      downloadedBytes: this.operation.downloadedBytes
+    });
+    this.recentOutcomes = this.recentOutcomes.slice(0, this.historySize);
+
+    this.error = success ? null : (error || null);
+    this.lastOperation = this.operation;
+    this.reset();
+    this.notifyObservers();
+  }
+
+  clear() {
+    this.reset();
+    this.recentOutcomes = [];
+    this.lastOperation = null;
+    this.error = null;
+    this.localError = null;
+    this.notifyObservers();
+  }
+
+  setLocalError(error) {
+    if(this.localError === error) {
+      return;
+    }
+    this.localError = error;
+    this.notifyObservers();
+  }
+
+  snapshot() {
+    // While idle, the last operation's counts remain visible
+    let operation = this.operation || this.lastOperation;
+    let snapshot = {
+      phase: this.phase,
+      inProgress: this.operation != null,
+      startedAt: operation ? new Date(operation.startedAt) : null,
+      items: {
+        total: operation ? operation.total : 0,
+        uploaded: operation ? operation.uploaded : 0,
+        retrieved: operation ? operation.retrieved : 0
+      },
+      bytes: {
+        uploaded: operation ? operation.uploadedBytes : 0,
+        downloaded: operation ? operation.downloadedBytes : 0
+      },
+      batches: operation ? _.cloneDeep(operation.batches) : [],
+      error: _.cloneDeep(this.error),
+      localError: this.localError ? {message: this.localError.message || String(this.localError)} : null,
+      recentOutcomes: _.cloneDeep(this.recentOutcomes)
+    };
+    return SFSyncDiagnostics.deepFreeze(snapshot);
+  }
+
+  static deepFreeze(object) {
+    if(object === null || typeof object !== 'object' || Object.isFrozen(object)) {
+      return object;
+    }
+    for(var key of Object.keys(object)) {
+      SFSyncDiagnostics.deepFreeze(object[key]);
+    }
+    return Object.freeze(object);
+  }
+}
+
+SFSyncDiagnostics.PhaseIdle = "idle";
+SFSyncDiagnostics.PhaseSavingLocal = "saving-local";
+SFSyncDiagnostics.PhaseEncrypting = "encrypting";
+SFSyncDiagnostics.PhaseUploading = "uploading";       // until the server starts responding
+SFSyncDiagnostics.PhaseDownloading = "downloading";   // until the response has been received
+SFSyncDiagnostics.PhaseDecrypting = "decrypting";
+SFSyncDiagnostics.PhaseMapping = "mapping";
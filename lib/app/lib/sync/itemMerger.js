@@ -0,0 +1,112 @@
+/*
+  Three-way merge of item content for sync conflicts. Given the last synced version of an item (the base),
+  the local version and the server version, changes made on only one side are combined. Only keys changed
+  differently on both sides are considered overlapping, in which case the merge fails and the caller falls back
+  to creating a conflicted copy.
+
+  Content types can register their own merge functions:
+
+  merger.registerMergeFunction("Note", (base, local, remote, item) => {
+    // return the merged content object, or null if the versions can't be merged
+  });
+*/
+
+export class SFItemMerger {
+
+  constructor() {
+    this.mergeFunctions = {};
+  }
+
+  registerMergeFunction(contentType, mergeFunction) {
+    this.mergeFunctions[contentType] = mergeFunction;
+  }
+
+  removeMergeFunction(contentType) {
+    delete this.mergeFunctions[contentType];
+  }
+
+  /* Returns the merged content object, or null if the edits overlap. */
+  mergeItemContent(item, base, local, remote) {
+    let mergeFunction = this.mergeFunctions[item.content_type];
+    if(mergeFunction) {
+      return mergeFunction(base, local, remote, item);
+    }
+
+    // Keys that have no meaningful weight for content equality can't conflict either. The local value wins for those.
+    let ignoredPaths = item.keysToIgnoreWhenCheckingContentEquality().slice();
+    if(SFItem.AppDomain) {
+      for(var key of item.appDataKeysToIgnoreWhenCheckingContentEquality()) {
+        ignoredPaths.push(["appData", SFItem.AppDomain, key].join("."));
+      }
+    }
+
+    let result = this.threeWayMerge(base, local, remote, ignoredPaths);
+    return result.conflicted ? null : result.value;
+  }
+
+  /* Returns {value, conflicted} */
+  threeWayMerge(base, local, remote, ignoredPaths = [], path = "") {
+    if(_.isEqual(local, remote)) {
+      return {value: local, conflicted: false};
+    }
+    if(_.isEqual(local, base)) {
+      return {value: remote, conflicted: false};
+    }
+    if(_.isEqual(remote, base)) {
+      return {value: local, conflicted: false};
+    }
+
+    if(path == "references") {
+      return {value: this.mergeReferences(base, local, remote), conflicted: false};
+    }
+
+    let isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+    if(isObject(local) && isObject(remote) && (base === undefined || isObject(base))) {
+      var merged = {}, conflicted = false;
+      let keys = _.uniq(Object.keys(local).concat(Object.keys(remote)));
+      for(var key of keys) {
+        let keyPath = path ? `${path}.${key}` : key;
+        let result = this.threeWayMerge(base ? base[key] : undefined, local[key], remote[key], ignoredPaths, keyPath);
+        if(result.conflicted) {
+          conflicted = true;
+        }
+        if(result.value !== undefined) {
+          merged[key] = result.value;
+        }
+      }
+      return {value: merged, conflicted: conflicted};
+    }
+
+    if(ignoredPaths.includes(path)) {
+      return {value: local, conflicted: false};
+    }
+
+    // Both sides changed this value differently
+    return {value: local, conflicted: true};
+  }
+
+  /*
+    References are merged as a set keyed by uuid: a reference added on either side is kept,
+    and a reference removed on either side is removed.
+  */
+  mergeReferences(base = [], local = [], remote = []) {
+    let uuids = (references) => references.map((reference) => reference.uuid);
+    let baseUUIDs = uuids(base), localUUIDs = uuids(local), remoteUUIDs = uuids(remote);
+
+    var results = [];
+    for(var reference of local) {
+      let inRemote = remoteUUIDs.includes(reference.uuid);
+      let addedLocally = !baseUUIDs.includes(reference.uuid);
+      if(inRemote || addedLocally) {
+        results.push(reference);
+      }
+    }
+    for(var reference of remote) {
+      let addedRemotely = !baseUUIDs.includes(reference.uuid);
+      if(addedRemotely && !localUUIDs.includes(reference.uuid)) {
+        results.push(reference);
+      }
+    }
+    return results;
+  }
+}
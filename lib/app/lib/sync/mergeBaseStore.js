@@ -0,0 +1,109 @@
+const MergeBaseKeyPrefix = "mergeBase_";
+const MergeBaseIndexKey = "mergeBase_index";
+
+/*
+  Keeps the last synced content of each item, which SFItemMerger uses as the common ancestor when resolving
+  a sync_conflict. Bases are kept in memory, and only persisted for items with local edits that haven't been synced yet,
+  as those are the only ones that can conflict after a restart. The others are remembered again as they're loaded
+  from local storage. Persisted bases are encrypted with the same keys as the items themselves, one storage key per item.
+*/
+
+export class SFMergeBaseStore {
+
+  constructor(storageManager) {
+    this.storageManager = storageManager;
+    this.bases = {};
+    // uuids whose base in memory hasn't been persisted since it changed
+    this.changed = {};
+  }
+
+  async loadIndex() {
+    if(!this.index) {
+      var value = await this.storageManager.getItem(MergeBaseIndexKey);
+      this.index = value ? JSON.parse(value) : [];
+    }
+    return this.index;
+  }
+
+  /* Remembers the base in memory. It's persisted by storeBases once the item has local edits. */
+  setBase(uuid, content) {
+    this.bases[uuid] = _.cloneDeep(content);
+    this.changed[uuid] = true;
+  }
+
+  forgetBases(uuids) {
+    for(var uuid of uuids) {
+      delete this.bases[uuid];
+      delete this.changed[uuid];
+    }
+  }
+
+  /*
+    Persists the bases of items, and removes the persisted bases of removedUUIDs, writing the index at most once.
+    info: {keys, auth_params}, as returned by SFSyncManager.getActiveKeyInfo
+  */
+  async storeBases(items, removedUUIDs, info) {
+    let index = await this.loadIndex();
+    var indexChanged = false;
+
+    for(var item of items) {
+      let content = this.bases[item.uuid];
+      if(!content || (!this.changed[item.uuid] && index.includes(item.uuid))) {
+        continue;
+      }
+      var base = new SFItem({uuid: item.uuid, content_type: item.content_type, content: content});
+      var params = await new SFItemParams(base, info.keys, info.auth_params).paramsForSync();
+      await this.storageManager.setItem(MergeBaseKeyPrefix + item.uuid, JSON.stringify(params));
+      delete this.changed[item.uuid];
+      if(!index.includes(item.uuid)) {
+        index.push(item.uuid);
+        indexChanged = true;
+      }
+    }
+
+    for(var uuid of removedUUIDs) {
+      if(index.includes(uuid)) {
+        await this.storageManager.removeItem(MergeBaseKeyPrefix + uuid);
+        _.pull(index, uuid);
+        indexChanged = true;
+      }
+    }
+
+    if(indexChanged) {
+      await this.storageManager.setItem(MergeBaseIndexKey, JSON.stringify(index));
+    }
+  }
+
+  /* Returns the base content object for the item, or null if none was recorded. */
+  async baseForItem(uuid, keys) {
+    if(this.bases[uuid]) {
+      return _.cloneDeep(this.bases[uuid]);
+    }
+
+    var value = await this.storageManager.getItem(MergeBaseKeyPrefix + uuid);
+    if(!value) {
+      return null;
+    }
+
+    var params = JSON.parse(value);
+    await SFJS.itemTransformer.decryptItem(params, keys);
+    if(params.errorDecrypting) {
+      return null;
+    }
+
+    var content = typeof params.content === 'string' ? JSON.parse(params.content) : params.content;
+    this.bases[uuid] = content;
+    return _.cloneDeep(content);
+  }
+
+  async clear() {
+    let index = await this.loadIndex();
+    for(var uuid of index) {
+      await this.storageManager.removeItem(MergeBaseKeyPrefix + uuid);
+    }
+    this.bases = {};
+    this.changed = {};
+    this.index = [];
+    return this.storageManager.removeItem(MergeBaseIndexKey);
+  }
+}
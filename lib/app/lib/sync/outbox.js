@@ -0,0 +1,89 @@
+const SyncOutboxStorageKey = "syncOutbox";
+
+/*
+  Durable record of the sync operation currently in flight, so that an interrupted sync (i.e a crashed tab)
+  can be resumed after restart. Persisted as a simple key/value through SFStorageManager:
+
+  {
+    pendingBatch: {uuids, sync_token, cursor_token, started_at} | null,
+    inProgress: Boolean, // true while a multi round trip operation (cursor_token or needsMoreSync) is unfinished
+    savedUUIDs: [String] // items saved so far during the multi round trip operation
+  }
+*/
+
+export class SFSyncOutbox {
+
+  constructor(storageManager) {
+    this.storageManager = storageManager;
+  }
+
+  emptyState() {
+    return {pendingBatch: null, inProgress: false, savedUUIDs: []};
+  }
+
+  async load() {
+    if(!this.state) {
+      var value = await this.storageManager.getItem(SyncOutboxStorageKey);
+      try {
+        this.state = value ? JSON.parse(value) : this.emptyState();
+      } catch (e) {
+        console.error("Unable to parse sync outbox, discarding", e);
+        this.state = this.emptyState();
+      }
+    }
+    return this.state;
+  }
+
+  async persist() {
+    return this.storageManager.setItem(SyncOutboxStorageKey, JSON.stringify(this.state));
+  }
+
+  async pendingBatch() {
+    return (await this.load()).pendingBatch;
+  }
+
+  async isOperationInProgress() {
+    return (await this.load()).inProgress;
+  }
+
+  async savedUUIDs() {
+    return (await this.load()).savedUUIDs;
+  }
+
+  /* Called right before a batch is sent to the server. */
+  async recordBatch(uuids, syncToken, cursorToken) {
+    await this.load();
+    this.state.pendingBatch = {
+      uuids: uuids,
+      sync_token: syncToken,
+      cursor_token: cursorToken,
+      started_at: new Date()
+    };
+    this.state.inProgress = true;
+    return this.persist();
+  }
+
+  /*
+    Called once the server response has been fully applied and the new tokens written.
+    `continuing` is true if more round trips are needed to complete the operation.
+  */
+  async completeBatch(continuing, savedUUIDs) {
+    await this.load();
+    this.state.pendingBatch = null;
+    this.state.inProgress = continuing;
+    this.state.savedUUIDs = continuing ? savedUUIDs : [];
+    return this.persist();
+  }
+
+  /* Called when a batch fails. Its items remain dirty and will be sent again on the next sync. */
+  async abandonBatch() {
+    await this.load();
+    this.state.pendingBatch = null;
+    return this.persist();
+  }
+
+  async clear() {
+    this.state = this.emptyState();
+    return this.storageManager.removeItem(SyncOutboxStorageKey);
+  }
+}
@@ -0,0 +1,238 @@
+/*
+  Listens for change notifications from the server over a WebSocket or Server-Sent Events connection,
+  and syncs shortly after remote items change instead of waiting for the next poll.
+
+  The server is expected to send messages in the form {"event": "items-changed", "sync_token": "..."}.
+  Several notifications in quick succession result in a single sync. While the channel can't be established,
+  the channel reconnects with backoff and, after `retryPolicy.maxAttempts` failed attempts, falls back to polling.
+
+  options:
+  {
+    url: channel url, or an async function returning it (i.e to append credentials). Defaults to <server>/items/changes,
+    type: "websocket" or "sse" (default "websocket"),
+    connectionFactory: (url) => connection. Defaults to the global WebSocket or EventSource,
+    debounce: milliseconds to wait for further notifications before syncing (default 1000),
+    pollInterval: milliseconds between syncs while falling back to polling (default 30000),
+    retryPolicy: SFSyncRetryPolicy used for reconnect delays
+  }
+
+  Notifies the sync manager's event handlers of push:connected, push:disconnected and push:polling.
+*/
+
+export class SFSyncPushChannel {
+
+  constructor(syncManager, {url, type = "websocket", connectionFactory, debounce = 1000, pollInterval = 30000, retryPolicy} = {}) {
+    this.syncManager = syncManager;
+    this.url = url;
+    this.type = type;
+    this.connectionFactory = connectionFactory || SFSyncPushChannel.defaultConnectionFactory(type);
+    this.debounce = debounce;
+    this.pollInterval = pollInterval;
+    this.retryPolicy = retryPolicy || new SFSyncRetryPolicy({maxAttempts: 3, baseDelay: 1000, maxDelay: 60000});
+
+    this.$timeout = syncManager.$timeout;
+    this.$interval = syncManager.$interval;
+
+    this.status = SFSyncPushChannel.StatusStopped;
+    this.failedAttempts = 0;
+    this.connection = null;
+  }
+
+  static defaultConnectionFactory(type) {
+    if(type == "sse") {
+      if(typeof EventSource !== 'undefined') {
+        return (url) => new EventSource(url);
+      }
+    } else if(typeof WebSocket !== 'undefined') {
+      return (url) => new WebSocket(url);
+    }
+    return null;
+  }
+
+  async channelURL() {
+    if(typeof this.url === 'function') {
+      return this.url();
+    }
+    if(this.url) {
+      return this.url;
+    }
+    var url = await this.syncManager.getServerURL() + "/items/changes";
+    if(this.type == "websocket") {
+      url = url.replace(/^http/, "ws");
+    }
+    return url;
+  }
+
+  start() {
+    if(this.started) {
+      return;
+    }
+    this.started = true;
+    this.failedAttempts = 0;
+    this.connect();
+  }
+
+  stop() {
+    this.started = false;
+    this.closeConnection();
+    this.cancelTimeout("reconnectTimeout");
+    this.cancelTimeout("syncTimeout");
+    this.stopPolling();
+    this.status = SFSyncPushChannel.StatusStopped;
+  }
+
+  async connect() {
+    if(!this.connectionFactory) {
+      // Push isn't supported on this platform
+      this.startPolling();
+      return;
+    }
+
+    // connect is called without awaiting it, so failures (i.e resolving the url) are handled here and retried like a closed connection
+    try {
+      let url = await this.channelURL();
+      if(!this.started) {
+        return;
+      }
+      this.open(url);
+    } catch (e) {
+      console.error("Unable to open push channel", e);
+      this.connectionClosed(null);
+    }
+  }
+
+  open(url) {
+    let connection = this.connectionFactory(url);
+    this.connection = connection;
+    if(this.status != SFSyncPushChannel.StatusPolling) {
+      this.status = SFSyncPushChannel.StatusConnecting;
+    }
+
+    connection.onopen = () => {
+      if(connection !== this.connection) { return; }
+      let reconnected = this.failedAttempts > 0;
+      this.failedAttempts = 0;
+      this.stopPolling();
+      this.status = SFSyncPushChannel.StatusConnected;
+      this.syncManager.notifyEvent("push:connected");
+      if(reconnected) {
+        // Changes may have happened while we were disconnected
+        this.scheduleSync();
+      }
+    }
+
+    connection.onmessage = (event) => {
+      if(connection !== this.connection) { return; }
+      this.handleMessage(event.data);
+    }
+
+    // WebSockets follow an error with a close event, EventSource only errors (and would reconnect on its own).
+    // Either way we close the connection and reconnect ourselves.
+    connection.onerror = () => {
+      this.connectionClosed(connection);
+    }
+
+    connection.onclose = () => {
+      this.connectionClosed(connection);
+    }
+  }
+
+  connectionClosed(connection) {
+    if(connection !== this.connection) {
+      return;
+    }
+    this.closeConnection();
+
+    if(!this.started) {
+      return;
+    }
+
+    this.failedAttempts++;
+    this.syncManager.notifyEvent("push:disconnected", {attempts: this.failedAttempts});
+
+    if(this.failedAttempts >= this.retryPolicy.maxAttempts) {
+      this.startPolling();
+    } else if(this.status != SFSyncPushChannel.StatusPolling) {
+      this.status = SFSyncPushChannel.StatusConnecting;
+    }
+
+    let delay = this.retryPolicy.delayForAttempt(this.failedAttempts);
+    this.cancelTimeout("reconnectTimeout");
+    this.reconnectTimeout = this.$timeout(() => {
+      this.reconnectTimeout = null;
+      this.connect();
+    }, delay);
+  }
+
+  closeConnection() {
+    let connection = this.connection;
+    this.connection = null;
+    if(connection) {
+      try {
+        connection.close();
+      } catch (e) {}
+    }
+  }
+
+  async handleMessage(data) {
+    var message;
+    try {
+      message = typeof data === 'string' ? JSON.parse(data) : data;
+    } catch (e) {
+      console.log("Ignoring malformed push message", data);
+      return;
+    }
+
+    if(!message || message.event !== "items-changed") {
+      return;
+    }
+
+    // Our own syncs also produce notifications. If we're already at the announced token, there's nothing new.
+    if(message.sync_token && message.sync_token === await this.syncManager.getSyncToken()) {
+      return;
+    }
+
+    this.scheduleSync();
+  }
+
+  scheduleSync() {
+    this.cancelTimeout("syncTimeout");
+    this.syncTimeout = this.$timeout(() => {
+      this.syncTimeout = null;
+      this.syncManager.sync();
+    }, this.debounce);
+  }
+
+  startPolling() {
+    this.status = SFSyncPushChannel.StatusPolling;
+    if(this.pollTimer || !this.started) {
+      return;
+    }
+    this.syncManager.notifyEvent("push:polling");
+    this.pollTimer = this.$interval(() => {
+      this.syncManager.sync();
+    }, this.pollInterval);
+  }
+
+  stopPolling() {
+    if(!this.pollTimer) {
+      return;
+    }
+    if(this.$interval.hasOwnProperty("cancel")) {
+      this.$interval.cancel(this.pollTimer);
+    } else {
+      clearInterval(this.pollTimer);
+    }
+    this.pollTimer = null;
+  }
+
+  cancelTimeout(name) {
+    this.syncManager.cancelTimeout(this[name]);
+    this[name] = null;
+  }
+}
+
+SFSyncPushChannel.StatusStopped = "stopped";
+SFSyncPushChannel.StatusConnecting = "connecting";
+SFSyncPushChannel.StatusConnected = "connected";
+SFSyncPushChannel.StatusPolling = "polling";
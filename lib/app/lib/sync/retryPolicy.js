@@ -0,0 +1,64 @@
+/*
+  Decides whether a failed sync request should be retried, and how long to wait before doing so.
+  Errors are in the format rejected by SFHttpManager.request: {response, status, headers}.
+  maxAttempts is the total number of attempts, including the first one.
+
+  Syncs aren't retried unless a policy is set with SFSyncManager.setRetryPolicy, apart from a single retry of a stalled sync.
+*/
+
+export class SFSyncRetryPolicy {
+
+  constructor({maxAttempts = 5, baseDelay = 1000, maxDelay = 60000, jitter = 0.5} = {}) {
+    this.maxAttempts = maxAttempts;
+    this.baseDelay = baseDelay;
+    this.maxDelay = maxDelay;
+    // Fraction of the computed delay that is randomized, so that many clients don't retry in lockstep.
+    this.jitter = jitter;
+  }
+
+  isRetryable(error) {
+    let status = error && error.status;
+    if(status == null) {
+      // Not a network error (i.e an exception while processing the response). Retrying won't help.
+      return false;
+    }
+    // 0 means the server could not be reached
+    return status == 0 || status == 429 || status >= 500;
+  }
+
+  shouldRetry(error, attempt) {
+    return this.isRetryable(error) && attempt < this.maxAttempts;
+  }
+
+  /* attempt starts at 1 for the first retry */
+  delayForAttempt(attempt, error) {
+    let retryAfter = this.retryAfterDelay(error);
+    if(retryAfter != null) {
+      return retryAfter;
+    }
+
+    let exponential = Math.min(this.maxDelay, this.baseDelay * Math.pow(2, attempt - 1));
+    let randomized = exponential * this.jitter * Math.random();
+    return Math.round(exponential - randomized);
+  }
+
+  /* Returns the delay in milliseconds requested by the server's Retry-After header, if any. */
+  retryAfterDelay(error) {
+    let value = error && error.headers && error.headers["retry-after"];
+    if(!value) {
+      return null;
+    }
+
+    let seconds = Number(value);
+    if(!isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    let date = Date.parse(value);
+    if(!isNaN(date)) {
+      return Math.max(0, date - new Date());
+    }
+
+    return null;
+  }
+}
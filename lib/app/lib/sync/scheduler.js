@@ -0,0 +1,141 @@
+/*
+  Decides when to sync, so that clients don't each have to implement the same loop:
+  - shortly after items are marked dirty, debounced so that typing doesn't sync on every keystroke
+  - on a regular poll interval
+  - immediately when resumed, i.e when the app regains focus
+
+  While syncs fail (i.e the user is offline), the poll interval doubles after each failure up to maxOfflineInterval.
+
+  options:
+  {
+    editDebounce: milliseconds to wait after the last edit before syncing (default 1000),
+    pollInterval: milliseconds between syncs (default 30000),
+    maxOfflineInterval: upper bound of the poll interval while syncs fail (default 300000)
+  }
+*/
+
+export class SFSyncScheduler {
+
+  constructor(syncManager, {editDebounce = 1000, pollInterval = 30000, maxOfflineInterval = 300000} = {}) {
+    this.syncManager = syncManager;
+    this.editDebounce = editDebounce;
+    this.pollInterval = pollInterval;
+    this.maxOfflineInterval = maxOfflineInterval;
+
+    this.$timeout = syncManager.$timeout;
+
+    this.failedSyncs = 0;
+    this.started = false;
+    this.paused = false;
+  }
+
+  start() {
+    if(this.started) {
+      return;
+    }
+    this.started = true;
+    this.paused = false;
+
+    this.dirtyObserver = this.syncManager.modelManager.addItemDirtyObserver(() => {
+      this.itemDidBecomeDirty();
+    });
+
+    // Syncs triggered elsewhere also tell us whether we're back online
+    this.eventHandler = this.syncManager.addEventHandler((syncEvent) => {
+      if(syncEvent == "sync:completed" && this.failedSyncs > 0) {
+        this.failedSyncs = 0;
+        this.schedulePoll();
+      }
+    });
+
+    this.schedulePoll();
+  }
+
+  stop() {
+    this.started = false;
+    this.syncManager.modelManager.removeItemDirtyObserver(this.dirtyObserver);
+    this.syncManager.removeEventHandler(this.eventHandler);
+    this.cancelTimeout("editTimeout");
+    this.cancelTimeout("pollTimeout");
+  }
+
+  /* i.e when the app is hidden. Edits are still saved locally by the next sync. */
+  pause() {
+    this.paused = true;
+    this.cancelTimeout("editTimeout");
+    this.cancelTimeout("pollTimeout");
+  }
+
+  /* i.e when the app regains focus. Syncs right away to pick up remote changes. */
+  resume() {
+    if(!this.paused) {
+      return;
+    }
+    this.paused = false;
+    return this.syncNow();
+  }
+
+  /* Pauses while the document is hidden and resumes once it's visible again. Returns a function that stops observing. */
+  observeVisibility(doc = document) {
+    let listener = () => {
+      if(doc.hidden) {
+        this.pause();
+      } else {
+        this.resume();
+      }
+    };
+    doc.addEventListener("visibilitychange", listener);
+    return () => {
+      doc.removeEventListener("visibilitychange", listener);
+    }
+  }
+
+  itemDidBecomeDirty() {
+    if(!this.started || this.paused) {
+      return;
+    }
+    this.cancelTimeout("editTimeout");
+    this.editTimeout = this.$timeout(() => {
+      this.editTimeout = null;
+      // Items may have been synced in the meantime by someone else
+      if(this.syncManager.modelManager.getDirtyItems().length > 0) {
+        this.syncNow();
+      }
+    }, this.editDebounce);
+  }
+
+  async syncNow() {
+    this.cancelTimeout("pollTimeout");
+    let response = await this.syncManager.sync();
+    if(response && response.error) {
+      this.failedSyncs++;
+    } else {
+      this.failedSyncs = 0;
+    }
+    this.schedulePoll();
+    return response;
+  }
+
+  currentPollInterval() {
+    if(this.failedSyncs == 0) {
+      return this.pollInterval;
+    }
+    return Math.min(this.maxOfflineInterval, this.pollInterval * Math.pow(2, this.failedSyncs));
+  }
+
+  schedulePoll() {
+    this.cancelTimeout("pollTimeout");
+    if(!this.started || this.paused) {
+      return;
+    }
+    this.pollTimeout = this.$timeout(() => {
+      this.pollTimeout = null;
+      this.syncNow();
+    }, this.currentPollInterval());
+  }
+
+  cancelTimeout(name) {
+    this.syncManager.cancelTimeout(this[name]);
+    this[name] = null;
+  }
+}
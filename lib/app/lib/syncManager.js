@@ -17,6 +17,333 @@ export class SFSyncManager {
     this.syncStatus = {};
     this.syncStatusObservers = [];
     this.eventHandlers = [];
+
+    this.retryPolicy = null;
+    this.retryAttempt = 0;
+
+    this.outbox = new SFSyncOutbox(storageManager);
+
+    this.setBatchOptions({});
+
+    // Conflict merging is opt-in, see enableConflictMerging
+    this.itemMerger = null;
+
+    this.conflictPolicies = new SFConflictPolicyRegistry();
+
+    this.diagnostics = new SFSyncDiagnostics();
+
+    this.setSyncTimeouts({});
+  }
+
+  /*
+    Limits sync to the items this client is interested in. Pass null to sync everything.
+
+    subscription:
+    {
+      contentTypes: ["Tag", "SN|Component"],
+      predicates: [["created_at", ">", "30.days.ago"]] // SFPredicate arrays, evaluated against the unencrypted fields
+    }
+
+    The subscription is forwarded with every sync request so that servers that support it only send matching items.
+    Other items received anyway are stored locally in encrypted form, but are never decrypted or mapped.
+    Items the server filtered out were never downloaded, so widening a subscription requires a full resync (clearSyncToken).
+   */
+  setSyncSubscription(subscription) {
+    if(!subscription) {
+      this.syncSubscription = null;
+      return;
+    }
+    this.syncSubscription = {
+      contentTypes: subscription.contentTypes || null,
+      predicates: subscription.predicates || null
+    };
+  }
+
+  isSubscribedToItem(itemParams) {
+    if(!this.syncSubscription) {
+      return true;
+    }
+
+    // Items we already have stay up to date, even if they no longer match
+    if(this.modelManager.findItem(itemParams.uuid)) {
+      return true;
+    }
+
+    let {contentTypes, predicates} = this.syncSubscription;
+    if(contentTypes && !contentTypes.includes(itemParams.content_type)) {
+      return false;
+    }
+
+    if(predicates) {
+      let plaintext = _.pick(itemParams, ["uuid", "content_type", "deleted"]);
+      plaintext.created_at = itemParams.created_at && new Date(itemParams.created_at);
+      plaintext.updated_at = itemParams.updated_at && new Date(itemParams.updated_at);
+      for(var predicate of predicates) {
+        if(!SFPredicate.ObjectSatisfiesPredicate(plaintext, SFPredicate.fromArray(predicate))) {
+          return false;
+        }
+      }
+    }
+
+    return true;
+  }
+
+  /*
+    Stores unsubscribed items as received, without decrypting them. Returns the subscribed items.
+    They're still encrypted with the account keys rather than the local ones, so they're marked for loadLocalItems.
+   */
+  async storeUnsubscribedItems(responseItems) {
+    if(!this.syncSubscription) {
+      return responseItems;
+    }
+
+    var subscribed = [], unsubscribed = [];
+    for(var itemParams of responseItems) {
+      if(this.isSubscribedToItem(itemParams)) {
+        subscribed.push(itemParams);
+      } else if(itemParams.deleted) {
+        await this.storageManager.deleteModel(itemParams);
+      } else {
+        unsubscribed.push(Object.assign({}, itemParams, {account_encrypted: true}));
+      }
+    }
+
+    if(unsubscribed.length > 0) {
+      await this.storageManager.saveModels(unsubscribed);
+    }
+    return subscribed;
+  }
+
+  /*
+    options:
+    {
+      warningThreshold: milliseconds after which sync:taking-too-long is emitted (default 5000),
+      hardTimeout: milliseconds after which the sync is abandoned and retried (default 60000, null to disable),
+      stalledRetryDelay: milliseconds before an abandoned sync is retried when no retry policy is set (default 5000)
+    }
+   */
+  setSyncTimeouts(options) {
+    this.syncTimeouts = _.merge({
+      warningThreshold: 5000,
+      hardTimeout: 60000,
+      stalledRetryDelay: 5000
+    }, this.syncTimeouts, options);
+    if(options.hardTimeout === null) {
+      this.syncTimeouts.hardTimeout = null;
+    }
+  }
+
+  setConflictPolicyRegistry(registry) {
+    this.conflictPolicies = registry;
+  }
+
+  /*
+    options:
+    {
+      uploadLimit: number of dirty items sent per sync request (default 100),
+      downloadLimit: number of items the server should return per sync request (default 150),
+      localBatchSize: number of items decrypted at a time in loadLocalItems (default 100),
+      maxPayloadBytes: if set, items are left for the next request once the upload payload would exceed this size,
+      adaptive: if true, upload and download limits are adjusted after each request based on its latency and payload size,
+      targetLatency: milliseconds a request should take in adaptive mode (default 2000)
+    }
+    uploadLimit and downloadLimit can also be passed to individual sync calls.
+   */
+  setBatchOptions(options) {
+    this.batchOptions = _.merge({
+      uploadLimit: 100,
+      downloadLimit: 150,
+      localBatchSize: 100,
+      maxPayloadBytes: null,
+      adaptive: false,
+      targetLatency: 2000
+    }, this.batchOptions, options);
+
+    if(this.batchOptions.adaptive) {
+      let sizerOptions = {
+        targetLatency: this.batchOptions.targetLatency,
+        maxPayloadBytes: this.batchOptions.maxPayloadBytes || undefined
+      };
+      this.uploadBatchSizer = new SFAdaptiveBatchSizer(_.merge({initial: this.batchOptions.uploadLimit}, sizerOptions));
+      this.downloadBatchSizer = new SFAdaptiveBatchSizer(_.merge({initial: this.batchOptions.downloadLimit}, sizerOptions));
+    } else {
+      this.uploadBatchSizer = null;
+      this.downloadBatchSizer = null;
+    }
+  }
+
+  uploadLimit(options = {}) {
+    return options.uploadLimit || (this.uploadBatchSizer ? this.uploadBatchSizer.size : this.batchOptions.uploadLimit);
+  }
+
+  downloadLimit(options = {}) {
+    return options.downloadLimit || (this.downloadBatchSizer ? this.downloadBatchSizer.size : this.batchOptions.downloadLimit);
+  }
+
+  maxPayloadBytes() {
+    return this.batchOptions.maxPayloadBytes || (this.uploadBatchSizer && this.uploadBatchSizer.maxPayloadBytes);
+  }
+
+  /*
+    Drops items from the end of the batch until the encrypted payload fits within maxPayloadBytes.
+    At least one item is always kept, otherwise a single huge item could never be synced.
+    Returns the byte size of the remaining payload.
+   */
+  trimPayloadToMaxBytes(params, subItems) {
+    let maxBytes = this.maxPayloadBytes();
+    if(!maxBytes || !params.items) {
+      return 0;
+    }
+
+    let byteLength = (object) => SFHttpManager.byteLength(JSON.stringify(object));
+    // +1 for the comma separating items
+    let itemSizes = params.items.map((itemParams) => byteLength(itemParams) + 1);
+    var bytes = byteLength(_.omit(params, ["items"])) + itemSizes.reduce((a, b) => a + b, 0);
+
+    while(bytes > maxBytes && params.items.length > 1) {
+      params.items.pop();
+      subItems.pop();
+      bytes -= itemSizes.pop();
+    }
+    return bytes;
+  }
+
+  recordBatchMeasurements(subItems, uploadBytes, startDate, response) {
+    if(!this.uploadBatchSizer) {
+      return;
+    }
+    let latency = new Date() - startDate;
+    this.uploadBatchSizer.recordBatch({itemCount: subItems.length, latency: latency, bytes: uploadBytes});
+
+    let retrievedCount = response.retrieved_items ? response.retrieved_items.length : 0;
+    let downloadBytes = SFHttpManager.byteLength(JSON.stringify(response.retrieved_items || []));
+    this.downloadBatchSizer.recordBatch({itemCount: retrievedCount, latency: latency, bytes: downloadBytes});
+  }
+
+  /*
+    When enabled, a sync_conflict is first resolved with a three-way merge against the last synced version of the item,
+    unless another conflict policy is registered for its content type. A conflicted copy is only created if both sides edited the same keys. Pass your own SFItemMerger to register
+    merge functions for specific content types.
+   */
+  enableConflictMerging(merger) {
+    this.itemMerger = merger || new SFItemMerger();
+    if(!this.mergeBaseStore) {
+      this.mergeBaseStore = new SFMergeBaseStore(this.storageManager);
+    }
+    return this.itemMerger;
+  }
+
+  async disableConflictMerging() {
+    this.itemMerger = null;
+    if(this.mergeBaseStore) {
+      await this.mergeBaseStore.clear();
+      this.mergeBaseStore = null;
+    }
+  }
+
+  /* Remembers the content sent for each item, which becomes the item's merge base once the server saves it. */
+  snapshotMergeBases(subItems) {
+    this.pendingMergeBases = {};
+    if(!this.itemMerger) {
+      return;
+    }
+    for(var item of subItems) {
+      if(!item.deleted && !item.errorDecrypting) {
+        this.pendingMergeBases[item.uuid] = _.cloneDeep(item.createContentJSONFromProperties());
+      }
+    }
+  }
+
+  async recordMergeBases(retrieved, saved) {
+    if(!this.itemMerger) {
+      return;
+    }
+
+    for(var item of retrieved) {
+      if(!item.deleted && !item.errorDecrypting) {
+        this.mergeBaseStore.setBase(item.uuid, item.createContentJSONFromProperties());
+      }
+    }
+
+    for(var item of saved) {
+      let content = this.pendingMergeBases && this.pendingMergeBases[item.uuid];
+      if(!item.deleted && content) {
+        this.mergeBaseStore.setBase(item.uuid, content);
+      }
+    }
+
+    let items = retrieved.concat(saved);
+    let deleted = items.filter((item) => {return item.deleted});
+    this.mergeBaseStore.forgetBases(deleted.map((item) => {return item.uuid}));
+
+    // Items without local edits can't conflict after a restart, so their bases only need to be kept in memory
+    let edited = items.filter((item) => {return item.dirty && !item.deleted});
+    let synced = items.filter((item) => {return !item.dirty || item.deleted});
+    let info = await this.getActiveKeyInfo(SFSyncManager.KeyRequestLoadSaveAccount);
+    await this.mergeBaseStore.storeBases(edited, synced.map((item) => {return item.uuid}), info);
+  }
+
+  /* Persists the bases of items with local edits, as they're written to local storage before being synced. */
+  async storeMergeBases(items) {
+    if(!this.itemMerger || items.length == 0) {
+      return;
+    }
+    let info = await this.getActiveKeyInfo(SFSyncManager.KeyRequestLoadSaveAccount);
+    await this.mergeBaseStore.storeBases(items, [], info);
+  }
+
+  /* Items loaded from local storage without local edits are as they were last synced. */
+  rememberMergeBases(items) {
+    if(!this.itemMerger) {
+      return;
+    }
+    for(var item of items) {
+      if(!item.dirty && !item.deleted && !item.errorDecrypting) {
+        this.mergeBaseStore.setBase(item.uuid, item.createContentJSONFromProperties());
+      }
+    }
+  }
+
+  /*
+    Attempts to resolve a sync_conflict by merging the server's version into the local item.
+    Returns true if the item was merged and marked dirty, false if it should be duplicated instead.
+   */
+  async mergeConflictedItem(item, itemResponse) {
+    if(!this.itemMerger || item.deleted || item.errorDecrypting || itemResponse.deleted || itemResponse.errorDecrypting) {
+      return false;
+    }
+
+    let info = await this.getActiveKeyInfo(SFSyncManager.KeyRequestLoadSaveAccount);
+    let base = await this.mergeBaseStore.baseForItem(item.uuid, info.keys);
+    if(!base) {
+      // Item was never synced by this client, so we can't tell which side changed what.
+      return false;
+    }
+
+    let remote = typeof itemResponse.content === 'string' ? JSON.parse(itemResponse.content) : itemResponse.content;
+    let local = _.cloneDeep(item.createContentJSONFromProperties());
+    let merged = this.itemMerger.mergeItemContent(item, base, local, remote);
+    if(!merged) {
+      return false;
+    }
+
+    // Replace the content wholesale, otherwise keys removed by the merge would survive the deep merge in updateFromJSON.
+    item.content = {};
+    this.modelManager.mapResponseItemsToLocalModels([{
+      uuid: item.uuid,
+      content_type: item.content_type,
+      content: merged,
+      created_at: item.created_at,
+      updated_at: itemResponse.updated_at
+    }], SFModelManager.MappingSourceRemoteRetrieved);
+    item.setDirty(true);
+
+    // The merged result builds on the server's version, which is now the common ancestor.
+    this.mergeBaseStore.setBase(item.uuid, remote);
+    await this.mergeBaseStore.storeBases([item], [], info);
+
+    this.notifyEvent("sync:conflict-merged", {item: item});
+    return true;
   }
 
   async getServerURL() {
@@ -37,6 +364,19 @@ export class SFSyncManager {
     _.pull(this.syncStatusObservers, observer);
   }
 
+  /* callback receives an immutable SFSyncDiagnostics snapshot whenever sync progress changes */
+  registerSyncProgressObserver(callback) {
+    return this.diagnostics.addObserver(callback);
+  }
+
+  removeSyncProgressObserver(observer) {
+    this.diagnostics.removeObserver(observer);
+  }
+
+  currentSyncProgress() {
+    return this.diagnostics.snapshot();
+  }
+
   syncStatusDidChange() {
     this.syncStatusObservers.forEach((observer) => {
       observer.callback(this.syncStatus);
@@ -48,11 +388,19 @@ export class SFSyncManager {
     Possible Events:
     sync:completed
     sync:taking-too-long
+    sync:timed-out
     sync:updated_token
     sync:error
+    sync:retry-scheduled
+    sync:gave-up
+    sync:resumed
+    sync:conflict-merged
+    push:connected
+    push:disconnected
+    push:polling
     major-data-change
     local-data-loaded
-    sync-session-invalid
+    sync-session-invalid (the server rejected the session, and it couldn't be refreshed)
     sync-exception
      */
     this.eventHandlers.push(handler);
@@ -73,6 +421,28 @@ export class SFSyncManager {
     this.keyRequestHandler = handler;
   }
 
+  /*
+    While an account's keys are being changed (see SFReencryptionManager), items can be encrypted with either the previous
+    or the new keys, both locally and on the server, whichever of the two is active. Items that fail to decrypt with the active
+    keys are tried again with each of these key sets. Pass null once every item has been re-encrypted.
+  */
+  setTransitionKeys(keySets) {
+    this.transitionKeys = keySets;
+  }
+
+  async decryptItems(items, keys) {
+    await SFJS.itemTransformer.decryptMultipleItems(items, keys);
+    for(var fallbackKeys of this.transitionKeys || []) {
+      if(keys && fallbackKeys.mk == keys.mk) {
+        continue;
+      }
+      let erroredItems = items.filter((item) => {return item && item.errorDecrypting});
+      if(erroredItems.length > 0) {
+        await SFJS.itemTransformer.decryptMultipleItems(erroredItems, fallbackKeys);
+      }
+    }
+  }
+
   async getActiveKeyInfo(request) {
     // request can be one of [KeyRequestSaveLocal, KeyRequestLoadLocal, KeyRequestLoadSaveAccount]
     // keyRequestHandler is set externally by using class. It should return an object of this format:
@@ -90,8 +460,14 @@ export class SFSyncManager {
     return this._initialDataLoaded;
   }
 
-  async loadLocalItems(incrementalCallback, batchSize = 100) {
+  async loadLocalItems(incrementalCallback, batchSize) {
+    if(!batchSize) {
+      batchSize = this.batchOptions.localBatchSize;
+    }
     return this.storageManager.getAllModels().then((items) => {
+      // Unsynced local changes are always loaded, whatever the subscription
+      items = items.filter((item) => {return item.dirty || this.isSubscribedToItem(item)});
+
       // break it up into chunks to make interface more responsive for large item counts
       let total = items.length;
       var current = 0;
@@ -99,8 +475,14 @@ export class SFSyncManager {
 
       var decryptNext = async () => {
         var subitems = items.slice(current, current + batchSize);
-        var processedSubitems = await this.handleItemsResponse(subitems, null, SFModelManager.MappingSourceLocalRetrieved, SFSyncManager.KeyRequestLoadLocal);
+        let accountEncrypted = subitems.filter((item) => {return item.account_encrypted});
+        let localEncrypted = subitems.filter((item) => {return !item.account_encrypted});
+        var processedSubitems = await this.handleItemsResponse(localEncrypted, null, SFModelManager.MappingSourceLocalRetrieved, SFSyncManager.KeyRequestLoadLocal);
+        if(accountEncrypted.length > 0) {
+          processedSubitems = processedSubitems.concat(await this.handleItemsResponse(accountEncrypted, null, SFModelManager.MappingSourceLocalRetrieved, SFSyncManager.KeyRequestLoadSaveAccount));
+        }
         processed.push(processedSubitems);
+        this.rememberMergeBases(processedSubitems);
 
         current += subitems.length;
 
@@ -115,6 +497,7 @@ export class SFSyncManager {
           // Completed
           this.notifyEvent("local-data-loaded");
           this._initialDataLoaded = true;
+          await this.resumeInterruptedSync();
         }
       }
 
@@ -122,6 +505,38 @@ export class SFSyncManager {
     })
   }
 
+  /*
+    If the app was closed while a sync was in flight, the outbox tells us which batch was submitted
+    and which tokens it was submitted with. We restore that exact state and sync again.
+    The batch may or may not have reached the server. Sending it again is safe, since the content is identical.
+  */
+  async resumeInterruptedSync() {
+    let batch = await this.outbox.pendingBatch();
+    let inProgress = await this.outbox.isOperationInProgress();
+    if(!batch && !inProgress) {
+      return;
+    }
+
+    let savedUUIDs = await this.outbox.savedUUIDs();
+    this.allSavedItems = this.modelManager.findItems(savedUUIDs);
+
+    var resubmitted = [];
+    if(batch) {
+      await this.setSyncToken(batch.sync_token);
+      await this.setCursorToken(batch.cursor_token);
+
+      resubmitted = this.modelManager.findItems(batch.uuids);
+      for(var item of resubmitted) {
+        item.setDirty(true, true);
+      }
+      await this.writeItemsToLocalStorage(resubmitted, false);
+      await this.outbox.abandonBatch();
+    }
+
+    this.notifyEvent("sync:resumed", {resubmittedItems: resubmitted});
+    this.sync();
+  }
+
   async writeItemsToLocalStorage(items, offlineOnly) {
     return new Promise(async (resolve, reject) => {
       if(items.length == 0) {
@@ -144,6 +559,7 @@ export class SFSyncManager {
           if(this.syncStatus.localError) {
             this.syncStatus.localError = null;
             this.syncStatusDidChange();
+            this.diagnostics.setLocalError(null);
           }
           resolve();
         }).catch((error) => {
@@ -151,6 +567,7 @@ export class SFSyncManager {
           console.error("Error writing items", error);
           this.syncStatus.localError = error;
           this.syncStatusDidChange();
+          this.diagnostics.setLocalError(error);
           reject();
         });
       }).catch((e) => {
@@ -242,6 +659,7 @@ export class SFSyncManager {
 
   clearQueuedCallbacks() {
     this._queuedCallbacks = [];
+    this.queuedSync = null;
   }
 
   callQueuedCallbacks(response) {
@@ -258,15 +676,57 @@ export class SFSyncManager {
     if(this.syncStatus.checker) {
       this.stopCheckingIfSyncIsTakingTooLong();
     }
+    var warned = false;
+    let thresholds = [500, this.syncTimeouts.warningThreshold / 2];
+    if(this.syncTimeouts.hardTimeout) {
+      thresholds.push(this.syncTimeouts.hardTimeout / 2);
+    }
     this.syncStatus.checker = this.$interval(function(){
       // check to see if the ongoing sync is taking too long, alert the user
-      var secondsPassed = (new Date() - this.syncStatus.syncStart) / 1000;
-      var warningThreshold = 5.0; // seconds
-      if(secondsPassed > warningThreshold) {
+      var elapsed = new Date() - this.syncStatus.syncStart;
+      if(!warned && elapsed > this.syncTimeouts.warningThreshold) {
+        warned = true;
         this.notifyEvent("sync:taking-too-long");
+      }
+
+      if(this.syncTimeouts.hardTimeout && elapsed > this.syncTimeouts.hardTimeout) {
+        this.handleStalledSync();
+      } else if(warned && !this.syncTimeouts.hardTimeout) {
         this.stopCheckingIfSyncIsTakingTooLong();
       }
-    }.bind(this), 500)
+    }.bind(this), Math.max(10, Math.min(...thresholds)))
+  }
+
+  /*
+    Called once a sync exceeds the hard timeout. Abandons it so that the engine can't stay stuck with syncOpInProgress:
+    the request is aborted, any late response is ignored, waiting callers are resolved with a timeout error, and a retry is scheduled.
+   */
+  async handleStalledSync() {
+    let stalledRequest = this.currentSyncRequest;
+    this.currentSyncRequest = null;
+    this.stopCheckingIfSyncIsTakingTooLong();
+
+    if(stalledRequest && stalledRequest.abortController) {
+      stalledRequest.abortController.abort();
+    }
+
+    let error = {message: "Sync timed out."};
+    this.syncStatus.syncOpInProgress = false;
+    this.syncStatus.error = error;
+    this.repeatOnCompletion = false;
+    this.syncStatusDidChange();
+    this.diagnostics.endOperation({success: false, error: error});
+    await this.outbox.abandonBatch();
+
+    this.notifyEvent("sync:timed-out", {timeout: this.syncTimeouts.hardTimeout});
+
+    let response = {error: error, timedOut: true};
+    if(stalledRequest) {
+      stalledRequest.resolve(response);
+    }
+    this.callQueuedCallbacks(response);
+
+    this.scheduleRetryIfNeeded({status: 0, timedOut: true}, stalledRequest ? stalledRequest.options : null);
   }
 
   stopCheckingIfSyncIsTakingTooLong() {
@@ -278,6 +738,72 @@ export class SFSyncManager {
     this.syncStatus.checker = null;
   }
 
+  /*
+    Pass an SFSyncRetryPolicy to retry failed syncs automatically, or null to disable retries again.
+    Retries are off by default, except that a stalled sync is retried once, after syncTimeouts.stalledRetryDelay.
+   */
+  setRetryPolicy(policy) {
+    this.retryPolicy = policy;
+  }
+
+  cancelScheduledRetry() {
+    this.cancelTimeout(this.retryTimeout);
+    this.retryTimeout = null;
+  }
+
+  /* Cancels a timeout created with this.$timeout, which is either Angular's $timeout or setTimeout. Also used by the scheduler and push channel. */
+  cancelTimeout(timeout) {
+    if(!timeout) {
+      return;
+    }
+    if(this.$timeout.hasOwnProperty("cancel")) {
+      this.$timeout.cancel(timeout);
+    } else {
+      clearTimeout(timeout);
+    }
+  }
+
+  scheduleRetryIfNeeded(error, options) {
+    this.cancelScheduledRetry();
+
+    // An abandoned sync may have left its batch unsent, so it's retried even without a policy
+    var policy = this.retryPolicy;
+    if(!policy && error && error.timedOut) {
+      policy = new SFSyncRetryPolicy({maxAttempts: 2, baseDelay: this.syncTimeouts.stalledRetryDelay, jitter: 0});
+    }
+    if(!policy) {
+      return;
+    }
+
+    this.retryAttempt++;
+
+    if(!policy.shouldRetry(error, this.retryAttempt)) {
+      let fatal = !policy.isRetryable(error);
+      this.notifyEvent("sync:gave-up", {
+        attempts: this.retryAttempt,
+        reason: fatal ? "fatal" : "max-attempts",
+        status: error && error.status,
+        error: error && error.response && error.response.error
+      });
+      this.retryAttempt = 0;
+      return;
+    }
+
+    let delay = policy.delayForAttempt(this.retryAttempt, error);
+    this.notifyEvent("sync:retry-scheduled", {
+      attempt: this.retryAttempt,
+      maxAttempts: policy.maxAttempts,
+      delay: delay,
+      retryAt: new Date(Date.now() + delay),
+      status: error && error.status
+    });
+
+    this.retryTimeout = this.$timeout(() => {
+      this.retryTimeout = null;
+      this.sync(options);
+    }, delay);
+  }
+
   lockSyncing() {
     this.syncLocked = true;
   }
@@ -321,7 +847,15 @@ export class SFSyncManager {
       // the sync engine is stuck in some inProgress loop.
       if(this.syncStatus.syncOpInProgress && !options.force) {
         this.repeatOnCompletion = true;
-        this.queuedCallbacks.push(resolve);
+        // Any number of calls made while a sync is in progress are served by the same repeat sync,
+        // so they share a single queued callback instead of piling up.
+        if(!this.queuedSync) {
+          this.queuedSync = new Promise((queuedResolve) => {
+            this.queuedCallbacks.push(queuedResolve);
+          });
+        }
+        resolve(this.queuedSync);
+        await this.storeMergeBases(dirtyItemsNotYetSaved);
         await this.writeItemsToLocalStorage(dirtyItemsNotYetSaved, false);
         console.log("Sync op in progress; returning.");
         return;
@@ -345,9 +879,12 @@ export class SFSyncManager {
 
       this.syncStatus.syncOpInProgress = true;
       this.syncStatus.syncStart = new Date();
+      // Identifies this sync, so that its response can be ignored if it was abandoned by handleStalledSync
+      let syncRequest = {resolve: resolve, options: options};
+      this.currentSyncRequest = syncRequest;
       this.beginCheckingIfSyncIsTakingTooLong();
 
-      let submitLimit = 100;
+      let submitLimit = this.uploadLimit(options);
       var subItems = allDirtyItems.slice(0, submitLimit);
       if(subItems.length < allDirtyItems.length) {
         // more items left to be synced, repeat
@@ -368,10 +905,13 @@ export class SFSyncManager {
       }
 
       this.syncStatusDidChange();
+      this.diagnostics.beginBatch(subItems.length, this.syncStatus.total);
 
       // Perform save after you've updated all status signals above. Presync save can take several seconds in some cases.
       // Write to local storage before beginning sync.
       // This way, if they close the browser before the sync request completes, local changes will not be lost
+      this.diagnostics.beginPhase(SFSyncDiagnostics.PhaseSavingLocal);
+      await this.storeMergeBases(dirtyItemsNotYetSaved);
       await this.writeItemsToLocalStorage(dirtyItemsNotYetSaved, false);
       if(options.onPreSyncSave) {
         options.onPreSyncSave();
@@ -392,8 +932,18 @@ export class SFSyncManager {
       }
 
       var params = {};
-      params.limit = 150;
+      params.limit = this.downloadLimit(options);
+
+      if(this.syncSubscription) {
+        if(this.syncSubscription.contentTypes) {
+          params.content_types = this.syncSubscription.contentTypes;
+        }
+        if(this.syncSubscription.predicates) {
+          params.predicates = this.syncSubscription.predicates;
+        }
+      }
 
+      this.diagnostics.beginPhase(SFSyncDiagnostics.PhaseEncrypting);
       try {
         await Promise.all(subItems.map((item) => {
           var itemParams = new SFItemParams(item, info.keys, info.auth_params);
@@ -406,6 +956,11 @@ export class SFSyncManager {
         this.notifyEvent("sync-exception", e);
       }
 
+      let uploadBytes = this.trimPayloadToMaxBytes(params, subItems);
+      if(subItems.length < allDirtyItems.length) {
+        this.syncStatus.needsMoreSync = true;
+      }
+
       for(var item of subItems) {
         // Reset dirty counter to 0, since we're about to sync it.
         // This means anyone marking the item as dirty after this will cause it so sync again and not be cleared on sync completion.
@@ -415,20 +970,62 @@ export class SFSyncManager {
       params.sync_token = await this.getSyncToken();
       params.cursor_token = await this.getCursorToken();
 
+      this.snapshotMergeBases(subItems);
+
+      await this.outbox.recordBatch(subItems.map((item) => {return item.uuid}), params.sync_token, params.cursor_token);
+
+      // A sync is happening now, so any pending retry would be redundant.
+      this.cancelScheduledRetry();
+
+      let requestStart = new Date();
+      let requestOptions = {
+        onHeadersReceived: () => {
+          this.diagnostics.beginPhase(SFSyncDiagnostics.PhaseDownloading);
+        },
+        onTransferComplete: (transfer) => {
+          this.diagnostics.recordTransfer(transfer);
+        }
+      };
+
+      if(typeof AbortController !== 'undefined') {
+        syncRequest.abortController = new AbortController();
+        requestOptions.signal = syncRequest.abortController.signal;
+      }
+
+      if(this.currentSyncRequest !== syncRequest) {
+        // Timed out while preparing the request
+        return;
+      }
+
+      this.diagnostics.beginPhase(SFSyncDiagnostics.PhaseUploading);
+
       try {
-        this.httpManager.postAbsolute(await this.getSyncURL(), params, (response) => {
-          this.handleSyncSuccess(subItems, response, options).then(() => {
-            resolve(response);
-          }).catch((e) => {
-            console.log("Caught sync success exception:", e);
-            this.handleSyncError(null, null, allDirtyItems).then((errorResponse) => {
+        this.httpManager.request("post", await this.getSyncURL(), params, requestOptions).then((response) => {
+          if(this.currentSyncRequest !== syncRequest) {
+            console.log("Ignoring response of abandoned sync.");
+            return;
+          }
+          this.recordBatchMeasurements(subItems, uploadBytes, requestStart, response);
+          this.$timeout(() => {
+            this.handleSyncSuccess(subItems, response, options).then(() => {
+              resolve(response);
+            }).catch((e) => {
+              console.log("Caught sync success exception:", e);
+              this.handleSyncError(null, null, allDirtyItems).then((errorResponse) => {
+                resolve(errorResponse);
+              });
+            });
+          })
+        }, (error) => {
+          if(this.currentSyncRequest !== syncRequest) {
+            return;
+          }
+          this.$timeout(() => {
+            this.handleSyncError(error.response, error.status, allDirtyItems).then((errorResponse) => {
+              this.scheduleRetryIfNeeded(error, options);
               resolve(errorResponse);
             });
-          });
-        }, (response, statusCode) => {
-          this.handleSyncError(response, statusCode, allDirtyItems).then((errorResponse) => {
-            resolve(errorResponse);
-          });
+          })
         });
       }
       catch(e) {
@@ -448,6 +1045,7 @@ export class SFSyncManager {
     }
     this.modelManager.clearDirtyItems(itemsToClearAsDirty);
     this.syncStatus.error = null;
+    this.retryAttempt = 0;
 
     // Filter retrieved_items to remove any items that may be in saved_items for this complete sync operation
     // When signing in, and a user requires many round trips to complete entire retrieval of data, an item may be saved
@@ -459,6 +1057,8 @@ export class SFSyncManager {
     let allSavedUUIDs = this.allSavedItems.map((item) => {return item.uuid});
     response.retrieved_items = response.retrieved_items.filter((candidate) => {return !allSavedUUIDs.includes(candidate.uuid)});
 
+    response.retrieved_items = await this.storeUnsubscribedItems(response.retrieved_items);
+
     // Map retrieved items to local data
     // Note that deleted items will not be returned
     var retrieved = await this.handleItemsResponse(response.retrieved_items, null, SFModelManager.MappingSourceRemoteRetrieved, SFSyncManager.KeyRequestLoadSaveAccount);
@@ -478,6 +1078,8 @@ export class SFSyncManager {
     // Append items to master list of saved items for this ongoing sync operation
     this.allSavedItems = this.allSavedItems.concat(saved);
 
+    await this.recordMergeBases(retrieved, saved);
+
     // Create copies of items or alternate their uuids if neccessary
     var unsaved = response.unsaved;
     // don't `await`. This function calls sync, so if you wait, it will call sync without having completed the sync we're in.
@@ -486,9 +1088,12 @@ export class SFSyncManager {
     // backup with uuid-conflcits (from another account), you'll see very confused duplication.
     await this.handleUnsavedItemsResponse(unsaved);
 
+    this.diagnostics.beginPhase(SFSyncDiagnostics.PhaseSavingLocal);
     await this.writeItemsToLocalStorage(saved, false);
     await this.writeItemsToLocalStorage(retrieved, false);
 
+    this.diagnostics.endBatch({itemCount: syncedItems.length, retrievedCount: retrieved.length, conflictCount: unsaved.length});
+
     this.syncStatus.syncOpInProgress = false;
     this.syncStatus.current += syncedItems.length;
 
@@ -497,8 +1102,8 @@ export class SFSyncManager {
     let isInitialSync = (await this.getSyncToken()) == null;
 
     // set the sync token at the end, so that if any errors happen above, you can resync
-    this.setSyncToken(response.sync_token);
-    this.setCursorToken(response.cursor_token);
+    await this.setSyncToken(response.sync_token);
+    await this.setCursorToken(response.cursor_token);
 
     this.stopCheckingIfSyncIsTakingTooLong();
 
@@ -506,7 +1111,12 @@ export class SFSyncManager {
     // They seem to do the same thing.
 
     let cursorToken = await this.getCursorToken();
-    if(cursorToken || this.syncStatus.needsMoreSync) {
+    let continuing = cursorToken || this.syncStatus.needsMoreSync ? true : false;
+
+    // Only now that the response has been fully applied and the tokens are written is the batch done.
+    await this.outbox.completeBatch(continuing, this.allSavedItems.map((item) => {return item.uuid}));
+
+    if(continuing) {
       return new Promise((resolve, reject) => {
         setTimeout(function () {
           this.sync(options).then(resolve);
@@ -546,6 +1156,8 @@ export class SFSyncManager {
         this.notifyEvent("major-data-change");
       }
 
+      this.diagnostics.endOperation({success: true});
+
       this.callQueuedCallbacks(response);
       this.notifyEvent("sync:completed", {retrievedItems: this.allRetreivedItems, savedItems: this.allSavedItems, unsavedItems: unsaved, initialSync: isInitialSync});
 
@@ -571,9 +1183,11 @@ export class SFSyncManager {
     this.syncStatus.syncOpInProgress = false;
     this.syncStatus.error = response.error;
     this.syncStatusDidChange();
+    this.diagnostics.endOperation({success: false, error: response.error});
 
     this.writeItemsToLocalStorage(allDirtyItems, false);
     this.modelManager.didSyncModelsOffline(allDirtyItems);
+    await this.outbox.abandonBatch();
 
     this.stopCheckingIfSyncIsTakingTooLong();
 
@@ -586,7 +1200,9 @@ export class SFSyncManager {
 
   async handleItemsResponse(responseItems, omitFields, source, keyRequest) {
     var keys = (await this.getActiveKeyInfo(keyRequest)).keys;
-    await SFJS.itemTransformer.decryptMultipleItems(responseItems, keys);
+    this.diagnostics.beginPhase(SFSyncDiagnostics.PhaseDecrypting);
+    await this.decryptItems(responseItems, keys);
+    this.diagnostics.beginPhase(SFSyncDiagnostics.PhaseMapping);
     var items = this.modelManager.mapResponseItemsToLocalModelsOmittingFields(responseItems, omitFields, source);
 
     // During the decryption process, items may be marked as "errorDecrypting". If so, we want to be sure
@@ -621,30 +1237,13 @@ export class SFSyncManager {
 
     for(let mapping of unsaved) {
       var itemResponse = mapping.item;
-      await SFJS.itemTransformer.decryptMultipleItems([itemResponse], (await this.getActiveKeyInfo(SFSyncManager.KeyRequestLoadSaveAccount)).keys);
+      await this.decryptItems([itemResponse], (await this.getActiveKeyInfo(SFSyncManager.KeyRequestLoadSaveAccount)).keys);
       var item = this.modelManager.findItem(itemResponse.uuid);
 
       // Could be deleted
       if(!item) { continue; }
 
-      var error = mapping.error;
-
-      if(error.tag === "uuid_conflict") {
-        // UUID conflicts can occur if a user attempts to
-        // import an old data archive with uuids from the old account into a new account
-        await this.modelManager.alternateUUIDForItem(item);
-      }
-
-      else if(error.tag === "sync_conflict") {
-        // Create a new item with the same contents of this item if the contents differ
-        // We want a new uuid for the new item. Note that this won't neccessarily adjust references.
-        itemResponse.uuid = await SFJS.crypto.generateUUID();
-
-        var dup = this.modelManager.createConflictedItem(itemResponse);
-        if(!itemResponse.deleted && !item.isItemContentEqualWith(dup)) {
-          this.modelManager.addConflictedItem(dup, item);
-        }
-      }
+      await this.resolveConflictedItem(item, itemResponse, mapping.error.tag);
     }
 
     // This will immediately result in "Sync op in progress" and sync will be queued.
@@ -656,16 +1255,115 @@ export class SFSyncManager {
     this.sync(null, {additionalFields: ["created_at", "updated_at"]});
   }
 
+  /* The policy registered for the item's content type, or merge/duplicate depending on whether conflict merging is enabled */
+  conflictPolicyForItem(item) {
+    let policy = this.conflictPolicies.policyForContentType(item.content_type);
+    if(policy) {
+      return policy;
+    }
+    return this.itemMerger ? SFConflictPolicyRegistry.Merge : SFConflictPolicyRegistry.Duplicate;
+  }
+
+  async resolveConflictedItem(item, itemResponse, tag) {
+    if(tag === "uuid_conflict") {
+      // UUID conflicts can occur if a user attempts to import an old data archive with uuids from the old account
+      // into a new account. The uuid belongs to another account, so there's no server version to prefer, whatever the policy.
+      await this.modelManager.alternateUUIDForItem(item);
+      return;
+    }
+
+    var policy = this.conflictPolicyForItem(item);
+
+    if(typeof policy === 'function') {
+      policy = await policy(item, itemResponse, tag, this);
+      if(!policy) {
+        // Resolved by the custom policy
+        return;
+      }
+    }
+
+    if(policy === SFConflictPolicyRegistry.LastWriterWins) {
+      policy = this.isLocalVersionNewer(item, itemResponse) ? SFConflictPolicyRegistry.ClientWins : SFConflictPolicyRegistry.ServerWins;
+    }
+
+    if(tag === "sync_conflict") {
+      if(policy === SFConflictPolicyRegistry.ServerWins) {
+        await this.acceptServerVersion(item, itemResponse);
+      } else if(policy === SFConflictPolicyRegistry.ClientWins) {
+        this.keepLocalVersion(item, itemResponse);
+      } else if(policy === SFConflictPolicyRegistry.Merge && await this.mergeConflictedItem(item, itemResponse)) {
+        return;
+      } else {
+        await this.duplicateConflictedItem(item, itemResponse);
+      }
+    }
+  }
+
+  isLocalVersionNewer(item, itemResponse) {
+    var serverDate = itemResponse.updated_at;
+    if(!itemResponse.deleted && !itemResponse.errorDecrypting) {
+      let content = typeof itemResponse.content === 'string' ? JSON.parse(itemResponse.content) : itemResponse.content;
+      let domainData = content && content.appData && content.appData[SFItem.AppDomain];
+      if(domainData && domainData.client_updated_at) {
+        serverDate = domainData.client_updated_at;
+      }
+    }
+    return item.client_updated_at > new Date(serverDate);
+  }
+
+  async duplicateConflictedItem(item, itemResponse) {
+    // Create a new item with the same contents of this item if the contents differ
+    // We want a new uuid for the new item. Note that this won't neccessarily adjust references.
+    itemResponse.uuid = await SFJS.crypto.generateUUID();
+
+    var dup = this.modelManager.createConflictedItem(itemResponse);
+    if(!itemResponse.deleted && !item.isItemContentEqualWith(dup)) {
+      this.modelManager.addConflictedItem(dup, item);
+    }
+  }
+
+  async acceptServerVersion(item, itemResponse) {
+    if(itemResponse.errorDecrypting) {
+      // We can't read the server's version, so keep a copy rather than losing the local one.
+      return this.duplicateConflictedItem(item, itemResponse);
+    }
+
+    // Replace the content wholesale, otherwise local keys missing from the server version would survive the deep merge.
+    item.content = {};
+    item.setDirty(false);
+    this.modelManager.mapResponseItemsToLocalModels([itemResponse], SFModelManager.MappingSourceRemoteRetrieved);
+    await this.writeItemsToLocalStorage([item], false);
+    await this.recordMergeBases([item], []);
+  }
+
+  keepLocalVersion(item, itemResponse) {
+    // Adopting the server's updated_at tells the server this version was based on its latest one.
+    item.updated_at = new Date(itemResponse.updated_at);
+    item.setDirty(true);
+  }
+
   async handleSignout() {
+    this.cancelScheduledRetry();
+    this.stopCheckingIfSyncIsTakingTooLong();
+    this.currentSyncRequest = null;
+    this.retryAttempt = 0;
+    this.transitionKeys = null;
     this._syncToken = null;
     this._cursorToken = null;
     this._queuedCallbacks = [];
+    this.queuedSync = null;
     this.syncStatus = {};
+    this.diagnostics.clear();
+    await this.outbox.clear();
+    if(this.mergeBaseStore) {
+      await this.mergeBaseStore.clear();
+    }
   }
 
   async clearSyncToken() {
     this._syncToken = null;
     this._cursorToken = null;
+    await this.outbox.clear();
     return this.storageManager.removeItem("syncToken");
   }
 }
@@ -156,6 +156,11 @@ export class SFItem {
       // copy updated_at
       this.client_updated_at = new Date(this.updated_at);
     }
+
+    // Set by the model manager the item belongs to, see SFModelManager.addItemDirtyObserver
+    if(dirty && this.dirtyObserver) {
+      this.dirtyObserver(this);
+    }
   }
 
   updateLocalRelationships() {
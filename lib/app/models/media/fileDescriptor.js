@@ -0,0 +1,29 @@
+/*
+  Describes an attachment uploaded by SFAttachmentManager: content is {name, mimeType, size, chunkSize, chunkCount, key, hash},
+  where key is the file's own encryption key and hash the SHA-256 hash of its data. The chunks themselves are stored
+  through a file endpoint under the descriptor's uuid. It's synced like any other item, so the key only leaves the device
+  encrypted with the account keys. Attach it to an item with item.addItemAsRelationship(descriptor).
+*/
+
+export class SFFileDescriptor extends SFItem {
+
+  static contentType() {
+    return "SF|File";
+  }
+
+  get name() {
+    return this.content.name;
+  }
+
+  get mimeType() {
+    return this.content.mimeType;
+  }
+
+  get size() {
+    return this.content.size;
+  }
+
+  get chunkCount() {
+    return this.content.chunkCount;
+  }
+}
@@ -0,0 +1,27 @@
+/*
+  An account's key pairs for sharing (see SFSharingManager): one to encrypt shares for it, and one to sign the shares it sends.
+  It's synced like any other item, so the private keys only leave the device encrypted with the account keys.
+*/
+
+export class SFKeyPair extends SFItem {
+
+  static contentType() {
+    return "SF|KeyPair";
+  }
+
+  get publicKey() {
+    return this.content.publicKey;
+  }
+
+  get privateKey() {
+    return this.content.privateKey;
+  }
+
+  get signingPublicKey() {
+    return this.content.signingPublicKey;
+  }
+
+  get signingPrivateKey() {
+    return this.content.signingPrivateKey;
+  }
+}
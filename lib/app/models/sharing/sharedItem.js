@@ -0,0 +1,32 @@
+/*
+  An item another account shared with this one. Its content is {sender, recipient, item: {content_type, content}, signature},
+  where sender is {email, public_key, signing_public_key, fingerprint}. It arrives encrypted for this account's public key
+  and signed by the sender, and is then saved like any other item until it's accepted or declined.
+*/
+
+export class SFSharedItem extends SFItem {
+
+  static contentType() {
+    return "SF|SharedItem";
+  }
+
+  get sender() {
+    return this.content.sender || {};
+  }
+
+  get recipient() {
+    return this.content.recipient;
+  }
+
+  get signature() {
+    return this.content.signature;
+  }
+
+  get sharedContentType() {
+    return this.content.item && this.content.item.content_type;
+  }
+
+  get sharedContent() {
+    return this.content.item && this.content.item.content;
+  }
+}
@@ -6,6 +6,8 @@ export class SFAbstractCrypto {
 
   constructor() {
     this.DefaultPBKDF2Length = 768;
+    // Bits derived with Argon2id in 004, split into the server password, mk and ak
+    this.DefaultArgon2Length = 768;
   }
 
   /*
@@ -119,7 +121,7 @@ export class SFAbstractCrypto {
 
   /** Generates two deterministic keys based on one input */
   async generateSymmetricKeyPair({password, pw_salt, pw_cost} = {}) {
-    var output = await this.pbkdf2(password, pw_salt, pw_cost, this.DefaultPBKDF2Length);
+    var output = await this.deriveKey("pbkdf2", [password, pw_salt, pw_cost, this.DefaultPBKDF2Length]);
     var outputLength = output.length;
     var splitLength = outputLength/3;
     var firstThird = output.slice(0, splitLength);
@@ -129,6 +131,10 @@ export class SFAbstractCrypto {
   }
 
   async computeEncryptionKeysForUser(password, authParams) {
+    if(authParams.version == "004") {
+      return this.compute004EncryptionKeysForUser(password, authParams);
+    }
+
     var pw_salt;
 
     if(authParams.version == "003") {
@@ -150,9 +156,134 @@ export class SFAbstractCrypto {
      });
    }
 
-   // Unlike computeEncryptionKeysForUser, this method always uses the latest SF Version
-  async generateInitialKeysAndAuthParamsForUser(identifier, password) {
-    let version = this.SFJS.version;
+  /*
+    004 derives keys with Argon2id. pw_cost is the number of passes and pw_memory the memory size in KiB.
+    ak is derived so that keys keep the same shape, but 004 encryption is authenticated by AES-GCM and doesn't use it.
+  */
+  async compute004EncryptionKeysForUser(password, {identifier, pw_nonce, pw_cost, pw_memory} = {}) {
+    if(!identifier) {
+      console.error("authParams is missing identifier.");
+      return;
+    }
+    var salt = await this.generateSalt(identifier, "004", pw_cost, pw_nonce);
+    var output = await this.deriveKey("argon2", [password, salt.substring(0, 32), pw_cost, pw_memory, this.DefaultArgon2Length]);
+    var splitLength = output.length/3;
+    return {
+      pw: output.slice(0, splitLength),
+      mk: output.slice(splitLength, splitLength * 2),
+      ak: output.slice(splitLength * 2, splitLength * 3)
+    };
+  }
+
+  /* Derives a key with pbkdf2 or argon2 on the worker pool if one is set (see SFCryptoWorkerPool), and on this thread otherwise. */
+  async deriveKey(method, args) {
+    if(this.workerPool) {
+      return this.workerPool.deriveKey(method, args, () => {
+        return this[method](...args);
+      });
+    }
+    return this[method](...args);
+  }
+
+  /* salt is a hex string. Returns the derived bits as a hex string. */
+  async argon2(password, salt, iterations, memory, length) {
+    let tag = SFArgon2.hash({
+      password: this.stringToBytes(password),
+      salt: this.hexStringToBytes(salt),
+      iterations: iterations,
+      memory: memory,
+      length: length/8
+    });
+    return Array.from(tag).map((byte) => ("0" + byte.toString(16)).slice(-2)).join("");
+  }
+
+  stringToBytes(string) {
+    let binary = unescape(encodeURIComponent(string));
+    let bytes = new Uint8Array(binary.length);
+    for(var i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+
+  hexStringToBytes(hex) {
+    let bytes = new Uint8Array(hex.length/2);
+    for(var i = 0; i < bytes.length; i++) {
+      bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+    }
+    return bytes;
+  }
+
+  /* Authenticated encryption (AES-GCM) used by 004. Only available through WebCrypto. */
+  supportsAEAD() {
+    return false;
+  }
+
+  async encryptTextAEAD(text, key, nonce, authenticatedData) {
+    throw "Authenticated encryption is not supported by this crypto implementation.";
+  }
+
+  async decryptTextAEAD(ciphertext, key, nonce, authenticatedData) {
+    throw "Authenticated encryption is not supported by this crypto implementation.";
+  }
+
+  async encryptBytesAEAD(bytes, key, nonce, authenticatedData) {
+    throw "Authenticated encryption is not supported by this crypto implementation.";
+  }
+
+  async decryptBytesAEAD(bytes, key, nonce, authenticatedData) {
+    throw "Authenticated encryption is not supported by this crypto implementation.";
+  }
+
+  async sha256Bytes(bytes) {
+    throw "Hashing binary data is not supported by this crypto implementation.";
+  }
+
+  /* Asymmetric encryption (RSA-OAEP) and signing (ECDSA) used for sharing. Only available through WebCrypto. */
+  supportsAsymmetricEncryption() {
+    return false;
+  }
+
+  async generateKeyPair() {
+    throw "Asymmetric encryption is not supported by this crypto implementation.";
+  }
+
+  async encryptTextAsymmetric(text, publicKey) {
+    throw "Asymmetric encryption is not supported by this crypto implementation.";
+  }
+
+  async decryptTextAsymmetric(ciphertext, privateKey) {
+    throw "Asymmetric encryption is not supported by this crypto implementation.";
+  }
+
+  async generateSigningKeyPair() {
+    throw "Asymmetric encryption is not supported by this crypto implementation.";
+  }
+
+  async signText(text, privateKey) {
+    throw "Asymmetric encryption is not supported by this crypto implementation.";
+  }
+
+  async verifyText(text, signature, publicKey) {
+    throw "Asymmetric encryption is not supported by this crypto implementation.";
+  }
+
+   // Unlike computeEncryptionKeysForUser, this method always uses the latest SF Version, unless another version is requested
+  async generateInitialKeysAndAuthParamsForUser(identifier, password, version) {
+    version = version || this.SFJS.version;
+    if(version == "004") {
+      let pw_nonce = await this.generateRandomKey(256);
+      let authParams = {
+        pw_nonce: pw_nonce,
+        pw_cost: this.SFJS.defaultArgon2Cost,
+        pw_memory: this.SFJS.defaultArgon2Memory,
+        identifier: identifier,
+        version: version
+      };
+      let keys = await this.compute004EncryptionKeysForUser(password, authParams);
+      return {keys: keys, authParams: authParams};
+    }
+
     var pw_cost = this.SFJS.defaultPasswordGenerationCost;
     var pw_nonce = await this.generateRandomKey(256);
     var pw_salt = await this.generateSalt(identifier, version, pw_cost, pw_nonce);
@@ -0,0 +1,412 @@
+/*
+  Argon2id (RFC 9106, version 0x13) and the BLAKE2b hash it's built on, in plain JavaScript so that it runs
+  wherever the rest of the library does. Used for key derivation in protocol version 004.
+
+  64 bit words are stored as pairs of 32 bit words in Uint32Arrays, low word first.
+*/
+
+export class SFArgon2 {
+
+  /*
+    options:
+    {
+      password, salt, secret, associatedData: Uint8Array (secret and associatedData are optional),
+      iterations: number of passes,
+      memory: memory size in KiB,
+      parallelism: number of lanes (default 1),
+      length: tag length in bytes (default 32)
+    }
+    Returns the tag as a Uint8Array.
+  */
+  static hash({password, salt, secret, associatedData, iterations, memory, parallelism = 1, length = 32} = {}) {
+    secret = secret || new Uint8Array(0);
+    associatedData = associatedData || new Uint8Array(0);
+
+    if(memory < 8 * parallelism) {
+      throw "Argon2 memory must be at least 8 KiB per lane.";
+    }
+
+    let h0 = SFArgon2.blake2b(SFArgon2.concatBytes([
+      SFArgon2.le32(parallelism), SFArgon2.le32(length), SFArgon2.le32(memory), SFArgon2.le32(iterations),
+      SFArgon2.le32(SFArgon2.Version), SFArgon2.le32(SFArgon2.TypeArgon2id),
+      SFArgon2.le32(password.length), password,
+      SFArgon2.le32(salt.length), salt,
+      SFArgon2.le32(secret.length), secret,
+      SFArgon2.le32(associatedData.length), associatedData
+    ]), 64);
+
+    let segmentLength = Math.floor(memory / (4 * parallelism));
+    let laneLength = segmentLength * 4;
+    let blockCount = laneLength * parallelism;
+    let instance = {
+      memory: new Uint32Array(blockCount * 256),
+      lanes: parallelism,
+      passes: iterations,
+      segmentLength: segmentLength,
+      laneLength: laneLength,
+      blockCount: blockCount
+    };
+
+    for(var lane = 0; lane < parallelism; lane++) {
+      for(var i = 0; i < 2; i++) {
+        let block = SFArgon2.variableLengthHash(SFArgon2.concatBytes([h0, SFArgon2.le32(i), SFArgon2.le32(lane)]), 1024);
+        SFArgon2.readBlock(instance.memory, lane * laneLength + i, block);
+      }
+    }
+
+    for(var pass = 0; pass < iterations; pass++) {
+      for(var slice = 0; slice < 4; slice++) {
+        for(var lane = 0; lane < parallelism; lane++) {
+          SFArgon2.fillSegment(instance, pass, lane, slice);
+        }
+      }
+    }
+
+    let final = new Uint32Array(256);
+    for(var lane = 0; lane < parallelism; lane++) {
+      let offset = (lane * laneLength + laneLength - 1) * 256;
+      for(var i = 0; i < 256; i++) {
+        final[i] ^= instance.memory[offset + i];
+      }
+    }
+    return SFArgon2.variableLengthHash(SFArgon2.writeBlock(final), length);
+  }
+
+  static fillSegment(instance, pass, lane, slice) {
+    let memory = instance.memory;
+    let dataIndependent = pass == 0 && slice < 2;
+    var addressBlock, inputBlock, zeroBlock;
+
+    if(dataIndependent) {
+      addressBlock = new Uint32Array(256);
+      zeroBlock = new Uint32Array(256);
+      inputBlock = new Uint32Array(256);
+      inputBlock[0] = pass;
+      inputBlock[2] = lane;
+      inputBlock[4] = slice;
+      inputBlock[6] = instance.blockCount;
+      inputBlock[8] = instance.passes;
+      inputBlock[10] = SFArgon2.TypeArgon2id;
+    }
+
+    var startingIndex = 0;
+    if(pass == 0 && slice == 0) {
+      // The first two blocks of each lane are already filled
+      startingIndex = 2;
+      if(dataIndependent) {
+        SFArgon2.nextAddresses(addressBlock, inputBlock, zeroBlock);
+      }
+    }
+
+    let currentOffset = lane * instance.laneLength + slice * instance.segmentLength + startingIndex;
+    var previousOffset = currentOffset % instance.laneLength == 0 ? currentOffset + instance.laneLength - 1 : currentOffset - 1;
+
+    for(var index = startingIndex; index < instance.segmentLength; index++, currentOffset++, previousOffset++) {
+      if(currentOffset % instance.laneLength == 1) {
+        previousOffset = currentOffset - 1;
+      }
+
+      var j1, j2;
+      if(dataIndependent) {
+        if(index % 128 == 0) {
+          SFArgon2.nextAddresses(addressBlock, inputBlock, zeroBlock);
+        }
+        j1 = addressBlock[(index % 128) * 2];
+        j2 = addressBlock[(index % 128) * 2 + 1];
+      } else {
+        j1 = memory[previousOffset * 256];
+        j2 = memory[previousOffset * 256 + 1];
+      }
+
+      var referenceLane = j2 % instance.lanes;
+      if(pass == 0 && slice == 0) {
+        referenceLane = lane;
+      }
+      let sameLane = referenceLane == lane;
+
+      var areaSize;
+      if(pass == 0) {
+        if(slice == 0) {
+          areaSize = index - 1;
+        } else if(sameLane) {
+          areaSize = slice * instance.segmentLength + index - 1;
+        } else {
+          areaSize = slice * instance.segmentLength + (index == 0 ? -1 : 0);
+        }
+      } else if(sameLane) {
+        areaSize = instance.laneLength - instance.segmentLength + index - 1;
+      } else {
+        areaSize = instance.laneLength - instance.segmentLength + (index == 0 ? -1 : 0);
+      }
+
+      let x = SFArgon2.mulHigh(j1, j1);
+      let relativePosition = areaSize - 1 - SFArgon2.mulHigh(areaSize, x);
+      var startPosition = 0;
+      if(pass != 0) {
+        startPosition = slice == 3 ? 0 : (slice + 1) * instance.segmentLength;
+      }
+      let referenceIndex = (startPosition + relativePosition) % instance.laneLength;
+      let referenceOffset = referenceLane * instance.laneLength + referenceIndex;
+
+      SFArgon2.fillBlock(memory, previousOffset * 256, referenceOffset * 256, currentOffset * 256, pass != 0);
+    }
+  }
+
+  static nextAddresses(addressBlock, inputBlock, zeroBlock) {
+    // The counter is a 64 bit word, but never exceeds 32 bits in practice
+    inputBlock[12]++;
+    SFArgon2.compress(zeroBlock, 0, inputBlock, 0, addressBlock, 0, false);
+    SFArgon2.compress(zeroBlock, 0, addressBlock, 0, addressBlock, 0, false);
+  }
+
+  static fillBlock(memory, previousOffset, referenceOffset, nextOffset, withXor) {
+    SFArgon2.compress(memory, previousOffset, memory, referenceOffset, memory, nextOffset, withXor);
+  }
+
+  /* next = G(x, y), or next ^= G(x, y) if withXor. The blocks may overlap. */
+  static compress(xs, xOffset, ys, yOffset, next, nextOffset, withXor) {
+    let r = SFArgon2.scratchR || (SFArgon2.scratchR = new Uint32Array(256));
+    let tmp = SFArgon2.scratchT || (SFArgon2.scratchT = new Uint32Array(256));
+
+    for(var i = 0; i < 256; i++) {
+      r[i] = xs[xOffset + i] ^ ys[yOffset + i];
+    }
+    for(var i = 0; i < 256; i++) {
+      tmp[i] = withXor ? r[i] ^ next[nextOffset + i] : r[i];
+    }
+
+    // Rows of 16 words
+    for(var row = 0; row < 8; row++) {
+      let w = row * 16;
+      SFArgon2.permute(r, w, w + 1, w + 2, w + 3, w + 4, w + 5, w + 6, w + 7, w + 8, w + 9, w + 10, w + 11, w + 12, w + 13, w + 14, w + 15);
+    }
+    // Columns of 16 words, taken two at a time
+    for(var column = 0; column < 8; column++) {
+      let w = column * 2;
+      SFArgon2.permute(r, w, w + 1, w + 16, w + 17, w + 32, w + 33, w + 48, w + 49, w + 64, w + 65, w + 80, w + 81, w + 96, w + 97, w + 112, w + 113);
+    }
+
+    for(var i = 0; i < 256; i++) {
+      next[nextOffset + i] = tmp[i] ^ r[i];
+    }
+  }
+
+  /* The BLAKE2b round function with the multiplications Argon2 adds, applied to 16 words. */
+  static permute(v, w0, w1, w2, w3, w4, w5, w6, w7, w8, w9, w10, w11, w12, w13, w14, w15) {
+    SFArgon2.mixWords(v, w0 * 2, w4 * 2, w8 * 2, w12 * 2);
+    SFArgon2.mixWords(v, w1 * 2, w5 * 2, w9 * 2, w13 * 2);
+    SFArgon2.mixWords(v, w2 * 2, w6 * 2, w10 * 2, w14 * 2);
+    SFArgon2.mixWords(v, w3 * 2, w7 * 2, w11 * 2, w15 * 2);
+    SFArgon2.mixWords(v, w0 * 2, w5 * 2, w10 * 2, w15 * 2);
+    SFArgon2.mixWords(v, w1 * 2, w6 * 2, w11 * 2, w12 * 2);
+    SFArgon2.mixWords(v, w2 * 2, w7 * 2, w8 * 2, w13 * 2);
+    SFArgon2.mixWords(v, w3 * 2, w4 * 2, w9 * 2, w14 * 2);
+  }
+
+  static mixWords(v, a, b, c, d) {
+    var xl, xh;
+    SFArgon2.addMultiplied(v, a, b);
+    xl = v[d] ^ v[a]; xh = v[d + 1] ^ v[a + 1];
+    v[d] = xh; v[d + 1] = xl;
+    SFArgon2.addMultiplied(v, c, d);
+    xl = v[b] ^ v[c]; xh = v[b + 1] ^ v[c + 1];
+    v[b] = (xl >>> 24) | (xh << 8); v[b + 1] = (xh >>> 24) | (xl << 8);
+    SFArgon2.addMultiplied(v, a, b);
+    xl = v[d] ^ v[a]; xh = v[d + 1] ^ v[a + 1];
+    v[d] = (xl >>> 16) | (xh << 16); v[d + 1] = (xh >>> 16) | (xl << 16);
+    SFArgon2.addMultiplied(v, c, d);
+    xl = v[b] ^ v[c]; xh = v[b + 1] ^ v[c + 1];
+    v[b] = (xh >>> 31) | (xl << 1); v[b + 1] = (xl >>> 31) | (xh << 1);
+  }
+
+  /* v[a] = v[a] + v[b] + 2 * lo(v[a]) * lo(v[b]) */
+  static addMultiplied(v, a, b) {
+    let al = v[a], bl = v[b];
+    var productLow = Math.imul(al, bl) >>> 0;
+    var productHigh = SFArgon2.mulHigh(al, bl);
+    productHigh = ((productHigh << 1) | (productLow >>> 31)) >>> 0;
+    productLow = (productLow << 1) >>> 0;
+
+    var low = al + bl;
+    var high = v[a + 1] + v[b + 1] + (low > 0xffffffff ? 1 : 0);
+    low = low >>> 0;
+    let sum = low + productLow;
+    high += productHigh + (sum > 0xffffffff ? 1 : 0);
+    v[a] = sum;
+    v[a + 1] = high;
+  }
+
+  /* The high 32 bits of the 64 bit product of two 32 bit integers */
+  static mulHigh(a, b) {
+    let a0 = a & 0xffff, a1 = a >>> 16, b0 = b & 0xffff, b1 = b >>> 16;
+    let low = a0 * b0, middle1 = a1 * b0, middle2 = a0 * b1;
+    let carry = (low >>> 16) + (middle1 & 0xffff) + (middle2 & 0xffff);
+    return (a1 * b1 + (middle1 >>> 16) + (middle2 >>> 16) + (carry >>> 16)) >>> 0;
+  }
+
+  /* H' from the spec, producing outputs longer than 64 bytes from chained BLAKE2b hashes */
+  static variableLengthHash(input, length) {
+    let prefixed = SFArgon2.concatBytes([SFArgon2.le32(length), input]);
+    if(length <= 64) {
+      return SFArgon2.blake2b(prefixed, length);
+    }
+
+    let output = new Uint8Array(length);
+    var v = SFArgon2.blake2b(prefixed, 64);
+    output.set(v.subarray(0, 32), 0);
+    var position = 32;
+    while(length - position > 64) {
+      v = SFArgon2.blake2b(v, 64);
+      output.set(v.subarray(0, 32), position);
+      position += 32;
+    }
+    output.set(SFArgon2.blake2b(v, length - position), position);
+    return output;
+  }
+
+  static readBlock(memory, blockIndex, bytes) {
+    let offset = blockIndex * 256;
+    for(var i = 0; i < 256; i++) {
+      memory[offset + i] = bytes[i * 4] | (bytes[i * 4 + 1] << 8) | (bytes[i * 4 + 2] << 16) | (bytes[i * 4 + 3] << 24);
+    }
+  }
+
+  static writeBlock(words) {
+    let bytes = new Uint8Array(words.length * 4);
+    for(var i = 0; i < words.length; i++) {
+      bytes[i * 4] = words[i];
+      bytes[i * 4 + 1] = words[i] >>> 8;
+      bytes[i * 4 + 2] = words[i] >>> 16;
+      bytes[i * 4 + 3] = words[i] >>> 24;
+    }
+    return bytes;
+  }
+
+  static le32(n) {
+    return new Uint8Array([n & 0xff, (n >>> 8) & 0xff, (n >>> 16) & 0xff, (n >>> 24) & 0xff]);
+  }
+
+  static concatBytes(arrays) {
+    let length = arrays.reduce((total, array) => total + array.length, 0);
+    let result = new Uint8Array(length);
+    var offset = 0;
+    for(var array of arrays) {
+      result.set(array, offset);
+      offset += array.length;
+    }
+    return result;
+  }
+
+  /*
+  BLAKE2b (RFC 7693), unkeyed
+  */
+
+  static blake2b(input, outputLength = 64) {
+    let h = new Uint32Array(SFArgon2.Blake2bIV);
+    h[0] ^= 0x01010000 ^ outputLength;
+
+    let context = {h: h, buffer: new Uint8Array(128), count: 0, total: 0};
+    for(var i = 0; i < input.length; i++) {
+      if(context.count == 128) {
+        context.total += 128;
+        SFArgon2.blake2bCompress(context, false);
+        context.count = 0;
+      }
+      context.buffer[context.count++] = input[i];
+    }
+
+    context.total += context.count;
+    context.buffer.fill(0, context.count);
+    SFArgon2.blake2bCompress(context, true);
+
+    let output = new Uint8Array(outputLength);
+    for(var i = 0; i < outputLength; i++) {
+      output[i] = h[i >> 2] >>> (8 * (i & 3));
+    }
+    return output;
+  }
+
+  static blake2bCompress(context, last) {
+    let v = SFArgon2.blake2bV || (SFArgon2.blake2bV = new Uint32Array(32));
+    let m = SFArgon2.blake2bM || (SFArgon2.blake2bM = new Uint32Array(32));
+    let h = context.h;
+
+    for(var i = 0; i < 16; i++) {
+      v[i] = h[i];
+      v[i + 16] = SFArgon2.Blake2bIV[i];
+    }
+    v[24] ^= context.total;
+    v[25] ^= context.total / 0x100000000;
+    if(last) {
+      v[28] = ~v[28];
+      v[29] = ~v[29];
+    }
+
+    let b = context.buffer;
+    for(var i = 0; i < 32; i++) {
+      m[i] = b[i * 4] | (b[i * 4 + 1] << 8) | (b[i * 4 + 2] << 16) | (b[i * 4 + 3] << 24);
+    }
+
+    let sigma = SFArgon2.Blake2bSigma;
+    for(var round = 0; round < 12; round++) {
+      let s = (round % 10) * 16;
+      SFArgon2.blake2bMix(v, m, 0, 8, 16, 24, sigma[s] * 2, sigma[s + 1] * 2);
+      SFArgon2.blake2bMix(v, m, 2, 10, 18, 26, sigma[s + 2] * 2, sigma[s + 3] * 2);
+      SFArgon2.blake2bMix(v, m, 4, 12, 20, 28, sigma[s + 4] * 2, sigma[s + 5] * 2);
+      SFArgon2.blake2bMix(v, m, 6, 14, 22, 30, sigma[s + 6] * 2, sigma[s + 7] * 2);
+      SFArgon2.blake2bMix(v, m, 0, 10, 20, 30, sigma[s + 8] * 2, sigma[s + 9] * 2);
+      SFArgon2.blake2bMix(v, m, 2, 12, 22, 24, sigma[s + 10] * 2, sigma[s + 11] * 2);
+      SFArgon2.blake2bMix(v, m, 4, 14, 16, 26, sigma[s + 12] * 2, sigma[s + 13] * 2);
+      SFArgon2.blake2bMix(v, m, 6, 8, 18, 28, sigma[s + 14] * 2, sigma[s + 15] * 2);
+    }
+
+    for(var i = 0; i < 16; i++) {
+      h[i] ^= v[i] ^ v[i + 16];
+    }
+  }
+
+  static blake2bMix(v, m, a, b, c, d, x, y) {
+    var xl, xh;
+    SFArgon2.add64(v, a, v[b], v[b + 1]);
+    SFArgon2.add64(v, a, m[x], m[x + 1]);
+    xl = v[d] ^ v[a]; xh = v[d + 1] ^ v[a + 1];
+    v[d] = xh; v[d + 1] = xl;
+    SFArgon2.add64(v, c, v[d], v[d + 1]);
+    xl = v[b] ^ v[c]; xh = v[b + 1] ^ v[c + 1];
+    v[b] = (xl >>> 24) | (xh << 8); v[b + 1] = (xh >>> 24) | (xl << 8);
+    SFArgon2.add64(v, a, v[b], v[b + 1]);
+    SFArgon2.add64(v, a, m[y], m[y + 1]);
+    xl = v[d] ^ v[a]; xh = v[d + 1] ^ v[a + 1];
+    v[d] = (xl >>> 16) | (xh << 16); v[d + 1] = (xh >>> 16) | (xl << 16);
+    SFArgon2.add64(v, c, v[d], v[d + 1]);
+    xl = v[b] ^ v[c]; xh = v[b + 1] ^ v[c + 1];
+    v[b] = (xh >>> 31) | (xl << 1); v[b + 1] = (xl >>> 31) | (xh << 1);
+  }
+
+  static add64(v, a, low, high) {
+    let sum = v[a] + low;
+    v[a + 1] = v[a + 1] + high + (sum > 0xffffffff ? 1 : 0);
+    v[a] = sum;
+  }
+}
+
+SFArgon2.Version = 0x13;
+SFArgon2.TypeArgon2id = 2;
+
+SFArgon2.Blake2bIV = [
+  0xf3bcc908, 0x6a09e667, 0x84caa73b, 0xbb67ae85, 0xfe94f82b, 0x3c6ef372, 0x5f1d36f1, 0xa54ff53a,
+  0xade682d1, 0x510e527f, 0x2b3e6c1f, 0x9b05688c, 0xfb41bd6b, 0x1f83d9ab, 0x137e2179, 0x5be0cd19
+];
+
+SFArgon2.Blake2bSigma = [
+  0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15,
+  14, 10, 4, 8, 9, 15, 13, 6, 1, 12, 0, 2, 11, 7, 5, 3,
+  11, 8, 12, 0, 5, 2, 15, 13, 10, 14, 3, 6, 7, 1, 9, 4,
+  7, 9, 3, 1, 13, 12, 11, 14, 2, 6, 5, 10, 4, 0, 15, 8,
+  9, 0, 5, 7, 2, 4, 10, 15, 14, 1, 11, 12, 6, 8, 3, 13,
+  2, 12, 6, 10, 0, 11, 8, 3, 4, 13, 7, 5, 15, 14, 1, 9,
+  12, 5, 1, 15, 14, 13, 4, 10, 0, 7, 6, 3, 9, 2, 8, 11,
+  13, 11, 7, 14, 12, 1, 3, 9, 5, 0, 15, 4, 8, 6, 2, 10,
+  6, 15, 14, 9, 11, 3, 0, 8, 12, 2, 13, 7, 1, 4, 10, 5,
+  10, 2, 8, 4, 7, 6, 1, 5, 15, 11, 9, 14, 3, 12, 13, 0
+];
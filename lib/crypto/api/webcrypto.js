@@ -92,10 +92,146 @@ export class SFCryptoWeb extends SFAbstractCrypto {
     })
   }
 
+  supportsAEAD() {
+    return subtleCrypto != null;
+  }
+
+  /* AES-GCM. key and nonce are hex strings, the ciphertext (including the tag) is base64. */
+  async encryptTextAEAD(text, key, nonce, authenticatedData) {
+    var {alg, keyData} = await this.webCryptoAEADKey(key, nonce, authenticatedData, ["encrypt"]);
+    var textData = await this.stringToArrayBuffer(text);
+
+    return subtleCrypto.encrypt(alg, keyData, textData).then(async (result) => {
+      return this.arrayBufferToBase64(result);
+    })
+  }
+
+  /* Returns null if the ciphertext or the authenticated data were tampered with, or the key is wrong. */
+  async decryptTextAEAD(ciphertext, key, nonce, authenticatedData) {
+    var {alg, keyData} = await this.webCryptoAEADKey(key, nonce, authenticatedData, ["decrypt"]);
+    var textData = await this.base64ToArrayBuffer(ciphertext);
+
+    return subtleCrypto.decrypt(alg, keyData, textData).then(async (result) => {
+      return this.arrayBufferToString(result);
+    }).catch((error) => {
+      console.error("Error decrypting:", error);
+      return null;
+    })
+  }
+
+  /* AES-GCM on binary data, i.e attachment chunks. key and nonce are hex strings. Resolves with a Uint8Array. */
+  async encryptBytesAEAD(bytes, key, nonce, authenticatedData) {
+    var {alg, keyData} = await this.webCryptoAEADKey(key, nonce, authenticatedData, ["encrypt"]);
+
+    return subtleCrypto.encrypt(alg, keyData, bytes).then((result) => {
+      return new Uint8Array(result);
+    })
+  }
+
+  /* Returns null if the data or the authenticated data were tampered with, or the key is wrong. */
+  async decryptBytesAEAD(bytes, key, nonce, authenticatedData) {
+    var {alg, keyData} = await this.webCryptoAEADKey(key, nonce, authenticatedData, ["decrypt"]);
+
+    return subtleCrypto.decrypt(alg, keyData, bytes).then((result) => {
+      return new Uint8Array(result);
+    }).catch((error) => {
+      console.error("Error decrypting:", error);
+      return null;
+    })
+  }
+
+  /* Resolves with the hash as a hex string. */
+  async sha256Bytes(bytes) {
+    return this.arrayBufferToHexString(await subtleCrypto.digest("SHA-256", bytes));
+  }
+
+  supportsAsymmetricEncryption() {
+    return subtleCrypto != null;
+  }
+
+  /* RSA-OAEP with SHA-256. Resolves with {publicKey, privateKey}, base64 encoded as SPKI and PKCS #8. */
+  async generateKeyPair() {
+    const alg = {
+      name: 'RSA-OAEP',
+      modulusLength: 2048,
+      publicExponent: new Uint8Array([1, 0, 1]),
+      hash: 'SHA-256'
+    };
+    var keyPair = await subtleCrypto.generateKey(alg, true, ["encrypt", "decrypt"]);
+    return {
+      publicKey: await this.arrayBufferToBase64(await subtleCrypto.exportKey("spki", keyPair.publicKey)),
+      privateKey: await this.arrayBufferToBase64(await subtleCrypto.exportKey("pkcs8", keyPair.privateKey))
+    };
+  }
+
+  /* The ciphertext is base64. */
+  async encryptTextAsymmetric(text, publicKey) {
+    const alg = {name: 'RSA-OAEP', hash: 'SHA-256'};
+    var keyData = await subtleCrypto.importKey("spki", await this.base64ToArrayBuffer(publicKey), alg, false, ["encrypt"]);
+    var textData = await this.stringToArrayBuffer(text);
+
+    return subtleCrypto.encrypt(alg, keyData, textData).then(async (result) => {
+      return this.arrayBufferToBase64(result);
+    })
+  }
+
+  /* Returns null if the ciphertext wasn't encrypted for this private key. */
+  async decryptTextAsymmetric(ciphertext, privateKey) {
+    const alg = {name: 'RSA-OAEP', hash: 'SHA-256'};
+    var keyData = await subtleCrypto.importKey("pkcs8", await this.base64ToArrayBuffer(privateKey), alg, false, ["decrypt"]);
+    var textData = await this.base64ToArrayBuffer(ciphertext);
+
+    return subtleCrypto.decrypt(alg, keyData, textData).then(async (result) => {
+      return this.arrayBufferToString(result);
+    }).catch((error) => {
+      console.error("Error decrypting:", error);
+      return null;
+    })
+  }
+
+  /* ECDSA with P-256. Resolves with {publicKey, privateKey}, base64 encoded as SPKI and PKCS #8. */
+  async generateSigningKeyPair() {
+    var keyPair = await subtleCrypto.generateKey({name: 'ECDSA', namedCurve: 'P-256'}, true, ["sign", "verify"]);
+    return {
+      publicKey: await this.arrayBufferToBase64(await subtleCrypto.exportKey("spki", keyPair.publicKey)),
+      privateKey: await this.arrayBufferToBase64(await subtleCrypto.exportKey("pkcs8", keyPair.privateKey))
+    };
+  }
+
+  /* The signature is base64. */
+  async signText(text, privateKey) {
+    var keyData = await subtleCrypto.importKey("pkcs8", await this.base64ToArrayBuffer(privateKey), {name: 'ECDSA', namedCurve: 'P-256'}, false, ["sign"]);
+    var signature = await subtleCrypto.sign({name: 'ECDSA', hash: 'SHA-256'}, keyData, await this.stringToArrayBuffer(text));
+    return this.arrayBufferToBase64(signature);
+  }
+
+  /* Resolves with false if the signature, or the public key, is invalid. */
+  async verifyText(text, signature, publicKey) {
+    try {
+      var keyData = await subtleCrypto.importKey("spki", await this.base64ToArrayBuffer(publicKey), {name: 'ECDSA', namedCurve: 'P-256'}, false, ["verify"]);
+      return await subtleCrypto.verify({name: 'ECDSA', hash: 'SHA-256'}, keyData, await this.base64ToArrayBuffer(signature), await this.stringToArrayBuffer(text));
+    } catch (error) {
+      console.error("Error verifying signature:", error);
+      return false;
+    }
+  }
+
   /**
   Internal
   */
 
+  /* The AES-GCM algorithm parameters and imported key shared by the AEAD functions. */
+  async webCryptoAEADKey(key, nonce, authenticatedData, actions) {
+    const alg = {
+      name: 'AES-GCM',
+      iv: await this.hexStringToArrayBuffer(nonce),
+      additionalData: await this.stringToArrayBuffer(authenticatedData),
+      tagLength: 128
+    };
+    var keyData = await this.webCryptoImportKey(await this.hexStringToArrayBuffer(key), alg.name, actions);
+    return {alg: alg, keyData: keyData};
+  }
+
   async webCryptoImportKey(input, alg, actions, hash) {
     var text = typeof input === "string" ? await this.stringToArrayBuffer(input) : input;
     return subtleCrypto.importKey("raw", text, { name: alg, hash: hash }, false, actions)
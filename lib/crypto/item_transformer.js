@@ -6,7 +6,13 @@ export class SFItemTransformer {
 
   async _private_encryptString(string, encryptionKey, authKey, uuid, auth_params) {
     var fullCiphertext, contentCiphertext;
-    if(auth_params.version === "001") {
+    if(auth_params.version === "004") {
+      // 96 bit nonce. The uuid, version and auth params are bound to the ciphertext as associated data.
+      var nonce = (await this.crypto.generateRandomKey(128)).substring(0, 24);
+      var authenticatedData = await this.crypto.base64(JSON.stringify({u: uuid, v: auth_params.version, kp: auth_params}));
+      contentCiphertext = await this.crypto.encryptTextAEAD(string, encryptionKey, nonce, authenticatedData);
+      fullCiphertext = [auth_params.version, nonce, contentCiphertext, authenticatedData].join(":");
+    } else if(auth_params.version === "001") {
       contentCiphertext = await this.crypto.encryptText(string, encryptionKey, null);
       fullCiphertext = auth_params.version + contentCiphertext;
     } else {
@@ -21,16 +27,59 @@ export class SFItemTransformer {
     return fullCiphertext;
   }
 
+  /*
+    Wraps an item key with the account keys. From 002 on, the id of the keys (see SFKeyring) is appended to enc_item_key,
+    so that decryption can pick the matching keys from a keyring. Parsers only read the components before it: 002 and 003
+    take the first six (see encryptionComponentsFromString), 004 the first four, so clients that predate key ids ignore it.
+    The id isn't authenticated, so it's only a hint of which keys to try first.
+    Items shared with another account (see SFSharingManager) are encrypted with keys {publicKey}, the recipient's public key,
+    which the item key is wrapped for instead.
+  */
+  async _private_wrapItemKey(item_key, keys, uuid, auth_params) {
+    if(keys instanceof SFKeyring) {
+      keys = keys.currentKeys();
+    }
+    if(keys.publicKey) {
+      return SFItemTransformer.SharePrefix + await this.crypto.encryptTextAsymmetric(item_key, keys.publicKey);
+    }
+    if(auth_params.version === "001") {
+      // legacy
+      return this.crypto.encryptText(item_key, keys.mk, null);
+    }
+    var authKey = auth_params.version === "004" ? null : keys.ak;
+    var wrapped = await this._private_encryptString(item_key, keys.mk, authKey, uuid, auth_params);
+    return [wrapped, await SFKeyring.idForKeys(keys)].join(":");
+  }
+
+  /* The id of the account keys an item's key is wrapped with, or null for 001 and for item keys wrapped before key ids. */
+  keyIdForItem(item) {
+    var encryptedItemKey = item.enc_item_key;
+    var index = encryptedItemKey && SFItemTransformer.KeyIdComponentIndex[encryptedItemKey.substring(0, 3)];
+    if(!index) {
+      return null;
+    }
+    return encryptedItemKey.split(":")[index] || null;
+  }
+
+  /* Runs on the worker pool if one is set (see SFCryptoWorkerPool), and on this thread otherwise. */
   async encryptItem(item, keys, auth_params) {
+    if(this.workerPool) {
+      return this.workerPool.encryptItem(item, keys, auth_params, () => {
+        return this._private_encryptItem(item, keys, auth_params);
+      });
+    }
+    return this._private_encryptItem(item, keys, auth_params);
+  }
+
+  async _private_encryptItem(item, keys, auth_params) {
+    if(auth_params.version === "004") {
+      return this.encryptItem004(item, keys, auth_params);
+    }
+
     var params = {};
     // encrypt item key
     var item_key = await this.crypto.generateItemEncryptionKey();
-    if(auth_params.version === "001") {
-      // legacy
-      params.enc_item_key = await this.crypto.encryptText(item_key, keys.mk, null);
-    } else {
-      params.enc_item_key = await this._private_encryptString(item_key, keys.mk, keys.ak, item.uuid, auth_params);
-    }
+    params.enc_item_key = await this._private_wrapItemKey(item_key, keys, item.uuid, auth_params);
 
     // encrypt content
     var ek = await this.crypto.firstHalfOfKey(item_key);
@@ -45,6 +94,53 @@ export class SFItemTransformer {
     return params;
   }
 
+  /* 004 uses a single 256 bit item key, since AES-GCM authenticates the ciphertext itself. */
+  async encryptItem004(item, keys, auth_params) {
+    var item_key = await this.crypto.generateRandomKey(256);
+    return {
+      enc_item_key: await this._private_wrapItemKey(item_key, keys, item.uuid, auth_params),
+      content: await this._private_encryptString(JSON.stringify(item.createContentJSONFromProperties()), item_key, null, item.uuid, auth_params)
+    };
+  }
+
+  /* Returns the plaintext, or null if it couldn't be authenticated for this item. */
+  async _private_decryptString004(string, encryptionKey, uuid) {
+    var [version, nonce, ciphertext, authenticatedData] = string.split(":");
+    var associated;
+    try {
+      associated = JSON.parse(await this.crypto.base64Decode(authenticatedData));
+    } catch (e) {
+      return {};
+    }
+
+    // The associated data is authenticated, but we still need to check it describes this item
+    if(version !== "004" || associated.v !== version || associated.u !== uuid) {
+      console.error("Associated data does not match item");
+      return {authParams: associated.kp};
+    }
+
+    var plaintext = await this.crypto.decryptTextAEAD(ciphertext, encryptionKey, nonce, authenticatedData);
+    return {plaintext: plaintext, authParams: associated.kp};
+  }
+
+  async decryptItem004(item, keys) {
+    var itemKey = await this._private_unwrapItemKey(item, keys);
+    var content = itemKey && await this._private_decryptString004(item.content, itemKey, item.uuid);
+
+    if(!content || !content.plaintext) {
+      if(!item.errorDecrypting) { item.errorDecryptingValueChanged = true;}
+      item.errorDecrypting = true;
+      return;
+    }
+
+    if(content.authParams) {
+      item.auth_params = content.authParams;
+    }
+    if(item.errorDecrypting == true) { item.errorDecryptingValueChanged = true;}
+    item.errorDecrypting = false;
+    item.content = content.plaintext;
+  }
+
   encryptionComponentsFromString(string, encryptionKey, authKey) {
     var encryptionVersion = string.substring(0, 3);
     if(encryptionVersion === "001") {
@@ -73,6 +169,80 @@ export class SFItemTransformer {
     }
   }
 
+  /* Returns the plaintext item key, or null if it couldn't be decrypted and authenticated with these keys. */
+  async _private_unwrapItemKey(item, keys) {
+    if(keys instanceof SFKeyring) {
+      return this._private_unwrapItemKeyWithKeyring(item, keys);
+    }
+
+    var encryptedItemKey = item.enc_item_key;
+    if(encryptedItemKey.startsWith(SFItemTransformer.SharePrefix)) {
+      // Shared items are decrypted with keys {privateKey}
+      if(!keys.privateKey) {
+        return null;
+      }
+      return this.crypto.decryptTextAsymmetric(encryptedItemKey.substring(SFItemTransformer.SharePrefix.length), keys.privateKey);
+    }
+    if(encryptedItemKey.startsWith("004")) {
+      return (await this._private_decryptString004(encryptedItemKey, keys.mk, item.uuid)).plaintext || null;
+    }
+
+    var requiresAuth = true;
+    if(!encryptedItemKey.startsWith("002") && !encryptedItemKey.startsWith("003")) {
+      // legacy encryption type, has no prefix
+      encryptedItemKey = "001" + encryptedItemKey;
+      requiresAuth = false;
+    }
+    var keyParams = this.encryptionComponentsFromString(encryptedItemKey, keys.mk, keys.ak);
+
+    // return if uuid in auth hash does not match item uuid. Signs of tampering.
+    if(keyParams.uuid && keyParams.uuid !== item.uuid) {
+      console.error("Item key params UUID does not match item UUID");
+      return null;
+    }
+
+    return this.crypto.decryptText(keyParams, requiresAuth);
+  }
+
+  /*
+    Unwraps with the keys matching the item's key id first. The id isn't authenticated, and an item key without one
+    could be wrapped with any of the keyring's keys, so the other keys are tried if those fail.
+  */
+  async _private_unwrapItemKeyWithKeyring(item, keyring) {
+    let keys = keyring.keysForId(this.keyIdForItem(item));
+    var itemKey = await this._private_unwrapItemKey(item, keys);
+    if(itemKey) {
+      return itemKey;
+    }
+    for(var entry of [keyring.current].concat(keyring.previous)) {
+      if(entry.keys === keys) {
+        continue;
+      }
+      itemKey = await this._private_unwrapItemKey(item, entry.keys);
+      if(itemKey) {
+        return itemKey;
+      }
+    }
+    return null;
+  }
+
+  /*
+    Wraps the key of an encrypted item with the keyring's current keys, leaving its content as is.
+    Only items on the same protocol version as auth_params can be re-wrapped; older ones need to be re-encrypted.
+    Resolves with whether the item was re-wrapped.
+  */
+  async rewrapItemKey(item, keyring, auth_params) {
+    if(!item.enc_item_key || item.enc_item_key.substring(0, 3) !== auth_params.version) {
+      return false;
+    }
+    var item_key = await this._private_unwrapItemKey(item, keyring);
+    if(!item_key) {
+      return false;
+    }
+    item.enc_item_key = await this._private_wrapItemKey(item_key, keyring, item.uuid, auth_params);
+    return true;
+  }
+
   async decryptItem(item, keys) {
 
     if(typeof item.content != "string") {
@@ -95,25 +265,13 @@ export class SFItemTransformer {
       return;
     }
 
-    // decrypt encrypted key
-    var encryptedItemKey = item.enc_item_key;
-    var requiresAuth = true;
-    if(!encryptedItemKey.startsWith("002") && !encryptedItemKey.startsWith("003")) {
-      // legacy encryption type, has no prefix
-      encryptedItemKey = "001" + encryptedItemKey;
-      requiresAuth = false;
+    // The key of a shared item is wrapped for a public key whatever the version, so the version comes from the content
+    if(item.content.startsWith("004")) {
+      return this.decryptItem004(item, keys);
     }
-    var keyParams = this.encryptionComponentsFromString(encryptedItemKey, keys.mk, keys.ak);
 
-    // return if uuid in auth hash does not match item uuid. Signs of tampering.
-    if(keyParams.uuid && keyParams.uuid !== item.uuid) {
-      console.error("Item key params UUID does not match item UUID");
-      if(!item.errorDecrypting) { item.errorDecryptingValueChanged = true;}
-      item.errorDecrypting = true;
-      return;
-    }
-
-    var item_key = await this.crypto.decryptText(keyParams, requiresAuth);
+    // decrypt encrypted key
+    var item_key = await this._private_unwrapItemKey(item, keys);
 
     if(!item_key) {
       console.log("Error decrypting item", item);
@@ -155,7 +313,17 @@ export class SFItemTransformer {
     }
   }
 
+  /* Runs on the worker pool if one is set, unless errors should be thrown, which needs the original exceptions. */
   async decryptMultipleItems(items, keys, throws) {
+    if(this.workerPool && !throws) {
+      return this.workerPool.decryptMultipleItems(items, keys, (subset) => {
+        return this._private_decryptMultipleItems(subset, keys);
+      });
+    }
+    return this._private_decryptMultipleItems(items, keys, throws);
+  }
+
+  async _private_decryptMultipleItems(items, keys, throws) {
     let decrypt = async (item) => {
       if(!item) {
         return;
@@ -188,3 +356,8 @@ export class SFItemTransformer {
 
   }
 }
+
+// The index of the key id among the colon separated components of enc_item_key, by version
+SFItemTransformer.KeyIdComponentIndex = {"002": 6, "003": 6, "004": 4};
+// Prefixes enc_item_key of shared items, whose key is wrapped for the recipient's public key
+SFItemTransformer.SharePrefix = "share:";
@@ -0,0 +1,66 @@
+/*
+  The account keys an item key can be wrapped with: the current keys, which new item keys are wrapped with,
+  and previous keys that items may still be wrapped with after a password change or protocol upgrade.
+
+  Each key set is identified by a key id derived from its mk, so every client computes the same id for the same keys.
+  SFItemTransformer embeds the id in enc_item_key, and picks the matching keys when decrypting.
+
+  A keyring can be passed wherever keys are expected. Its pw, mk and ak are those of the current keys.
+*/
+
+export class SFKeyring {
+
+  /* entries are {id, keys} */
+  constructor(current, previous = []) {
+    this.current = current;
+    this.previous = previous;
+  }
+
+  static async create(currentKeys, previousKeys = []) {
+    let entry = async (keys) => {
+      return {id: await SFKeyring.idForKeys(keys), keys: keys};
+    }
+    return new SFKeyring(await entry(currentKeys), await Promise.all(previousKeys.map(entry)));
+  }
+
+  static async idForKeys(keys) {
+    let hash = await SFJS.crypto.sha256(["SF", "kid", keys.mk].join(":"));
+    return hash.substring(0, SFKeyring.IdLength);
+  }
+
+  get pw() {
+    return this.current.keys.pw;
+  }
+
+  get mk() {
+    return this.current.keys.mk;
+  }
+
+  get ak() {
+    return this.current.keys.ak;
+  }
+
+  get currentId() {
+    return this.current.id;
+  }
+
+  currentKeys() {
+    return this.current.keys;
+  }
+
+  previousIds() {
+    return this.previous.map((entry) => {return entry.id});
+  }
+
+  hasKeyId(id) {
+    return this.current.id == id || this.previousIds().includes(id);
+  }
+
+  /* Items wrapped before key ids existed have no id, and are tried with the current keys first. */
+  keysForId(id) {
+    let entry = _.find(this.previous, {id: id});
+    return entry ? entry.keys : this.current.keys;
+  }
+}
+
+SFKeyring.IdLength = 16;
@@ -0,0 +1,248 @@
+/*
+  Runs item encryption, decryption and key derivation off the main thread, in Web Workers in browsers
+  or worker_threads in Node. Nothing changes for callers: once a pool is set with SFJS.setWorkerPool(pool),
+  SFItemTransformer and key derivation use it, and fall back to the main thread whenever workers are unavailable
+  or a worker fails.
+
+  The worker script loads this library (and its regenerator and lodash dependencies) and listens for requests:
+    // Browser: new SFCryptoWorkerPool({createWorker: SFCryptoWorkerPool.webWorkerFactory("crypto-worker.js")})
+    importScripts("regenerator.js", "lodash.js", "sfjs.js");
+    SFCryptoWorker.listen(self);
+
+    // Node: new SFCryptoWorkerPool({createWorker: SFCryptoWorkerPool.nodeWorkerFactory(require("worker_threads"), "crypto-worker.js")})
+    require("regenerator-runtime/runtime"); global._ = require("lodash"); require("standard-file-js");
+    SFCryptoWorker.listen(require("worker_threads").parentPort);
+
+  Workers are started as they're needed. In Node, call terminate() once done so that they don't keep the process running.
+*/
+
+export class SFCryptoWorker {
+
+  /* port is `self` in a Web Worker, or parentPort in worker_threads. */
+  static listen(port, sfjs = SFJS) {
+    let worker = new SFCryptoWorker(sfjs);
+    SFCryptoWorker.on(port, "message", async (message) => {
+      let reply = {id: message.id};
+      try {
+        reply.result = await worker.perform(message.method, message.args);
+      } catch (e) {
+        reply.error = {message: (e && e.message) || String(e)};
+      }
+      port.postMessage(reply);
+    });
+    return worker;
+  }
+
+  /* Subscribes to events of a worker or port, whether it's from worker_threads (on) or the DOM (addEventListener). */
+  static on(target, event, handler) {
+    if(target.on) {
+      target.on(event, handler);
+    } else {
+      target.addEventListener(event, (domEvent) => {
+        handler(event == "message" ? domEvent.data : domEvent);
+      });
+    }
+  }
+
+  /* Keyrings lose their prototype when posted to a worker, so they're sent as their entries. */
+  static serializeKeys(keys) {
+    if(keys instanceof SFKeyring) {
+      return {keyring: true, current: keys.current, previous: keys.previous};
+    }
+    return keys;
+  }
+
+  static deserializeKeys(keys) {
+    if(keys && keys.keyring) {
+      return new SFKeyring(keys.current, keys.previous);
+    }
+    return keys;
+  }
+
+  constructor(sfjs) {
+    this.sfjs = sfjs;
+  }
+
+  async perform(method, args) {
+    if(!SFCryptoWorker.Methods.includes(method)) {
+      throw `Unknown crypto worker method: ${method}`;
+    }
+    return this[method](...args);
+  }
+
+  /* item is {uuid, content}, where content is the result of createContentJSONFromProperties(). */
+  async encryptItem(item, keys, authParams) {
+    let encryptable = {uuid: item.uuid, createContentJSONFromProperties: () => {return item.content}};
+    return this.sfjs.itemTransformer.encryptItem(encryptable, SFCryptoWorker.deserializeKeys(keys), authParams);
+  }
+
+  /* Resolves with the decryption results of each item, in order. */
+  async decryptMultipleItems(items, keys) {
+    await this.sfjs.itemTransformer.decryptMultipleItems(items, SFCryptoWorker.deserializeKeys(keys));
+    return items.map((item) => {return _.pick(item, SFCryptoWorker.DecryptedFields)});
+  }
+
+  async pbkdf2(...args) {
+    return this.sfjs.crypto.pbkdf2(...args);
+  }
+
+  async argon2(...args) {
+    return this.sfjs.crypto.argon2(...args);
+  }
+}
+
+SFCryptoWorker.Methods = ["encryptItem", "decryptMultipleItems", "pbkdf2", "argon2"];
+// The fields decryptItem reads, and those it sets
+SFCryptoWorker.EncryptedFields = ["uuid", "content", "enc_item_key", "auth_hash", "errorDecrypting"];
+SFCryptoWorker.DecryptedFields = ["content", "errorDecrypting", "errorDecryptingValueChanged", "auth_params"];
+
+export class SFCryptoWorkerPool {
+
+  /*
+    createWorker: returns a new Worker (see webWorkerFactory and nodeWorkerFactory)
+    size: the maximum number of workers (default 2)
+  */
+  constructor({createWorker, size} = {}) {
+    this.createWorker = createWorker;
+    this.size = size || 2;
+    this.workers = [];
+    this.nextIndex = 0;
+    this.nextMessageId = 0;
+    this.available = typeof createWorker === 'function';
+  }
+
+  static webWorkerFactory(url) {
+    return () => {
+      return new Worker(url);
+    }
+  }
+
+  static nodeWorkerFactory(workerThreads, filename) {
+    return () => {
+      return new workerThreads.Worker(filename);
+    }
+  }
+
+  isAvailable() {
+    return this.available || this.workers.length > 0;
+  }
+
+  /* Stops all workers. Pending work finishes on the main thread, and so does any work after this. */
+  terminate() {
+    this.available = false;
+    for(var entry of this.workers.slice()) {
+      this.workerFailed(entry, "The crypto worker pool was terminated.");
+      entry.worker.terminate();
+    }
+  }
+
+  nextWorker() {
+    if(this.available && this.workers.length < this.size) {
+      try {
+        this.workers.push(this.startWorker());
+      } catch (e) {
+        console.error("Unable to start a crypto worker, using the main thread instead.", e);
+        this.available = false;
+      }
+    }
+    if(this.workers.length == 0) {
+      return null;
+    }
+    this.nextIndex = (this.nextIndex + 1) % this.workers.length;
+    return this.workers[this.nextIndex];
+  }
+
+  startWorker() {
+    let entry = {worker: this.createWorker(), pending: {}};
+    SFCryptoWorker.on(entry.worker, "message", (message) => {
+      entry.responded = true;
+      let task = entry.pending[message.id];
+      if(task) {
+        delete entry.pending[message.id];
+        task(message.error ? {error: message.error} : {result: message.result});
+      }
+    });
+    SFCryptoWorker.on(entry.worker, "error", (error) => {
+      // Workers that fail before responding at all, i.e because the script can't be loaded, aren't started again
+      if(!entry.responded) {
+        this.available = false;
+      }
+      this.workerFailed(entry, error);
+    });
+    SFCryptoWorker.on(entry.worker, "exit", () => {
+      this.workerFailed(entry, "The crypto worker exited.");
+    });
+    return entry;
+  }
+
+  workerFailed(entry, error) {
+    _.pull(this.workers, entry);
+    let pending = entry.pending;
+    entry.pending = {};
+    for(var id of Object.keys(pending)) {
+      pending[id]({error: {message: (error && error.message) || String(error)}});
+    }
+  }
+
+  /* Runs a SFCryptoWorker method on the next worker. Resolves with {result}, or with {error} if no worker could run it. */
+  async perform(method, args) {
+    let entry = this.nextWorker();
+    if(!entry) {
+      return {error: {message: "No crypto worker is available."}};
+    }
+
+    let response = await new Promise((resolve) => {
+      let id = this.nextMessageId++;
+      entry.pending[id] = resolve;
+      try {
+        entry.worker.postMessage({id: id, method: method, args: args});
+      } catch (e) {
+        delete entry.pending[id];
+        resolve({error: {message: e.message || String(e)}});
+      }
+    });
+    if(response.error) {
+      console.error(`Crypto worker failed to run ${method}, using the main thread instead.`, response.error.message);
+    }
+    return response;
+  }
+
+  async encryptItem(item, keys, authParams, fallback) {
+    let payload = {uuid: item.uuid, content: item.createContentJSONFromProperties()};
+    let response = await this.perform("encryptItem", [payload, SFCryptoWorker.serializeKeys(keys), authParams]);
+    return response.error ? fallback() : response.result;
+  }
+
+  /*
+    Decrypts items across the workers, copying the results onto the items as if they were decrypted in place.
+    fallback(items) decrypts items on the main thread, i.e those a worker couldn't.
+  */
+  async decryptMultipleItems(items, keys, fallback) {
+    let encrypted = items.filter((item) => {return item && typeof item.content === 'string'});
+    let others = items.filter((item) => {return !encrypted.includes(item)});
+    let serializedKeys = SFCryptoWorker.serializeKeys(keys);
+
+    let chunks = [];
+    let chunkSize = Math.ceil(encrypted.length / this.size);
+    for(var index = 0; index < encrypted.length; index += chunkSize) {
+      chunks.push(encrypted.slice(index, index + chunkSize));
+    }
+
+    return Promise.all(chunks.map(async (chunk) => {
+      let payloads = chunk.map((item) => {return _.pick(item, SFCryptoWorker.EncryptedFields)});
+      let response = await this.perform("decryptMultipleItems", [payloads, serializedKeys]);
+      if(response.error) {
+        return fallback(chunk);
+      }
+      response.result.forEach((result, index) => {
+        Object.assign(chunk[index], result);
+      });
+    }).concat(others.length > 0 ? [fallback(others)] : []));
+  }
+
+  /* method is pbkdf2 or argon2. Resolves with the derived key as a hex string. */
+  async deriveKey(method, args, fallback) {
+    let response = await this.perform(method, args);
+    return response.error ? fallback() : response.result;
+  }
+}
@@ -24,10 +24,22 @@ export class StandardFile {
 
     this.crypto.SFJS = {
       version : this.version(),
-      defaultPasswordGenerationCost : this.defaultPasswordGenerationCost()
+      defaultPasswordGenerationCost : this.defaultPasswordGenerationCost(),
+      defaultArgon2Cost : this.costMinimumForVersion("004"),
+      defaultArgon2Memory : this.memoryMinimumForVersion("004")
     }
   }
 
+  /*
+    Runs item encryption, decryption and key derivation on a SFCryptoWorkerPool, falling back to this thread
+    when its workers are unavailable. Pass null to run everything on this thread again.
+  */
+  setWorkerPool(pool) {
+    this.workerPool = pool;
+    this.crypto.workerPool = pool;
+    this.itemTransformer.workerPool = pool;
+  }
+
   version() {
     return "003";
   }
@@ -46,7 +58,12 @@ export class StandardFile {
 
   // Returns the versions that this library supports technically.
   supportedVersions() {
-    return ["001", "002", "003"];
+    var versions = ["001", "002", "003"];
+    // 004 requires authenticated encryption, which is only available through WebCrypto
+    if(this.crypto && this.crypto.supportsAEAD()) {
+      versions.push("004");
+    }
+    return versions;
   }
 
   isVersionNewerThanLibraryVersion(version) {
@@ -70,11 +87,33 @@ export class StandardFile {
     return expired;
   }
 
+  // For 004, the cost is the number of Argon2id passes
   costMinimumForVersion(version) {
     return {
       "001" : 3000,
       "002" : 3000,
-      "003" : 110000
+      "003" : 110000,
+      "004" : 2
+    }[version];
+  }
+
+  // Argon2id memory size in KiB. Only applies to 004.
+  memoryMinimumForVersion(version) {
+    return {
+      "004" : 65536
+    }[version];
+  }
+
+  // Upper bounds for 004, so that parameters from a server or file can't make key derivation run for hours or exhaust memory.
+  costMaximumForVersion(version) {
+    return {
+      "004" : 16
+    }[version];
+  }
+
+  memoryMaximumForVersion(version) {
+    return {
+      "004" : 524288
     }[version];
   }
 
@@ -91,13 +130,35 @@ if(globalScope) {
     globalScope.SFCryptoWeb = SFCryptoWeb;
     globalScope.SFCryptoJS = SFCryptoJS;
     globalScope.SFItemTransformer = SFItemTransformer;
+    globalScope.SFKeyring = SFKeyring;
+    globalScope.SFCryptoWorker = SFCryptoWorker;
+    globalScope.SFCryptoWorkerPool = SFCryptoWorkerPool;
+    globalScope.SFArgon2 = SFArgon2;
     globalScope.SFModelManager = SFModelManager;
     globalScope.SFItem = SFItem;
     globalScope.SFItemParams = SFItemParams;
     globalScope.SFHttpManager = SFHttpManager;
+    globalScope.SFHttpTransport = SFHttpTransport;
+    globalScope.SFXHRTransport = SFXHRTransport;
+    globalScope.SFFetchTransport = SFFetchTransport;
+    globalScope.SFNodeHttpTransport = SFNodeHttpTransport;
     globalScope.SFStorageManager = SFStorageManager;
     globalScope.SFSyncManager = SFSyncManager;
+    globalScope.SFSyncRetryPolicy = SFSyncRetryPolicy;
+    globalScope.SFSyncOutbox = SFSyncOutbox;
+    globalScope.SFAdaptiveBatchSizer = SFAdaptiveBatchSizer;
+    globalScope.SFItemMerger = SFItemMerger;
+    globalScope.SFMergeBaseStore = SFMergeBaseStore;
+    globalScope.SFConflictPolicyRegistry = SFConflictPolicyRegistry;
+    globalScope.SFSyncPushChannel = SFSyncPushChannel;
+    globalScope.SFSyncScheduler = SFSyncScheduler;
+    globalScope.SFSyncDiagnostics = SFSyncDiagnostics;
+    globalScope.SFNamespacedStorageManager = SFNamespacedStorageManager;
+    globalScope.SFAccountManager = SFAccountManager;
     globalScope.SFAuthManager = SFAuthManager;
+    globalScope.SFAuthChallenge = SFAuthChallenge;
+    globalScope.SFPasscodeManager = SFPasscodeManager;
+    globalScope.SFReencryptionManager = SFReencryptionManager;
     globalScope.SFMigrationManager = SFMigrationManager;
     globalScope.SFAlertManager = SFAlertManager;
     globalScope.SFPredicate = SFPredicate;
@@ -107,6 +168,19 @@ if(globalScope) {
     globalScope.SFItemHistoryEntry = SFItemHistoryEntry;
     globalScope.SFPrivilegesManager = SFPrivilegesManager;
     globalScope.SFPrivileges = SFPrivileges;
+    globalScope.SFSharingManager = SFSharingManager;
+    globalScope.SFKeyPair = SFKeyPair;
+    globalScope.SFSharedItem = SFSharedItem;
+    globalScope.SFAttachmentManager = SFAttachmentManager;
+    globalScope.SFFileEndpoint = SFFileEndpoint;
+    globalScope.SFHttpFileEndpoint = SFHttpFileEndpoint;
+    globalScope.SFFileDescriptor = SFFileDescriptor;
+    globalScope.SFArchiveManager = SFArchiveManager;
+    globalScope.SFImporterRegistry = SFImporterRegistry;
+    globalScope.SFImporter = SFImporter;
+    globalScope.SFMarkdownImporter = SFMarkdownImporter;
+    globalScope.SFEnexImporter = SFEnexImporter;
+    globalScope.SFPlainTextImporter = SFPlainTextImporter;
     globalScope.SFSingletonManager = SFSingletonManager;
   } catch (e) {
     console.log("Exception while exporting window variables", e);
@@ -0,0 +1,196 @@
+import '../dist/regenerator.js';
+import '../dist/sfjs.js';
+import '../node_modules/chai/chai.js';
+import './vendor/chai-as-promised-built.js';
+import '../vendor/lodash/lodash.custom.js';
+import Factory from './lib/factory.js';
+import MemoryStorageManager from './lib/memoryStorageManager.js';
+import MockTransport from './lib/mockTransport.js';
+
+SFItem.AppDomain = "org.standardnotes.sn";
+
+chai.use(chaiAsPromised);
+var expect = chai.expect;
+
+describe('namespaced storage', () => {
+  let storageManager = new MemoryStorageManager();
+  let work = new SFNamespacedStorageManager(storageManager, "work");
+  let personal = new SFNamespacedStorageManager(storageManager, "personal");
+
+  beforeEach(async () => {
+    await storageManager.clearAllData();
+  })
+
+  it("isolates values between namespaces", async () => {
+    await work.setItem("jwt", "work-token");
+    await personal.setItem("jwt", "personal-token");
+    expect(await work.getItem("jwt")).to.equal("work-token");
+    expect(await personal.getItem("jwt")).to.equal("personal-token");
+    expect(await storageManager.getItem("jwt")).to.not.be.ok;
+  });
+
+  it("isolates models between namespaces", async () => {
+    let item = Factory.createItem();
+    await work.saveModel(item);
+    await personal.saveModel(Factory.createItem());
+
+    let models = await work.getAllModels();
+    expect(models.length).to.equal(1);
+    expect(models[0].uuid).to.equal(item.uuid);
+
+    await work.deleteModel(item);
+    expect((await work.getAllModels()).length).to.equal(0);
+    expect((await personal.getAllModels()).length).to.equal(1);
+  });
+
+  it("only clears its own data", async () => {
+    await storageManager.setItem("unrelated", "value");
+    await work.setItem("syncToken", "1");
+    await work.setItem("server", "https://work.example.com");
+    await personal.setItem("syncToken", "2");
+    await work.saveModel(Factory.createItem());
+    await personal.saveModel(Factory.createItem());
+
+    await work.clearAllData();
+
+    expect(await work.getItem("syncToken")).to.not.be.ok;
+    expect(await work.getItem("server")).to.not.be.ok;
+    expect((await work.getAllModels()).length).to.equal(0);
+    expect(await personal.getItem("syncToken")).to.equal("2");
+    expect((await personal.getAllModels()).length).to.equal(1);
+    expect(await storageManager.getItem("unrelated")).to.equal("value");
+  });
+
+  it("keeps track of keys set concurrently", async () => {
+    await Promise.all([
+      work.setItem("mk", "a"),
+      work.setItem("ak", "b"),
+      work.setItem("jwt", "c")
+    ]);
+    expect((await work.storedKeys()).sort()).to.eql(["ak", "jwt", "mk"]);
+    await work.clear();
+    expect(await work.getItem("mk")).to.not.be.ok;
+    expect(await work.getItem("jwt")).to.not.be.ok;
+  });
+});
+
+describe('account manager', () => {
+  let storageManager;
+  let transport;
+  let accountManager;
+
+  let createAccountManager = () => {
+    return new SFAccountManager(storageManager, {
+      createManagers: (account, options) => {
+        let managers = SFAccountManager.createManagers(account, options);
+        managers.httpManager.setTransport(transport);
+        return managers;
+      }
+    });
+  }
+
+  let signIn = async (account, token) => {
+    await account.storageManager.setItem("server", Factory.serverURL());
+    await account.storageManager.setItem("jwt", token);
+  }
+
+  beforeEach(async () => {
+    storageManager = new MemoryStorageManager();
+    transport = new MockTransport();
+    transport.on("post", "/items/sync", (request, params) => {
+      return {status: 200, body: MockTransport.syncResponse(params)};
+    });
+    accountManager = createAccountManager();
+    await accountManager.load();
+  })
+
+  it("makes the first account active", async () => {
+    let work = await accountManager.addAccount({label: "Work"});
+    await accountManager.addAccount({label: "Personal"});
+    expect(accountManager.activeAccount()).to.equal(work);
+    expect(accountManager.accounts().map((account) => account.label)).to.eql(["Work", "Personal"]);
+  });
+
+  it("creates a separate manager graph per account", async () => {
+    let work = await accountManager.addAccount({label: "Work"});
+    let personal = await accountManager.addAccount({label: "Personal"});
+    expect(work.syncManager).to.not.equal(personal.syncManager);
+    expect(work.modelManager).to.not.equal(personal.modelManager);
+    expect(work.authManager).to.not.equal(personal.authManager);
+    expect(work.syncManager.storageManager).to.equal(work.storageManager);
+    expect(accountManager.account(work.uuid)).to.equal(work);
+  });
+
+  it("syncs each account with its own credentials and storage", async () => {
+    let work = await accountManager.addAccount({label: "Work"});
+    let personal = await accountManager.addAccount({label: "Personal"});
+    await signIn(work, "work-token");
+    await signIn(personal, "personal-token");
+
+    let item = Factory.createItem();
+    work.modelManager.addItem(item);
+    item.setDirty(true);
+    await work.syncManager.sync();
+
+    expect(transport.requests.length).to.equal(1);
+    expect(transport.requests[0].headers["Authorization"]).to.equal("Bearer work-token");
+    expect(await work.storageManager.getItem("syncToken")).to.be.ok;
+    expect(await personal.storageManager.getItem("syncToken")).to.not.be.ok;
+
+    await personal.syncManager.loadLocalItems();
+    expect(personal.modelManager.allItems.length).to.equal(0);
+    expect((await work.storageManager.getAllModels()).length).to.equal(1);
+  });
+
+  it("switches accounts without signing out", async () => {
+    let work = await accountManager.addAccount({label: "Work"});
+    let personal = await accountManager.addAccount({label: "Personal"});
+    await signIn(work, "work-token");
+
+    var switched;
+    accountManager.addEventHandler((event, data) => {
+      if(event == "account:switched") {
+        switched = data;
+      }
+    });
+
+    await accountManager.switchAccount(personal.uuid);
+    expect(accountManager.activeAccount()).to.equal(personal);
+    expect(switched.account).to.equal(personal);
+    expect(switched.previousAccount).to.equal(work);
+    expect(await work.storageManager.getItem("jwt")).to.equal("work-token");
+  });
+
+  it("restores accounts and the active account when reloaded", async () => {
+    let work = await accountManager.addAccount({label: "Work"});
+    let personal = await accountManager.addAccount({label: "Personal"});
+    await signIn(personal, "personal-token");
+    await accountManager.switchAccount(personal.uuid);
+
+    let reloaded = createAccountManager();
+    await reloaded.load();
+    expect(reloaded.accounts()).to.eql(accountManager.accounts());
+    expect(reloaded.activeAccount().uuid).to.equal(personal.uuid);
+    expect(await reloaded.activeAccount().storageManager.getItem("jwt")).to.equal("personal-token");
+  });
+
+  it("removes an account and its data", async () => {
+    let work = await accountManager.addAccount({label: "Work"});
+    let personal = await accountManager.addAccount({label: "Personal"});
+    await signIn(work, "work-token");
+    await signIn(personal, "personal-token");
+    await work.storageManager.saveModel(Factory.createItem());
+
+    await accountManager.removeAccount(work.uuid);
+    expect(accountManager.accounts().length).to.equal(1);
+    expect(accountManager.activeAccount()).to.equal(personal);
+    expect(await work.storageManager.getItem("jwt")).to.not.be.ok;
+    expect((await work.storageManager.getAllModels()).length).to.equal(0);
+    expect(await personal.storageManager.getItem("jwt")).to.equal("personal-token");
+  });
+
+  it("rejects switching to an unknown account", async () => {
+    await accountManager.addAccount({label: "Work"});
+    await expect(accountManager.switchAccount("unknown")).to.be.rejectedWith("Unknown account: unknown");
+  });
+});
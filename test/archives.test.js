@@ -0,0 +1,248 @@
+import '../dist/regenerator.js';
+import '../dist/sfjs.js';
+import '../node_modules/chai/chai.js';
+import './vendor/chai-as-promised-built.js';
+import '../vendor/lodash/lodash.custom.js';
+import Factory from './lib/factory.js';
+
+SFItem.AppDomain = "org.standardnotes.sn";
+
+chai.use(chaiAsPromised);
+var expect = chai.expect;
+
+describe('archives', () => {
+  var modelManager, archiveManager, note, tag;
+
+  beforeEach(() => {
+    modelManager = Factory.createModelManager();
+    archiveManager = new SFArchiveManager(modelManager);
+
+    note = new SFItem({content_type: "Note", content: {title: "Archived", text: "secret text ".repeat(200)}});
+    tag = new SFItem({content_type: "Tag", content: {title: "work"}});
+    modelManager.addItems([note, tag]);
+    tag.addItemAsRelationship(note);
+  })
+
+  let importInto = async (data, password) => {
+    let otherModelManager = Factory.createModelManager();
+    let result = await new SFArchiveManager(otherModelManager).importArchive(data, password);
+    return {result: result, modelManager: otherModelManager};
+  }
+
+  it("exports items encrypted with the export password", async () => {
+    let {data} = await archiveManager.exportArchive("export password");
+    expect(data).to.not.contain("secret text");
+    expect(archiveManager.isArchive(data)).to.equal(true);
+
+    let parsed = JSON.parse(data);
+    expect(parsed.auth_params.pw_cost).to.equal(SFJS.costMinimumForVersion(SFJS.version()));
+    expect(parsed.auth_params.pw_nonce).to.be.ok;
+    expect(parsed.archive.content.startsWith(SFJS.version())).to.equal(true);
+
+    let {result, modelManager: imported} = await importInto(data, "export password");
+    expect(result.error).to.not.be.ok;
+    expect(result.manifest.item_count).to.equal(2);
+    expect(result.manifest.content_types).to.eql({Note: 1, Tag: 1});
+    expect(imported.findItem(note.uuid).content.text).to.equal(note.content.text);
+    expect(imported.findItem(tag.uuid).hasRelationshipWithItem(imported.findItem(note.uuid))).to.equal(true);
+  });
+
+  it("uses a new nonce for each export", async () => {
+    let first = JSON.parse((await archiveManager.exportArchive("export password")).data);
+    let second = JSON.parse((await archiveManager.exportArchive("export password")).data);
+    expect(first.auth_params.pw_nonce).to.not.equal(second.auth_params.pw_nonce);
+  });
+
+  it("compresses archives", async () => {
+    let uncompressed = (await archiveManager.exportArchive("export password")).data;
+    let compressed = (await archiveManager.exportArchive("export password", {compress: true})).data;
+    expect(compressed.length).to.be.below(uncompressed.length / 2);
+
+    let {result, modelManager: imported} = await importInto(compressed, "export password");
+    expect(result.error).to.not.be.ok;
+    expect(imported.findItem(note.uuid).content.text).to.equal(note.content.text);
+  });
+
+  it("exports only the given items with a custom cost", async () => {
+    let cost = SFJS.costMinimumForVersion(SFJS.version()) + 1000;
+    let {data} = await archiveManager.exportArchive("export password", {items: [note], cost: cost});
+    expect(JSON.parse(data).auth_params.pw_cost).to.equal(cost);
+
+    let result = await archiveManager.readArchive(data, "export password");
+    expect(result.items.map((item) => item.uuid)).to.eql([note.uuid]);
+
+    let response = await archiveManager.exportArchive("export password", {cost: 1000});
+    expect(response.error).to.be.ok;
+  });
+
+  it("rejects 004 parameters above the maximum cost or memory", async () => {
+    let response = await archiveManager.exportArchive("export password", {version: "004", cost: SFJS.costMaximumForVersion("004") + 1});
+    expect(response.error).to.be.ok;
+
+    let parsed = JSON.parse((await archiveManager.exportArchive("export password", {version: "004"})).data);
+    let costly = _.cloneDeep(parsed);
+    costly.auth_params.pw_cost = SFJS.costMaximumForVersion("004") + 1;
+    expect((await archiveManager.readArchive(costly, "export password")).error.message).to.contain("exceed");
+
+    let memory = _.cloneDeep(parsed);
+    memory.auth_params.pw_memory = SFJS.memoryMaximumForVersion("004") * 2;
+    expect((await archiveManager.readArchive(memory, "export password")).error.message).to.contain("exceed");
+    expect((await archiveManager.prepareImport(memory, "export password")).error).to.be.ok;
+  }).timeout(20000);
+
+  it("doesn't import anything with the wrong password", async () => {
+    let {data} = await archiveManager.exportArchive("export password");
+    let {result, modelManager: imported} = await importInto(data, "wrong password");
+    expect(result.error.message).to.contain("password");
+    expect(imported.allItems.length).to.equal(0);
+  });
+
+  it("rejects archives with insecure or tampered parameters", async () => {
+    let parsed = JSON.parse((await archiveManager.exportArchive("export password")).data);
+
+    let weak = _.cloneDeep(parsed);
+    weak.auth_params.pw_cost = 1000;
+    expect((await archiveManager.readArchive(weak, "export password")).error.message).to.contain("insecure");
+
+    let tampered = _.cloneDeep(parsed);
+    tampered.auth_params.pw_cost += 1;
+    expect((await archiveManager.readArchive(tampered, "export password")).error).to.be.ok;
+
+    expect((await archiveManager.readArchive("{\"items\": []}", "export password")).error.message).to.contain("valid");
+    expect((await archiveManager.readArchive("not json", "export password")).error.message).to.contain("valid");
+  });
+
+  it("validates the items against the manifest", async () => {
+    let items = await Promise.all([note, tag].map((item) => new SFItemParams(item).paramsForExportFile()));
+    let manifest = await archiveManager.createManifest(items);
+    expect(await archiveManager.validateContent({manifest: manifest, items: items})).to.equal(null);
+
+    let changed = _.cloneDeep(items);
+    changed[0].content.text = "changed";
+    expect(await archiveManager.validateContent({manifest: manifest, items: changed})).to.contain("checksum");
+
+    expect(await archiveManager.validateContent({manifest: manifest, items: items.slice(1)})).to.contain("items");
+    expect(await archiveManager.validateContent({manifest: manifest, items: [items[0], items[0]]})).to.contain("more than once");
+
+    let counts = _.cloneDeep(manifest);
+    counts.content_types = {Note: 2};
+    expect(await archiveManager.validateContent({manifest: counts, items: items})).to.contain("counts");
+
+    expect(await archiveManager.validateContent({items: items})).to.contain("manifest");
+  });
+});
+
+describe('backup imports', () => {
+  var modelManager, archiveManager, note, tag;
+
+  beforeEach(() => {
+    modelManager = Factory.createModelManager();
+    archiveManager = new SFArchiveManager(modelManager);
+
+    note = new SFItem({content_type: "Note", content: {title: "Backed up", text: "note"}});
+    tag = new SFItem({content_type: "Tag", content: {title: "work"}});
+    tag.addItemAsRelationship(note);
+  })
+
+  let backupFor = async (items, version) => {
+    var authParams;
+    if(version == "003") {
+      authParams = (await SFJS.crypto.generateInitialKeysAndAuthParamsForUser("backup@example.com", "password")).authParams;
+    } else {
+      authParams = {pw_salt: await SFJS.crypto.generateRandomKey(128), pw_cost: 3000, version: version};
+    }
+    let keys = await SFJS.crypto.computeEncryptionKeysForUser("password", authParams);
+    return Factory.createModelManager().getJSONDataForItems(items, keys, authParams);
+  }
+
+  for(let version of ["001", "002", "003"]) {
+    it(`decrypts ${version} backups with the account password`, async () => {
+      let data = await backupFor([note, tag], version);
+      let report = await archiveManager.prepareImport(data, "password");
+      expect(report.error).to.not.be.ok;
+      expect(report.new.map((item) => item.uuid)).to.eql([note.uuid, tag.uuid]);
+      expect(report.new[0].content.text).to.equal("note");
+      expect(report.new[0].enc_item_key).to.not.be.ok;
+    });
+  }
+
+  it("reads decrypted and 000 backups without a password", async () => {
+    let items = JSON.parse(await modelManager.getJSONDataForItems([note])).items;
+    let encoded = await new SFItemParams(tag, null, {version: "003"}).paramsForSync();
+    expect(encoded.content.startsWith("000")).to.equal(true);
+
+    let report = await archiveManager.prepareImport({items: items.concat([encoded])});
+    expect(report.error).to.not.be.ok;
+    expect(report.new.length).to.equal(2);
+    expect(report.new[1].content.title).to.equal("work");
+  });
+
+  it("reports without importing, and imports once committed", async () => {
+    let identical = new SFItem({content_type: "Note", content: {title: "Same"}});
+    let changed = new SFItem({content_type: "Note", content: {title: "Before"}});
+    let collision = new SFItem({content_type: "Tag", content: {title: "other"}});
+    let data = JSON.parse(await backupFor([note, tag, identical, changed, collision], "003"));
+
+    modelManager.mapResponseItemsToLocalModels([
+      {uuid: identical.uuid, content_type: "Note", content: {title: "Same", references: []}},
+      {uuid: changed.uuid, content_type: "Note", content: {title: "After", references: []}},
+      {uuid: collision.uuid, content_type: "Note", content: {title: "A note", references: []}}
+    ]);
+
+    // An item repeated in the file, and one that can't be decrypted
+    data.items.push(Object.assign({}, data.items[0]));
+    data.items.push(Object.assign({}, data.items[1], {content: data.items[1].content.replace(/:[^:]+:[^:]+$/, ":invalid:x"), uuid: "broken"}));
+
+    let report = await archiveManager.prepareImport(data, "password");
+    expect(report.new.map((item) => item.uuid)).to.eql([note.uuid, tag.uuid]);
+    expect(report.identical.map((item) => item.uuid)).to.eql([identical.uuid]);
+    expect(report.conflicting.map((item) => item.uuid)).to.eql([changed.uuid]);
+    expect(report.collisions.map((item) => item.uuid)).to.eql([collision.uuid, note.uuid]);
+    expect(report.undecryptable.map((item) => item.uuid)).to.eql(["broken"]);
+    expect(modelManager.allItems.length).to.equal(3);
+
+    let items = await archiveManager.commitImport(report);
+    expect(modelManager.findItem(note.uuid).content.text).to.equal("note");
+    expect(modelManager.findItem(tag.uuid).hasRelationshipWithItem(modelManager.findItem(note.uuid))).to.equal(true);
+    expect(modelManager.findItem(changed.uuid).content.title).to.equal("After");
+    expect(modelManager.allItems.find((item) => item.conflict_of == changed.uuid).content.title).to.equal("Before");
+    expect(modelManager.findItem(collision.uuid).content_type).to.equal("Note");
+    expect(modelManager.allItems.filter((item) => item.content.title == "other").length).to.equal(1);
+    expect(modelManager.allItems.filter((item) => item.content.text == "note").length).to.equal(2);
+    expect(modelManager.findItem("broken")).to.not.be.ok;
+
+    // Committing again does nothing
+    expect(await archiveManager.commitImport(report)).to.eql([]);
+    expect(items.length).to.equal(5);
+  });
+
+  it("requires the right password for encrypted backups", async () => {
+    let data = await backupFor([note], "003");
+    expect((await archiveManager.prepareImport(data)).error.message).to.contain("password");
+    expect((await archiveManager.prepareImport(data, "wrong")).error.message).to.contain("password");
+    expect((await archiveManager.prepareImport("not json")).error.message).to.contain("valid");
+  });
+
+  it("imports archives through the same report", async () => {
+    modelManager.addItems([note, tag]);
+    let {data} = await archiveManager.exportArchive("export password");
+    let report = await archiveManager.prepareImport(data, "export password");
+    expect(report.manifest.item_count).to.equal(2);
+    expect(report.identical.length).to.equal(2);
+  });
+
+  it("imports only once the user confirms", async () => {
+    let data = await backupFor([note, tag], "003");
+    var confirmText;
+    archiveManager.alertManager = {confirm: async (params) => {confirmText = params.text; throw "cancelled"}};
+    let response = await archiveManager.confirmAndImport(data, "password");
+    expect(response.error).to.be.ok;
+    expect(confirmText).to.contain("2 new items");
+    expect(modelManager.allItems.length).to.equal(0);
+
+    archiveManager.alertManager = {confirm: async () => {}};
+    response = await archiveManager.confirmAndImport(data, "password");
+    expect(response.report.new.length).to.equal(2);
+    expect(modelManager.allItems.length).to.equal(2);
+  });
+});
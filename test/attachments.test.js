@@ -0,0 +1,211 @@
+import '../dist/regenerator.js';
+import '../dist/sfjs.js';
+import '../node_modules/chai/chai.js';
+import './vendor/chai-as-promised-built.js';
+import '../vendor/lodash/lodash.custom.js';
+import Factory from './lib/factory.js';
+import MemoryStorageManager from './lib/memoryStorageManager.js';
+import MemoryFileEndpoint from './lib/memoryFileEndpoint.js';
+import MockTransport from './lib/mockTransport.js';
+
+SFItem.AppDomain = "org.standardnotes.sn";
+
+chai.use(chaiAsPromised);
+var expect = chai.expect;
+
+describe('attachments', () => {
+  var managers, transport, endpoint, defaultEndpoint, serverItems, attachmentManager;
+
+  let fileData = (length) => {
+    return new Uint8Array(length).map((value, index) => index % 251);
+  }
+
+  beforeEach(async () => {
+    transport = new MockTransport();
+    serverItems = {};
+    transport.on("post", "/items/sync", (request, params) => {
+      for(var item of params.items) {
+        serverItems[item.uuid] = item;
+      }
+      return {status: 200, body: MockTransport.syncResponse(params)};
+    });
+
+    managers = SFAccountManager.createManagers({storageManager: new MemoryStorageManager()});
+    managers.httpManager.setTransport(transport);
+    let result = await SFJS.crypto.generateInitialKeysAndAuthParamsForUser("files@example.com", "password");
+    await managers.authManager.handleAuthResponse({token: "token"}, "files@example.com", Factory.serverURL(), result.authParams, result.keys);
+
+    endpoint = new MemoryFileEndpoint();
+    attachmentManager = managers.attachmentManager;
+    defaultEndpoint = attachmentManager.fileEndpoint;
+    attachmentManager.setFileEndpoint(endpoint);
+    attachmentManager.chunkSize = 1000;
+  })
+
+  it("uploads a file in encrypted chunks and downloads it", async () => {
+    var progress = [];
+    attachmentManager.addEventHandler((event, data) => {
+      if(event == "attachments:upload-progress") {
+        progress.push(data.completed);
+      }
+    });
+
+    let data = fileData(4500);
+    let response = await attachmentManager.uploadFile(data, {name: "notes.pdf", mimeType: "application/pdf"});
+    expect(response.error).to.not.be.ok;
+    expect(progress).to.eql([1, 2, 3, 4, 5]);
+
+    let descriptor = response.descriptor;
+    expect(descriptor.name).to.equal("notes.pdf");
+    expect(descriptor.size).to.equal(4500);
+    expect(descriptor.chunkCount).to.equal(5);
+
+    // Each chunk has a 12 byte nonce and a 16 byte tag
+    let chunks = endpoint.files[descriptor.uuid];
+    expect(chunks.map((chunk) => chunk.length)).to.eql([1028, 1028, 1028, 1028, 528]);
+    expect(_.uniq(chunks.map((chunk) => chunk.subarray(0, 12).join(","))).length).to.equal(5);
+
+    // The descriptor, and so the file's key, is synced encrypted
+    let synced = serverItems[descriptor.uuid];
+    expect(synced.content_type).to.equal("SF|File");
+    expect(synced.content).to.not.contain(descriptor.content.key);
+
+    response = await attachmentManager.downloadFile(descriptor);
+    expect(response.error).to.not.be.ok;
+    expect(Array.from(response.data)).to.eql(Array.from(data));
+  });
+
+  it("downloads a file whose descriptor was loaded from storage", async () => {
+    let data = fileData(2500);
+    let uuid = (await attachmentManager.uploadFile(data, {name: "notes.pdf", mimeType: "application/pdf"})).descriptor.uuid;
+
+    // Like restarting the app
+    let reloaded = SFAccountManager.createManagers({storageManager: managers.syncManager.storageManager});
+    await reloaded.syncManager.loadLocalItems();
+    reloaded.attachmentManager.setFileEndpoint(endpoint);
+
+    let descriptor = reloaded.modelManager.findItem(uuid);
+    expect(descriptor).to.be.an.instanceof(SFFileDescriptor);
+    expect(descriptor.name).to.equal("notes.pdf");
+    expect(descriptor.mimeType).to.equal("application/pdf");
+    expect(descriptor.size).to.equal(2500);
+    expect(descriptor.chunkCount).to.equal(3);
+
+    let response = await reloaded.attachmentManager.downloadFile(descriptor);
+    expect(response.error).to.not.be.ok;
+    expect(Array.from(response.data)).to.eql(Array.from(data));
+  });
+
+  it("uploads and downloads empty files", async () => {
+    let descriptor = (await attachmentManager.uploadFile(new ArrayBuffer(0))).descriptor;
+    expect(descriptor.chunkCount).to.equal(1);
+    let response = await attachmentManager.downloadFile(descriptor);
+    expect(response.data.length).to.equal(0);
+  });
+
+  it("resumes an interrupted download", async () => {
+    let data = fileData(4500);
+    let descriptor = (await attachmentManager.uploadFile(data)).descriptor;
+
+    endpoint.failDownloadAt = 3;
+    let response = await attachmentManager.downloadFile(descriptor);
+    expect(response.error).to.be.ok;
+    expect(endpoint.downloads).to.eql([0, 1, 2]);
+
+    response = await attachmentManager.downloadFile(descriptor);
+    expect(response.error).to.not.be.ok;
+    expect(endpoint.downloads).to.eql([0, 1, 2, 3, 4]);
+    expect(Array.from(response.data)).to.eql(Array.from(data));
+  });
+
+  it("shares a download that's already in progress", async () => {
+    let data = fileData(4500);
+    let descriptor = (await attachmentManager.uploadFile(data)).descriptor;
+
+    let responses = await Promise.all([attachmentManager.downloadFile(descriptor), attachmentManager.downloadFile(descriptor)]);
+    expect(endpoint.downloads).to.eql([0, 1, 2, 3, 4]);
+    expect(Array.from(responses[0].data)).to.eql(Array.from(data));
+    expect(responses[1]).to.equal(responses[0]);
+    expect(attachmentManager.downloads).to.eql({});
+  });
+
+  it("drops the oldest interrupted downloads beyond the maximum", async () => {
+    let first = (await attachmentManager.uploadFile(fileData(3000))).descriptor;
+    let second = (await attachmentManager.uploadFile(fileData(3000))).descriptor;
+    attachmentManager.maxPartialDownloadBytes = 3000;
+
+    endpoint.failDownloadAt = 2;
+    await attachmentManager.downloadFile(first);
+    endpoint.failDownloadAt = 2;
+    await attachmentManager.downloadFile(second);
+    expect(Object.keys(attachmentManager.partialDownloads)).to.eql([second.uuid]);
+
+    attachmentManager.handleSignout();
+    expect(attachmentManager.partialDownloads).to.eql({});
+  });
+
+  it("detects tampered and reordered chunks", async () => {
+    let descriptor = (await attachmentManager.uploadFile(fileData(3000))).descriptor;
+    let chunks = endpoint.files[descriptor.uuid];
+
+    chunks[1][20] ^= 1;
+    let response = await attachmentManager.downloadFile(descriptor);
+    expect(response.error.message).to.contain("corrupt");
+    chunks[1][20] ^= 1;
+
+    endpoint.files[descriptor.uuid] = [chunks[0], chunks[2], chunks[1]];
+    response = await attachmentManager.downloadFile(descriptor);
+    expect(response.error.message).to.contain("corrupt");
+  });
+
+  it("verifies the hash of the whole file", async () => {
+    let descriptor = (await attachmentManager.uploadFile(fileData(2500))).descriptor;
+    descriptor.content.hash = await SFJS.crypto.sha256Bytes(fileData(10));
+
+    let response = await attachmentManager.downloadFile(descriptor);
+    expect(response.error.message).to.contain("corrupt");
+  });
+
+  it("deletes partially uploaded files", async () => {
+    endpoint.uploadChunk = async (fileId, index, bytes) => {
+      if(index == 2) {
+        throw {status: 0};
+      }
+      return MemoryFileEndpoint.prototype.uploadChunk.call(endpoint, fileId, index, bytes);
+    }
+
+    let response = await attachmentManager.uploadFile(fileData(4500));
+    expect(response.error).to.be.ok;
+    expect(endpoint.files).to.eql({});
+    expect(managers.modelManager.validItemsForContentType("SF|File")).to.eql([]);
+  });
+
+  it("deletes a file and its descriptor", async () => {
+    let descriptor = (await attachmentManager.uploadFile(fileData(1500))).descriptor;
+    let response = await attachmentManager.deleteFile(descriptor);
+    expect(response.error).to.not.be.ok;
+    expect(endpoint.files[descriptor.uuid]).to.not.be.ok;
+    expect(serverItems[descriptor.uuid].deleted).to.equal(true);
+  });
+
+  it("stores chunks on the server by default", async () => {
+    let chunks = {};
+    transport.on("post", "/files/chunks", (request, params) => {
+      chunks[`${params.file_id}:${params.index}`] = params.data;
+      return {status: 200, body: {}};
+    });
+    transport.on("get", "/files/chunks", (request) => {
+      let query = new URL(request.url).searchParams;
+      return {status: 200, body: {data: chunks[`${query.get("file_id")}:${query.get("index")}`]}};
+    });
+
+    attachmentManager.setFileEndpoint(defaultEndpoint);
+
+    let data = fileData(2500);
+    let descriptor = (await attachmentManager.uploadFile(data)).descriptor;
+    expect(Object.keys(chunks).length).to.equal(3);
+
+    let response = await attachmentManager.downloadFile(descriptor);
+    expect(Array.from(response.data)).to.eql(Array.from(data));
+  });
+});
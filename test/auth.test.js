@@ -4,6 +4,8 @@ import '../node_modules/chai/chai.js';
 import './vendor/chai-as-promised-built.js';
 import '../vendor/lodash/lodash.custom.js';
 import Factory from './lib/factory.js';
+import MemoryStorageManager from './lib/memoryStorageManager.js';
+import MockTransport from './lib/mockTransport.js';
 
 chai.use(chaiAsPromised);
 var expect = chai.expect;
@@ -166,3 +168,243 @@ describe("basic auth", () => {
   }).timeout(10000);
 
 })
+
+describe("session refresh", () => {
+  let url = "http://localhost:3000";
+  var storageManager, transport, httpManager, authManager;
+
+  let session = (name, accessExpiration = Date.now() + 3600000, refreshExpiration = Date.now() + 86400000) => {
+    return {
+      session: {
+        access_token: `access-${name}`,
+        refresh_token: `refresh-${name}`,
+        access_expiration: accessExpiration,
+        refresh_expiration: refreshExpiration
+      }
+    };
+  }
+
+  let respondToRefresh = (response) => {
+    var refreshes = [];
+    transport.on("post", "/session/refresh", (request, params) => {
+      refreshes.push({params: params, headers: request.headers});
+      return response;
+    });
+    return refreshes;
+  }
+
+  let authorizationHeaders = (path) => {
+    return transport.requests.filter((request) => request.url.endsWith(path)).map((request) => {
+      return request.headers["Authorization"];
+    })
+  }
+
+  beforeEach(async () => {
+    storageManager = new MemoryStorageManager();
+    transport = new MockTransport();
+    httpManager = new SFHttpManager(null, transport);
+    authManager = new SFAuthManager(storageManager, httpManager);
+    httpManager.setJWTRequestHandler(() => authManager.getAccessToken());
+    await storageManager.setItem("server", url);
+  })
+
+  it("stores the access token as the jwt", async () => {
+    await authManager.saveSession(session("1"));
+    expect(await storageManager.getItem("jwt")).to.equal("access-1");
+    expect((await authManager.getSession()).refresh_token).to.equal("refresh-1");
+  });
+
+  it("refreshes and retries once when a request is unauthorized", async () => {
+    await authManager.saveSession(session("1"));
+    let refreshes = respondToRefresh({status: 200, body: session("2")});
+    transport.on("get", "/items", (request) => {
+      if(request.headers["Authorization"] == "Bearer access-2") {
+        return {status: 200, body: {items: []}};
+      }
+      return {status: 401, body: {error: {message: "Expired"}}};
+    });
+
+    let response = await httpManager.request("get", url + "/items");
+    expect(response.items).to.eql([]);
+    expect(refreshes.length).to.equal(1);
+    expect(refreshes[0].params).to.eql({access_token: "access-1", refresh_token: "refresh-1"});
+    expect(refreshes[0].headers["Authorization"]).to.not.be.ok;
+    expect(authorizationHeaders("/items")).to.eql(["Bearer access-1", "Bearer access-2"]);
+    expect(await storageManager.getItem("jwt")).to.equal("access-2");
+  });
+
+  it("shares a single refresh between concurrent requests", async () => {
+    await authManager.saveSession(session("1"));
+    let refreshes = respondToRefresh({status: 200, body: session("2")});
+    transport.on("get", "/items", (request) => {
+      if(request.headers["Authorization"] == "Bearer access-2") {
+        return {status: 200, body: {}};
+      }
+      return {status: 401, body: {}};
+    });
+
+    await Promise.all([1, 2, 3].map(() => httpManager.request("get", url + "/items")));
+    expect(refreshes.length).to.equal(1);
+  });
+
+  it("refreshes proactively before the access token expires", async () => {
+    await authManager.saveSession(session("1", Date.now() + 1000));
+    let refreshes = respondToRefresh({status: 200, body: session("2")});
+    transport.on("get", "/items", () => {
+      return {status: 200, body: {}};
+    });
+
+    await httpManager.request("get", url + "/items");
+    expect(refreshes.length).to.equal(1);
+    expect(authorizationHeaders("/items")).to.eql(["Bearer access-2"]);
+  });
+
+  it("invalidates the session when the refresh fails", async () => {
+    await authManager.saveSession(session("1"));
+    let refreshes = respondToRefresh({status: 401, body: {error: {message: "Invalid refresh token"}}});
+    transport.on("post", "/items/sync", () => {
+      return {status: 401, body: {error: {message: "Expired"}}};
+    });
+
+    let syncManager = new SFSyncManager(Factory.createModelManager(), storageManager, httpManager);
+    syncManager.setKeyRequestHandler(async () => {
+      return {offline: false};
+    })
+    var invalidated = false;
+    syncManager.addEventHandler((event) => {
+      if(event == "sync-session-invalid") {
+        invalidated = true;
+      }
+    });
+
+    await syncManager.sync();
+    expect(refreshes.length).to.equal(1);
+    expect(invalidated).to.equal(true);
+  });
+
+  it("does not refresh legacy sessions", async () => {
+    await authManager.saveSession({token: "legacy"});
+    let refreshes = respondToRefresh({status: 200, body: session("2")});
+    transport.on("get", "/items", () => {
+      return {status: 401, body: {}};
+    });
+
+    let error = await httpManager.request("get", url + "/items").catch((e) => e);
+    expect(error.status).to.equal(401);
+    expect(refreshes.length).to.equal(0);
+    expect(await storageManager.getItem("jwt")).to.equal("legacy");
+  });
+});
+
+describe("login challenges", () => {
+  let url = "http://localhost:3000";
+  let email = "mfa@example.com";
+  let password = "password";
+  var storageManager, transport, authManager, authParams;
+
+  let mfaError = (tag, message) => {
+    return {status: 401, body: {error: {tag: tag, message: message, payload: {mfa_key: "mfa_1234"}}}};
+  }
+
+  before(async () => {
+    authParams = (await SFJS.crypto.generateInitialKeysAndAuthParamsForUser(email, password)).authParams;
+  })
+
+  beforeEach(() => {
+    storageManager = new MemoryStorageManager();
+    transport = new MockTransport();
+    authManager = new SFAuthManager(storageManager, new SFHttpManager(null, transport));
+    transport.on("get", "/auth/params", () => {
+      return {status: 200, body: authParams};
+    });
+  })
+
+  it("surfaces a challenge and resumes sign in without recomputing keys", async () => {
+    transport.on("post", "/auth/sign_in", (request, params) => {
+      if(params.mfa_1234 == "123456") {
+        return {status: 200, body: {token: "jwt", user: {email: email}}};
+      }
+      return mfaError("mfa-required", "Please enter your two-factor authentication code.");
+    });
+
+    let computeKeys = SFJS.crypto.computeEncryptionKeysForUser;
+    var computeCount = 0;
+    SFJS.crypto.computeEncryptionKeysForUser = function() {
+      computeCount++;
+      return computeKeys.apply(this, arguments);
+    }
+
+    try {
+      let response = await authManager.login(url, email, password, false, null);
+      expect(response.challenge).to.be.an.instanceof(SFAuthChallenge);
+      expect(response.challenge.type).to.equal(SFAuthChallenge.TypeTOTP);
+      expect(response.challenge.message).to.equal("Please enter your two-factor authentication code.");
+      expect(await authManager.keys()).to.not.be.ok;
+      expect(authManager.isLocked()).to.equal(false);
+
+      let answered = await response.challenge.answer("123456");
+      expect(answered.error).to.not.be.ok;
+      expect(answered.token).to.equal("jwt");
+      expect(computeCount).to.equal(1);
+    } finally {
+      SFJS.crypto.computeEncryptionKeysForUser = computeKeys;
+    }
+
+    expect(await authManager.keys()).to.be.ok;
+    expect(await storageManager.getItem("jwt")).to.equal("jwt");
+    let signInParams = JSON.parse(transport.requests[transport.requests.length - 1].body);
+    expect(signInParams.mfa_1234).to.equal("123456");
+    expect(signInParams.password).to.equal(JSON.parse(transport.requests[1].body).password);
+  }).timeout(20000);
+
+  it("surfaces another challenge when the answer is wrong", async () => {
+    transport.on("post", "/auth/sign_in", (request, params) => {
+      if(params.mfa_1234) {
+        return mfaError("mfa-invalid", "The two-factor authentication code you entered is incorrect.");
+      }
+      return mfaError("mfa-required", "Please enter your two-factor authentication code.");
+    });
+
+    let response = await authManager.login(url, email, password, false, null);
+    let answered = await response.challenge.answer("000000");
+    expect(answered.error.message).to.equal("The two-factor authentication code you entered is incorrect.");
+    expect(answered.challenge).to.be.ok;
+    expect(await authManager.keys()).to.not.be.ok;
+  }).timeout(20000);
+
+  it("does not surface a challenge for other errors", async () => {
+    transport.on("post", "/auth/sign_in", () => {
+      return {status: 401, body: {error: {message: "Invalid email or password."}}};
+    });
+
+    let response = await authManager.login(url, email, password, false, null);
+    expect(response.error.message).to.equal("Invalid email or password.");
+    expect(response.challenge).to.not.be.ok;
+  }).timeout(20000);
+});
+
+describe("sign in parameters", () => {
+  let url = "http://localhost:3000";
+  var transport, authManager, authParams;
+
+  beforeEach(() => {
+    transport = new MockTransport();
+    authManager = new SFAuthManager(new MemoryStorageManager(), new SFHttpManager(null, transport));
+    authParams = {version: "004", pw_nonce: "nonce", pw_cost: SFJS.costMinimumForVersion("004"), pw_memory: SFJS.memoryMinimumForVersion("004")};
+    transport.on("get", "/auth/params", () => {
+      return {status: 200, body: authParams};
+    });
+  })
+
+  it("refuses 004 parameters above the maximum cost or memory", async () => {
+    authParams.pw_cost = SFJS.costMaximumForVersion("004") + 1;
+    let response = await authManager.login(url, "params@example.com", "password", false, null);
+    expect(response.error.message).to.contain("exceed");
+
+    authParams.pw_cost = SFJS.costMaximumForVersion("004");
+    authParams.pw_memory = SFJS.memoryMaximumForVersion("004") * 2;
+    response = await authManager.login(url, "params@example.com", "password", false, null);
+    expect(response.error.message).to.contain("exceed");
+    expect(transport.requests.filter((request) => request.url.endsWith("/auth/sign_in")).length).to.equal(0);
+  });
+});
@@ -16,7 +16,12 @@ describe('standard file', () => {
   });
 
   it('checks supported versions to make sure it includes 001, 002, 003', () => {
-    expect(sf_default.supportedVersions()).to.eql(["001", "002", "003"]);
+    expect(sf_default.supportedVersions()).to.include.members(["001", "002", "003"]);
+  });
+
+  it('supports 004 only with webcrypto', () => {
+    expect(sf_cryptoweb.supportedVersions()).to.eql(["001", "002", "003", "004"]);
+    expect(sf_cryptojs.supportedVersions()).to.eql(["001", "002", "003"]);
   });
 
   it('cryptojs should not support costs greater than 5000', () => {
@@ -151,3 +156,267 @@ describe('crypto operations', () => {
   })
 
 })
+
+describe('protocol 004', () => {
+  let crypto = sf_cryptoweb.crypto;
+  let bytesToHex = (bytes) => Array.from(bytes).map((byte) => ("0" + byte.toString(16)).slice(-2)).join("");
+  let fill = (length, value) => new Uint8Array(length).fill(value);
+
+  // Fast parameters, so that tests don't spend seconds on key derivation
+  let authParams = {
+    version: "004",
+    identifier: "hello@test.com",
+    pw_nonce: "d7a1e5c2b3f4a69788b9c0d1e2f3a4b5c6d7e8f9a0b1c2d3e4f5a6b7c8d9e0f1",
+    pw_cost: 2,
+    pw_memory: 1024
+  };
+  var keys;
+
+  before(async () => {
+    keys = await crypto.computeEncryptionKeysForUser("password", authParams);
+  })
+
+  it('computes blake2b test vectors', () => {
+    expect(bytesToHex(SFArgon2.blake2b(new Uint8Array(0)))).to.equal("786a02f742015903c6c6fd852552d272912f4740e15847618a86e217f71f5419d25e1031afee585313896444934eb04b903a685b1448b755d56f701afe9be2ce");
+    expect(bytesToHex(SFArgon2.blake2b(crypto.stringToBytes("abc")))).to.equal("ba80a53f981c4d0d6a2797b69f12f6e94c212f14685ac4b74b12bb6fdbffa2d17d87c5392aab792dc252d5de4533cc9518d38aa8dbf1925ab92386edd4009923");
+  });
+
+  it('computes the argon2id test vector from RFC 9106', () => {
+    let tag = SFArgon2.hash({
+      password: fill(32, 1),
+      salt: fill(16, 2),
+      secret: fill(8, 3),
+      associatedData: fill(12, 4),
+      iterations: 3,
+      memory: 32,
+      parallelism: 4,
+      length: 32
+    });
+    expect(bytesToHex(tag)).to.equal("0d640df58d78766c08c037a34a8b53c9d01ef0452d75b65eb52520e96b01e659");
+  });
+
+  it('derives 004 keys from auth params', () => {
+    expect(keys).to.eql({
+      pw: "600f61c06ba2659ce66d0751135339a717308ec1c34aef83aaef0db4d2a826eb",
+      mk: "4baf7cf2e1d83f282888351cfd20151aadbc612becbd0285da3f1781c2f197e2",
+      ak: "7a611a875a3abf6f977130099f87a944a8dfdcc32b7a74ab6c66876ec8720bd0"
+    });
+  });
+
+  it('has minimum costs for 004', () => {
+    expect(sf_default.costMinimumForVersion("004")).to.equal(2);
+    expect(sf_default.memoryMinimumForVersion("004")).to.equal(65536);
+    expect(sf_default.memoryMinimumForVersion("003")).to.not.be.ok;
+    expect(sf_default.costMaximumForVersion("004")).to.be.above(sf_default.costMinimumForVersion("004"));
+    expect(sf_default.memoryMaximumForVersion("004")).to.be.above(sf_default.memoryMinimumForVersion("004"));
+    expect(sf_default.costMaximumForVersion("003")).to.not.be.ok;
+  });
+
+  it('encrypts and decrypts items with authenticated encryption', async () => {
+    let item = new SFItem({content_type: "Note", content: {title: "hello", text: "world"}});
+    let params = await new SFItemParams(item, keys, authParams).paramsForSync();
+    expect(params.enc_item_key.startsWith("004:")).to.equal(true);
+    expect(params.content.startsWith("004:")).to.equal(true);
+    expect(params.content).to.not.contain("world");
+
+    await sf_cryptoweb.itemTransformer.decryptItem(params, keys);
+    expect(params.errorDecrypting).to.equal(false);
+    expect(JSON.parse(params.content).text).to.equal("world");
+    expect(params.auth_params).to.eql(authParams);
+  });
+
+  it('does not decrypt items with the wrong keys', async () => {
+    let item = new SFItem({content_type: "Note", content: {title: "hello"}});
+    let params = await new SFItemParams(item, keys, authParams).paramsForSync();
+    let otherKeys = await crypto.computeEncryptionKeysForUser("other", authParams);
+
+    await sf_cryptoweb.itemTransformer.decryptItem(params, otherKeys);
+    expect(params.errorDecrypting).to.equal(true);
+  });
+
+  it('binds ciphertext to the item uuid', async () => {
+    let item = new SFItem({content_type: "Note", content: {title: "hello"}});
+    let params = await new SFItemParams(item, keys, authParams).paramsForSync();
+    params.uuid = await crypto.generateUUID();
+
+    await sf_cryptoweb.itemTransformer.decryptItem(params, keys);
+    expect(params.errorDecrypting).to.equal(true);
+  });
+
+  it('detects tampered associated data', async () => {
+    let item = new SFItem({content_type: "Note", content: {title: "hello"}});
+    let params = await new SFItemParams(item, keys, authParams).paramsForSync();
+    let components = params.content.split(":");
+    let associated = JSON.parse(await crypto.base64Decode(components[3]));
+    associated.kp.pw_cost = 1;
+    components[3] = await crypto.base64(JSON.stringify(associated));
+    params.content = components.join(":");
+
+    await sf_cryptoweb.itemTransformer.decryptItem(params, keys);
+    expect(params.errorDecrypting).to.equal(true);
+  });
+
+  it('generates 004 auth params and keys for registration', async () => {
+    let result = await crypto.generateInitialKeysAndAuthParamsForUser("hello@test.com", "password", "004");
+    expect(result.authParams.version).to.equal("004");
+    expect(result.authParams.pw_cost).to.equal(2);
+    expect(result.authParams.pw_memory).to.equal(65536);
+    expect(result.keys.mk.length).to.equal(64);
+    expect(await crypto.computeEncryptionKeysForUser("password", result.authParams)).to.eql(result.keys);
+  }).timeout(60000);
+});
+
+describe('key ids', () => {
+  let transformer = sf_default.itemTransformer;
+  let authParams = {version: "003", identifier: "hello@test.com", pw_nonce: "a1b2c3d4e5f6", pw_cost: 3000};
+  var keys, otherKeys;
+
+  before(async () => {
+    keys = await sf_default.crypto.computeEncryptionKeysForUser("password", authParams);
+    otherKeys = await sf_default.crypto.computeEncryptionKeysForUser("other", authParams);
+  })
+
+  let encryptedNote = async (withKeys) => {
+    let item = new SFItem({content_type: "Note", content: {title: "hello", text: "world"}});
+    return new SFItemParams(item, withKeys, authParams).paramsForSync();
+  }
+
+  it('embeds the id of the keys in enc_item_key', async () => {
+    let params = await encryptedNote(keys);
+    let id = await SFKeyring.idForKeys(keys);
+    expect(id.length).to.equal(16);
+    expect(transformer.keyIdForItem(params)).to.equal(id);
+    expect(await SFKeyring.idForKeys(otherKeys)).to.not.equal(id);
+  });
+
+  it('encrypts with the current keys of a keyring', async () => {
+    let keyring = await SFKeyring.create(otherKeys, [keys]);
+    let params = await encryptedNote(keyring);
+    expect(transformer.keyIdForItem(params)).to.equal(keyring.currentId);
+
+    await transformer.decryptItem(params, otherKeys);
+    expect(params.errorDecrypting).to.equal(false);
+  });
+
+  it('decrypts with the keys matching the id', async () => {
+    let params = await encryptedNote(keys);
+    await transformer.decryptItem(params, await SFKeyring.create(otherKeys, [keys]));
+    expect(params.errorDecrypting).to.equal(false);
+    expect(JSON.parse(params.content).text).to.equal("world");
+
+    let unknown = await encryptedNote(keys);
+    await transformer.decryptItem(unknown, await SFKeyring.create(otherKeys));
+    expect(unknown.errorDecrypting).to.equal(true);
+  });
+
+  it('appends the id after the components parsers read', async () => {
+    let params = await encryptedNote(keys);
+    let components = params.enc_item_key.split(":");
+    expect(components.length).to.equal(7);
+
+    let parsed = transformer.encryptionComponentsFromString(params.enc_item_key, keys.mk, keys.ak);
+    expect(parsed.authParams).to.equal(components[5]);
+    expect(parsed.ciphertextToAuth).to.not.contain(components[6]);
+
+    // Clients that predate key ids decrypt with plain keys, whatever the id
+    params.enc_item_key = components.slice(0, 6).concat("0123456789abcdef").join(":");
+    await transformer.decryptItem(params, keys);
+    expect(params.errorDecrypting).to.equal(false);
+  });
+
+  it('tries the other keys when the id does not match', async () => {
+    let params = await encryptedNote(keys);
+    let keyring = await SFKeyring.create(otherKeys, [keys]);
+    params.enc_item_key = params.enc_item_key.split(":").slice(0, 6).concat(keyring.currentId).join(":");
+
+    await transformer.decryptItem(params, keyring);
+    expect(params.errorDecrypting).to.equal(false);
+    expect(JSON.parse(params.content).text).to.equal("world");
+  });
+
+  it('decrypts items wrapped before key ids with the current keys', async () => {
+    let params = await encryptedNote(keys);
+    params.enc_item_key = params.enc_item_key.split(":").slice(0, 6).join(":");
+    expect(transformer.keyIdForItem(params)).to.equal(null);
+
+    await transformer.decryptItem(params, await SFKeyring.create(keys, [otherKeys]));
+    expect(params.errorDecrypting).to.equal(false);
+  });
+
+  it('falls back to previous keys for items without a key id after a key change', async () => {
+    let params = await encryptedNote(keys);
+    params.enc_item_key = params.enc_item_key.split(":").slice(0, 6).join(":");
+    let keyring = await SFKeyring.create(otherKeys, [keys]);
+
+    let copy = Object.assign({}, params);
+    await transformer.decryptItem(copy, keyring);
+    expect(copy.errorDecrypting).to.equal(false);
+    expect(JSON.parse(copy.content).text).to.equal("world");
+
+    expect(await transformer.rewrapItemKey(params, keyring, authParams)).to.equal(true);
+    expect(transformer.keyIdForItem(params)).to.equal(keyring.currentId);
+  });
+
+  it('re-wraps an item key without changing the content', async () => {
+    let params = await encryptedNote(keys);
+    let content = params.content;
+    let keyring = await SFKeyring.create(otherKeys, [keys]);
+
+    expect(await transformer.rewrapItemKey(params, keyring, authParams)).to.equal(true);
+    expect(params.content).to.equal(content);
+    expect(transformer.keyIdForItem(params)).to.equal(keyring.currentId);
+
+    await transformer.decryptItem(params, otherKeys);
+    expect(params.errorDecrypting).to.equal(false);
+  });
+
+  it('does not re-wrap item keys it cannot decrypt', async () => {
+    let params = await encryptedNote(keys);
+    let encryptedItemKey = params.enc_item_key;
+    expect(await transformer.rewrapItemKey(params, await SFKeyring.create(otherKeys), authParams)).to.equal(false);
+    expect(params.enc_item_key).to.equal(encryptedItemKey);
+  });
+});
+
+describe('shared item keys', () => {
+  let transformer = sf_default.itemTransformer;
+  var keyPair, otherKeyPair;
+
+  before(async () => {
+    keyPair = await sf_default.crypto.generateKeyPair();
+    otherKeyPair = await sf_default.crypto.generateKeyPair();
+  })
+
+  let sharedNote = async (version) => {
+    let item = new SFItem({content_type: "Note", content: {title: "hello", text: "world"}});
+    return new SFItemParams(item, {publicKey: keyPair.publicKey}, {version: version}).paramsForSync();
+  }
+
+  it('is only supported with webcrypto', () => {
+    expect(sf_cryptoweb.crypto.supportsAsymmetricEncryption()).to.equal(true);
+    expect(sf_cryptojs.crypto.supportsAsymmetricEncryption()).to.equal(false);
+  });
+
+  it('wraps item keys for a public key', async () => {
+    for(var version of ["003", "004"]) {
+      let params = await sharedNote(version);
+      expect(params.enc_item_key.startsWith("share:")).to.equal(true);
+      expect(params.content.startsWith(version)).to.equal(true);
+
+      await transformer.decryptItem(params, {privateKey: keyPair.privateKey});
+      expect(params.errorDecrypting).to.equal(false);
+      expect(params.auth_params).to.eql({version: version});
+      expect(JSON.parse(params.content).text).to.equal("world");
+    }
+  });
+
+  it('does not decrypt shared items with another private key or account keys', async () => {
+    let params = await sharedNote("003");
+    await transformer.decryptItem(params, {privateKey: otherKeyPair.privateKey});
+    expect(params.errorDecrypting).to.equal(true);
+
+    let keys = {mk: await sf_default.crypto.generateRandomKey(256), ak: await sf_default.crypto.generateRandomKey(256)};
+    await transformer.decryptItem(params, keys);
+    expect(params.errorDecrypting).to.equal(true);
+  });
+});
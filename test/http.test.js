@@ -0,0 +1,171 @@
+import '../dist/regenerator.js';
+import '../dist/sfjs.js';
+import '../node_modules/chai/chai.js';
+import './vendor/chai-as-promised-built.js';
+import MemoryStorageManager from './lib/memoryStorageManager.js';
+import MockTransport from './lib/mockTransport.js';
+
+chai.use(chaiAsPromised);
+var expect = chai.expect;
+
+describe("http manager", () => {
+  let url = "http://localhost:3000";
+  let transport = new MockTransport();
+  let httpManager = new SFHttpManager(null, transport);
+  httpManager.setJWTRequestHandler(async () => {
+    return "token";
+  })
+
+  beforeEach(() => {
+    transport.reset();
+  })
+
+  it("resolves with parsed response for successful requests", async () => {
+    transport.on("post", "/items/sync", (request, params) => {
+      return {status: 200, body: {echo: params.foo}};
+    });
+
+    let response = await httpManager.request("post", url + "/items/sync", {foo: "bar"});
+    expect(response.echo).to.equal("bar");
+    expect(transport.requests[0].headers["Authorization"]).to.equal("Bearer token");
+  });
+
+  it("appends params to url for get requests", async () => {
+    transport.on("get", "/auth/params", () => {
+      return {status: 200, body: {}};
+    });
+
+    await httpManager.request("get", url + "/auth/params", {email: "a@b.com"});
+    expect(transport.requests[0].url).to.equal(url + "/auth/params?email=a%40b.com");
+    expect(transport.requests[0].body).to.not.be.ok;
+  });
+
+  it("rejects with status and response for non 2xx responses", async () => {
+    transport.on("post", "/auth/sign_in", () => {
+      return {status: 401, body: {error: {message: "Invalid"}}};
+    });
+
+    let error = await httpManager.request("post", url + "/auth/sign_in", {}).catch((e) => e);
+    expect(error.status).to.equal(401);
+    expect(error.response.error.message).to.equal("Invalid");
+  });
+
+  it("retries network errors and server errors", async () => {
+    var attempts = 0;
+    transport.on("post", "/items/sync", () => {
+      attempts++;
+      if(attempts == 1) { return {networkError: true}; }
+      if(attempts == 2) { return {status: 503, body: {}}; }
+      return {status: 200, body: {ok: true}};
+    });
+
+    let response = await httpManager.request("post", url + "/items/sync", {}, {retries: 2, retryDelay: 1});
+    expect(response.ok).to.equal(true);
+    expect(attempts).to.equal(3);
+  });
+
+  it("does not retry client errors", async () => {
+    var attempts = 0;
+    transport.on("post", "/items/sync", () => {
+      attempts++;
+      return {status: 400, body: {}};
+    });
+
+    let error = await httpManager.request("post", url + "/items/sync", {}, {retries: 2, retryDelay: 1}).catch((e) => e);
+    expect(error.status).to.equal(400);
+    expect(attempts).to.equal(1);
+  });
+
+  it("times out hanging requests", async () => {
+    transport.on("post", "/items/sync", () => {
+      return new Promise(() => {});
+    });
+
+    let error = await httpManager.request("post", url + "/items/sync", {}, {timeout: 10}).catch((e) => e);
+    expect(error.status).to.equal(0);
+    expect(error.timedOut).to.equal(true);
+  });
+
+  it("rejects with an error response when no response is received", async () => {
+    transport.on("post", "/items/sync", () => {
+      return {networkError: true};
+    });
+
+    let error = await httpManager.request("post", url + "/items/sync", {}).catch((e) => e);
+    expect(error.status).to.equal(0);
+    expect(error.response.error.message).to.equal("Could not connect to server.");
+
+    transport.on("get", "/items", () => {
+      return new Promise(() => {});
+    });
+    error = await httpManager.request("get", url + "/items", {}, {timeout: 10}).catch((e) => e);
+    expect(error.response.error.message).to.contain("timed out");
+  });
+
+  it("passes an error response to callbacks when no response is received", (done) => {
+    transport.on("post", "/auth/change_pw", () => {
+      return {networkError: true};
+    });
+
+    httpManager.postAbsolute(url + "/auth/change_pw", {}, () => {
+      done(new Error("Should not succeed"));
+    }, (response, statusCode) => {
+      expect(statusCode).to.equal(0);
+      expect(response.error.message).to.equal("Could not connect to server.");
+      done();
+    });
+  });
+
+  it("resolves auth requests with an error when no response is received", async () => {
+    transport.on("post", "/auth", () => {
+      return {networkError: true};
+    });
+
+    let authManager = new SFAuthManager(new MemoryStorageManager(), httpManager);
+    let response = await authManager.register(url, "offline@example.com", "password", false);
+    expect(response.error.message).to.be.ok;
+  }).timeout(20000);
+
+  it("aborts in-flight requests through an AbortSignal", async () => {
+    transport.on("post", "/items/sync", () => {
+      return new Promise(() => {});
+    });
+
+    let controller = new AbortController();
+    let promise = httpManager.request("post", url + "/items/sync", {}, {signal: controller.signal});
+    controller.abort();
+    let error = await promise.catch((e) => e);
+    expect(error.aborted).to.equal(true);
+  });
+
+  it("retries once after refreshing the session on 401", async () => {
+    var refreshes = 0;
+    httpManager.setSessionRefreshHandler(async () => {
+      refreshes++;
+      return true;
+    })
+    transport.on("get", "/items", () => {
+      return {status: 401, body: {error: {message: "Expired"}}};
+    });
+
+    let error = await httpManager.request("get", url + "/items", {}, {retries: 2, retryDelay: 1}).catch((e) => e);
+    httpManager.setSessionRefreshHandler(null);
+    expect(error.status).to.equal(401);
+    expect(refreshes).to.equal(1);
+    expect(transport.requests.length).to.equal(2);
+  });
+
+  it("keeps the callback api working", (done) => {
+    transport.on("post", "/auth/change_pw", () => {
+      return {status: 500, body: {error: {message: "Oops"}}};
+    });
+
+    httpManager.postAbsolute(url + "/auth/change_pw", {}, () => {
+      done(new Error("Should not succeed"));
+    }, (response, statusCode) => {
+      expect(statusCode).to.equal(500);
+      expect(response.error.message).to.equal("Oops");
+      done();
+    });
+  });
+});
@@ -0,0 +1,137 @@
+import '../dist/regenerator.js';
+import '../dist/sfjs.js';
+import '../node_modules/chai/chai.js';
+import './vendor/chai-as-promised-built.js';
+import '../vendor/lodash/lodash.custom.js';
+import Factory from './lib/factory.js';
+
+SFItem.AppDomain = "org.standardnotes.sn";
+
+chai.use(chaiAsPromised);
+var expect = chai.expect;
+
+describe('importers', () => {
+  var registry;
+
+  let enex = `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE en-export SYSTEM "http://xml.evernote.com/pub/evernote-export3.dtd">
+<en-export export-date="20190102T100000Z" application="Evernote">
+  <note>
+    <title>Groceries &amp; more</title>
+    <content><![CDATA[<?xml version="1.0" encoding="UTF-8"?><!DOCTYPE en-note SYSTEM "http://xml.evernote.com/pub/enml2.dtd"><en-note><div>Buy:</div><ul><li>Milk</li><li>Bread &lt;fresh&gt;</li></ul><div><en-todo checked="true"/>Done<br/></div></en-note>]]></content>
+    <created>20190101T120000Z</created>
+    <updated>20190102T093000Z</updated>
+    <tag>home</tag>
+    <tag>lists</tag>
+  </note>
+  <note>
+    <title>Second</title>
+    <content><![CDATA[<en-note>Hello</en-note>]]></content>
+    <tag>home</tag>
+  </note>
+</en-export>`;
+
+  let markdown = `---
+title: "Meeting notes"
+tags: [work, "meetings"]
+created: 2019-03-01T10:00:00Z
+---
+# Agenda
+
+Nothing yet.`;
+
+  let notesWithTag = (items, title) => {
+    let tag = items.find((item) => item.content_type == "Tag" && item.content.title == title);
+    return tag.content.references.map((reference) => items.find((item) => item.uuid == reference.uuid).content.title);
+  }
+
+  beforeEach(() => {
+    registry = new SFImporterRegistry();
+  })
+
+  it("imports markdown with front matter", async () => {
+    let {items, skipped} = await registry.convert([
+      {name: "Notes/Work/meeting.md", content: markdown},
+      {name: "Notes/ideas.markdown", content: "---\ntags:\n  - work\n  - '#ideas'\n---\nSome ideas"},
+      {name: "Notes/plain.md", content: "No front matter"}
+    ]);
+    expect(skipped).to.eql([]);
+
+    let notes = items.filter((item) => item.content_type == "Note");
+    expect(notes.map((note) => note.content.title)).to.eql(["Meeting notes", "ideas", "plain"]);
+    expect(notes[0].content.text).to.equal("# Agenda\n\nNothing yet.");
+    expect(notes[0].created_at).to.equal("2019-03-01T10:00:00.000Z");
+    expect(notes[1].content.text).to.equal("Some ideas");
+    expect(notes[2].content.text).to.equal("No front matter");
+
+    expect(notesWithTag(items, "work")).to.eql(["Meeting notes", "ideas"]);
+    expect(notesWithTag(items, "meetings")).to.eql(["Meeting notes"]);
+    expect(notesWithTag(items, "ideas")).to.eql(["ideas"]);
+  });
+
+  it("imports Evernote exports", async () => {
+    let {items} = await registry.convert([{name: "export.enex", content: enex}]);
+    let notes = items.filter((item) => item.content_type == "Note");
+    expect(notes.length).to.equal(2);
+    expect(notes[0].content.title).to.equal("Groceries & more");
+    expect(notes[0].content.text).to.equal("Buy:\n- Milk\n- Bread <fresh>\n[x] Done");
+    expect(notes[0].created_at).to.equal("2019-01-01T12:00:00.000Z");
+    expect(notes[0].updated_at).to.equal("2019-01-02T09:30:00.000Z");
+    expect(notes[1].content.text).to.equal("Hello");
+    expect(notes[1].created_at).to.not.be.ok;
+
+    expect(notesWithTag(items, "home")).to.eql(["Groceries & more", "Second"]);
+    expect(notesWithTag(items, "lists")).to.eql(["Groceries & more"]);
+  });
+
+  it("imports plain text and skips what it can't import", async () => {
+    let {items, skipped} = await registry.convert([
+      {name: "todo.txt", content: "Call back"},
+      {name: "photo.png", content: ""},
+      {name: ".obsidian/config.md", content: ""},
+      {name: "broken.enex", content: "<html></html>"}
+    ]);
+    expect(items.map((item) => item.content)).to.eql([{title: "todo", text: "Call back", references: []}]);
+    expect(skipped).to.eql(["photo.png", ".obsidian/config.md", "broken.enex"]);
+  });
+
+  it("uses importers registered later first", async () => {
+    class OutlineImporter extends SFImporter {
+      canImport(file) {
+        return this.extension(file) == "txt";
+      }
+      async parse(file) {
+        return file.content.split("\n").map((line) => {return {title: line, text: "", tags: ["outline"]}});
+      }
+    }
+    let importer = registry.register(new OutlineImporter());
+    let {items} = await registry.convert([{name: "outline.txt", content: "One\nTwo"}]);
+    expect(notesWithTag(items, "outline")).to.eql(["One", "Two"]);
+
+    registry.unregister(importer);
+    items = (await registry.convert([{name: "outline.txt", content: "One\nTwo"}])).items;
+    expect(items.length).to.equal(1);
+  });
+
+  it("imports converted files through the file import path", async () => {
+    let modelManager = Factory.createModelManager();
+    let archiveManager = new SFArchiveManager(modelManager);
+    var sources = [];
+    let mapResponseItemsToLocalModels = modelManager.mapResponseItemsToLocalModels.bind(modelManager);
+    modelManager.mapResponseItemsToLocalModels = (items, source, sourceKey) => {
+      sources.push(source);
+      return mapResponseItemsToLocalModels(items, source, sourceKey);
+    }
+
+    let report = await archiveManager.prepareFileImport([{name: "export.enex", content: enex}, {name: "photo.png", content: ""}]);
+    expect(report.new.length).to.equal(4);
+    expect(report.skipped).to.eql(["photo.png"]);
+    expect(modelManager.allItems.length).to.equal(0);
+
+    await archiveManager.commitImport(report);
+    expect(sources).to.include(SFModelManager.MappingSourceFileImport);
+    let tag = modelManager.validItemsForContentType("Tag").find((item) => item.content.title == "home");
+    expect(tag.referencingObjects.length).to.equal(0);
+    expect(modelManager.validItemsForContentType("Note").filter((note) => tag.hasRelationshipWithItem(note)).length).to.equal(2);
+  });
+});
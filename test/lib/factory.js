@@ -30,10 +30,8 @@ export default class Factory {
 
   static globalHttpManager() {
     if(_globalHttpManager == null) {
+      // The global auth manager installs its JWT request handler
       _globalHttpManager = new SFHttpManager();
-      _globalHttpManager.setJWTRequestHandler(async () => {
-        return this.globalStorageManager().getItem("jwt");;
-      })
     }
     return _globalHttpManager;
   }
@@ -0,0 +1,30 @@
+// A file endpoint that keeps chunks in memory. Set failDownloadAt to an index to make the next download of that chunk fail.
+
+export default class MemoryFileEndpoint extends SFFileEndpoint {
+
+  constructor() {
+    super();
+    // fileId => [Uint8Array]
+    this.files = {};
+    this.downloads = [];
+    this.failDownloadAt = null;
+  }
+
+  async uploadChunk(fileId, index, bytes) {
+    this.files[fileId] = this.files[fileId] || [];
+    this.files[fileId][index] = bytes.slice();
+  }
+
+  async downloadChunk(fileId, index) {
+    if(this.failDownloadAt === index) {
+      this.failDownloadAt = null;
+      throw {status: 0};
+    }
+    this.downloads.push(index);
+    return this.files[fileId][index].slice();
+  }
+
+  async deleteFile(fileId) {
+    delete this.files[fileId];
+  }
+}
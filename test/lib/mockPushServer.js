@@ -0,0 +1,61 @@
+// A stand-in for the server's push channel. Pass `server.connect` as the channel's connectionFactory.
+
+class MockConnection {
+
+  constructor(server, url) {
+    this.server = server;
+    this.url = url;
+    this.closed = false;
+  }
+
+  close() {
+    if(this.closed) { return; }
+    this.closed = true;
+    _.pull(this.server.connections, this);
+  }
+}
+
+export default class MockPushServer {
+
+  constructor() {
+    this.connections = [];
+    this.connectionAttempts = 0;
+    this.available = true;
+    this.connect = this.connect.bind(this);
+  }
+
+  connect(url) {
+    this.connectionAttempts++;
+    let connection = new MockConnection(this, url);
+    // Like real sockets, events are delivered asynchronously
+    setTimeout(() => {
+      if(this.available) {
+        this.connections.push(connection);
+        connection.onopen && connection.onopen();
+      } else {
+        connection.onerror && connection.onerror(new Error("Connection refused"));
+        connection.onclose && connection.onclose();
+      }
+    });
+    return connection;
+  }
+
+  send(message) {
+    for(var connection of this.connections.slice()) {
+      connection.onmessage && connection.onmessage({data: JSON.stringify(message)});
+    }
+  }
+
+  notifyItemsChanged(syncToken) {
+    this.send({event: "items-changed", sync_token: syncToken});
+  }
+
+  /* Drops all connections. Pass false to also refuse new ones. */
+  disconnectAll(available = true) {
+    this.available = available;
+    for(var connection of this.connections.slice()) {
+      connection.close();
+      connection.onclose && connection.onclose();
+    }
+  }
+}
@@ -0,0 +1,71 @@
+// A stand-in for the server's sync and sharing endpoints, with several accounts. Requests are attributed to accounts by their token.
+
+import MockTransport from './mockTransport.js';
+
+export default class MockSharingServer {
+
+  constructor(transport) {
+    // token => {email, items, publicKey, signingPublicKey, inbox}
+    this.accounts = {};
+
+    this.route(transport, "post", "/items/sync", (account, params) => {
+      for(var item of params.items) {
+        account.items[item.uuid] = item;
+      }
+      return MockTransport.syncResponse(params);
+    });
+    this.route(transport, "post", "/sharing/public_key", (account, params) => {
+      account.publicKey = params.public_key;
+      account.signingPublicKey = params.signing_public_key;
+      return {};
+    });
+    this.route(transport, "get", "/sharing/public_key", (account, params) => {
+      let recipient = this.account(params.email);
+      return recipient && recipient.publicKey ? {public_key: recipient.publicKey, signing_public_key: recipient.signingPublicKey} : {};
+    });
+    this.route(transport, "post", "/sharing/shares", (account, params) => {
+      let recipient = this.account(params.recipient);
+      if(!recipient) {
+        return {status: 404, body: {error: {message: "No account was found for that email."}}};
+      }
+      recipient.inbox.push(Object.assign({}, params.item, {sender_email: account.email}));
+      return {};
+    });
+    this.route(transport, "get", "/sharing/shares", (account) => {
+      return {shares: account.inbox};
+    });
+    this.route(transport, "post", "/sharing/shares/received", (account, params) => {
+      account.inbox = account.inbox.filter((share) => !params.uuids.includes(share.uuid));
+      return {};
+    });
+  }
+
+  /* Returns the account's token. */
+  addAccount(email) {
+    let token = `token-${email}`;
+    this.accounts[token] = {email: email, items: {}, publicKey: null, signingPublicKey: null, inbox: []};
+    return token;
+  }
+
+  account(email) {
+    return Object.values(this.accounts).find((account) => account.email == email);
+  }
+
+  // handler(account, params) returns a response body, or {status, body}
+  route(transport, verb, path, handler) {
+    transport.on(verb, path, (request, params) => {
+      let account = this.accounts[(request.headers["Authorization"] || "").replace("Bearer ", "")];
+      if(!account) {
+        return {status: 401, body: {error: {message: "Invalid login credentials."}}};
+      }
+      if(verb == "get") {
+        params = {};
+        new URL(request.url).searchParams.forEach((value, key) => {
+          params[key] = value;
+        });
+      }
+      let result = handler(account, params);
+      return result.status ? result : {status: 200, body: result};
+    });
+  }
+}
@@ -0,0 +1,89 @@
+// A test transport that answers requests from registered route handlers instead of a live server.
+
+export default class MockTransport extends SFHttpTransport {
+
+  constructor() {
+    super();
+    this.routes = [];
+    this.requests = [];
+  }
+
+  /*
+    handler(request, params) should return (or resolve with) {status, body, headers}.
+    Returning a promise that never resolves simulates a hanging server.
+   */
+  on(verb, path, handler) {
+    this.routes.push({verb: verb, path: path, handler: handler});
+  }
+
+  /* A successful /items/sync response body that saves every submitted item. */
+  static syncResponse(params, extra = {}) {
+    return Object.assign({
+      retrieved_items: [],
+      saved_items: (params.items || []).map((item) => {
+        return Object.assign({}, item, {updated_at: new Date()});
+      }),
+      unsaved: [],
+      sync_token: `${Date.now()}`
+    }, extra);
+  }
+
+  reset() {
+    this.routes = [];
+    this.requests = [];
+  }
+
+  async send(request) {
+    return new Promise((resolve, reject) => {
+      if(request.signal && request.signal.aborted) {
+        reject(this.failure({aborted: true}));
+        return;
+      }
+
+      this.requests.push(request);
+
+      var finished = false;
+      var finish = (callback, value) => {
+        if(finished) { return; }
+        finished = true;
+        callback(value);
+      }
+
+      this.observeSignal(request.signal, () => {
+        finish(reject, this.failure({aborted: true}));
+      });
+
+      if(request.timeout) {
+        setTimeout(() => {
+          finish(reject, this.failure({timedOut: true}));
+        }, request.timeout);
+      }
+
+      var path = request.url.replace(/^https?:\/\/[^\/]+/, "").split("?")[0];
+      var route = this.routes.find((candidate) => {
+        return candidate.verb == request.verb && candidate.path == path;
+      });
+
+      if(!route) {
+        finish(resolve, {status: 404, responseText: JSON.stringify({error: {message: "Not found"}}), headers: {}});
+        return;
+      }
+
+      var params = request.body ? JSON.parse(request.body) : {};
+      Promise.resolve(route.handler(request, params)).then((result) => {
+        if(result.networkError) {
+          finish(reject, this.failure());
+          return;
+        }
+        if(request.onHeadersReceived && !finished) {
+          request.onHeadersReceived();
+        }
+        finish(resolve, {
+          status: result.status || 200,
+          responseText: result.body !== undefined ? JSON.stringify(result.body) : "",
+          headers: result.headers || {}
+        });
+      });
+    });
+  }
+}
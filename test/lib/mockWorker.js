@@ -0,0 +1,55 @@
+// Runs SFCryptoWorker in this thread, behind a worker_threads style interface. Messages are copied and delivered asynchronously.
+
+class MockEndpoint {
+
+  constructor() {
+    this.handlers = {};
+  }
+
+  on(event, handler) {
+    this.handlers[event] = (this.handlers[event] || []).concat([handler]);
+  }
+
+  emit(event, data) {
+    for(var handler of this.handlers[event] || []) {
+      handler(data);
+    }
+  }
+
+  postMessage(message) {
+    let copy = JSON.parse(JSON.stringify(message));
+    setTimeout(() => {
+      if(!this.worker.terminated) {
+        this.peer.emit("message", copy);
+      }
+    });
+  }
+}
+
+export default class MockWorker extends MockEndpoint {
+
+  /* sfjs is the instance the worker runs with. It shouldn't be the one using the pool. */
+  constructor(sfjs) {
+    super();
+    this.worker = this;
+    this.port = new MockEndpoint();
+    this.port.worker = this;
+    this.port.peer = this;
+    this.peer = this.port;
+
+    // The methods this worker was asked to run
+    this.methods = [];
+    this.port.on("message", (message) => {
+      this.methods.push(message.method);
+    });
+    SFCryptoWorker.listen(this.port, sfjs);
+  }
+
+  crash() {
+    this.emit("error", new Error("Worker crashed"));
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+}
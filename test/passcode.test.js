@@ -0,0 +1,128 @@
+import '../dist/regenerator.js';
+import '../dist/sfjs.js';
+import '../node_modules/chai/chai.js';
+import './vendor/chai-as-promised-built.js';
+import '../vendor/lodash/lodash.custom.js';
+import MemoryStorageManager from './lib/memoryStorageManager.js';
+import MockTransport from './lib/mockTransport.js';
+
+chai.use(chaiAsPromised);
+var expect = chai.expect;
+
+describe("local passcode", () => {
+  let keys = {mk: "master-key", ak: "auth-key"};
+  var storageManager, transport, authManager, passcodeManager;
+
+  let storedValues = () => {
+    return Object.keys(storageManager.memory).map((key) => storageManager.memory[key]).join("\n");
+  }
+
+  beforeEach(async () => {
+    storageManager = new MemoryStorageManager();
+    transport = new MockTransport();
+    authManager = new SFAuthManager(storageManager, new SFHttpManager(null, transport));
+    passcodeManager = authManager.passcodeManager;
+    await authManager.saveKeys(keys);
+    await authManager.saveSession({token: "access-token"});
+  })
+
+  it("stores values in plaintext without a passcode", async () => {
+    expect(await passcodeManager.hasPasscode()).to.equal(false);
+    expect(await passcodeManager.isLocked()).to.equal(false);
+    expect(await storageManager.getItem("mk")).to.equal("master-key");
+    expect(await storageManager.getItem("jwt")).to.equal("access-token");
+  });
+
+  it("wraps stored keys and the token when a passcode is set", async () => {
+    await passcodeManager.setPasscode("1234");
+
+    expect(await storageManager.getItem("mk")).to.not.be.ok;
+    expect(await storageManager.getItem("ak")).to.not.be.ok;
+    expect(await storageManager.getItem("jwt")).to.not.be.ok;
+    expect(storedValues()).to.not.contain("master-key");
+    expect(storedValues()).to.not.contain("access-token");
+
+    expect(await authManager.keys()).to.eql(keys);
+    expect(await authManager.getAccessToken()).to.equal("access-token");
+  }).timeout(10000);
+
+  it("authenticates requests with the wrapped token", async () => {
+    await passcodeManager.setPasscode("1234");
+    var authorization;
+    transport.on("get", "/items", (request) => {
+      authorization = request.headers["Authorization"];
+      return {status: 200, body: {}};
+    });
+    await authManager.httpManager.request("get", "http://localhost:3000/items", {});
+    expect(authorization).to.equal("Bearer access-token");
+  }).timeout(10000);
+
+  it("hides protected values while locked", async () => {
+    await passcodeManager.setPasscode("1234");
+    passcodeManager.lock();
+
+    expect(await passcodeManager.isLocked()).to.equal(true);
+    expect(await authManager.keys()).to.not.be.ok;
+    expect(await authManager.getAccessToken()).to.not.be.ok;
+    await expect(passcodeManager.setItem("jwt", "new-token")).to.be.rejectedWith("Unable to save protected value while locked.");
+
+    // Other values are unaffected
+    await passcodeManager.setItem("server", "http://localhost:3000");
+    expect(await storageManager.getItem("server")).to.equal("http://localhost:3000");
+  }).timeout(10000);
+
+  it("refuses to sign in while locked", async () => {
+    await passcodeManager.setPasscode("1234");
+    passcodeManager.lock();
+
+    let response = await authManager.login("http://localhost:3000", "user@example.com", "password");
+    expect(response.error.message).to.contain("passcode");
+    expect(authManager.isLocked()).to.equal(false);
+
+    response = await authManager.signInWithKeys("http://localhost:3000", "user@example.com", {version: "003"}, {mk: "other", ak: "other", pw: "pw"});
+    expect(response.error.message).to.contain("passcode");
+
+    expect(await passcodeManager.unlock("1234")).to.equal(true);
+    expect(await authManager.keys()).to.eql(keys);
+  }).timeout(10000);
+
+  it("unlocks with the right passcode only", async () => {
+    await passcodeManager.setPasscode("1234");
+    passcodeManager.lock();
+
+    expect(await passcodeManager.unlock("wrong")).to.equal(false);
+    expect(await passcodeManager.isLocked()).to.equal(true);
+
+    expect(await passcodeManager.unlock("1234")).to.equal(true);
+    expect(await authManager.keys()).to.eql(keys);
+  }).timeout(10000);
+
+  it("persists wrapped values across instances", async () => {
+    await passcodeManager.setPasscode("1234");
+    await authManager.saveSession({token: "refreshed-token"});
+
+    let reloaded = new SFAuthManager(storageManager, new SFHttpManager(null, new MockTransport()));
+    expect(await reloaded.passcodeManager.isLocked()).to.equal(true);
+    expect(await reloaded.passcodeManager.unlock("1234")).to.equal(true);
+    expect(await reloaded.getAccessToken()).to.equal("refreshed-token");
+    expect(await reloaded.keys()).to.eql(keys);
+  }).timeout(10000);
+
+  it("changes the passcode", async () => {
+    await passcodeManager.setPasscode("1234");
+    await passcodeManager.setPasscode("5678");
+    expect(await passcodeManager.verifyPasscode("1234")).to.equal(false);
+    expect(await passcodeManager.verifyPasscode("5678")).to.equal(true);
+    expect(await authManager.keys()).to.eql(keys);
+  }).timeout(10000);
+
+  it("stores values in plaintext again when the passcode is removed", async () => {
+    await passcodeManager.setPasscode("1234");
+    await passcodeManager.removePasscode();
+
+    expect(await passcodeManager.hasPasscode()).to.equal(false);
+    expect(await storageManager.getItem("mk")).to.equal("master-key");
+    expect(await storageManager.getItem("jwt")).to.equal("access-token");
+    expect(await storageManager.getItem(SFPasscodeManager.WrappedStorageKey)).to.not.be.ok;
+  }).timeout(10000);
+});
@@ -76,4 +76,28 @@ describe("privileges", () => {
     let expirey = await privilegesManager.getSessionExpirey();
     expect(expirey).to.be.ok;
   });
+
+  it("verifies the local passcode against the passcode manager", async () => {
+    let action = SFPrivilegesManager.ActionViewProtectedNotes;
+    let credential = SFPrivilegesManager.CredentialLocalPasscode;
+    let passcodeManager = new SFPasscodeManager(new MemoryStorageManager());
+    privilegesManager.setPasscodeManager(passcodeManager);
+
+    try {
+      // Without a passcode, the credential can't be required
+      expect(await privilegesManager.netCredentialsForAction(action)).to.eql([]);
+
+      await passcodeManager.setPasscode("1234");
+      expect(await privilegesManager.netCredentialsForAction(action)).to.eql([credential]);
+
+      let failed = await privilegesManager.authenticateAction(action, {[credential]: "wrong"});
+      expect(failed.success).to.equal(false);
+      expect(failed.failedCredentials).to.eql([credential]);
+
+      let succeeded = await privilegesManager.authenticateAction(action, {[credential]: "1234"});
+      expect(succeeded.success).to.equal(true);
+    } finally {
+      privilegesManager.setPasscodeManager(null);
+    }
+  }).timeout(20000);
 })
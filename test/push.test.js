@@ -0,0 +1,161 @@
+import '../dist/regenerator.js';
+import '../dist/sfjs.js';
+import '../node_modules/chai/chai.js';
+import './vendor/chai-as-promised-built.js';
+import '../vendor/lodash/lodash.custom.js';
+import Factory from './lib/factory.js';
+import MemoryStorageManager from './lib/memoryStorageManager.js';
+import MockTransport from './lib/mockTransport.js';
+import MockPushServer from './lib/mockPushServer.js';
+
+chai.use(chaiAsPromised);
+var expect = chai.expect;
+
+describe('sync push channel', () => {
+  let transport = new MockTransport();
+  let storageManager = new MemoryStorageManager();
+  var syncManager, server, channel, events;
+
+  let createChannel = (options = {}) => {
+    return new SFSyncPushChannel(syncManager, _.merge({
+      url: "ws://localhost:3000/items/changes",
+      connectionFactory: server.connect,
+      debounce: 20,
+      pollInterval: 30,
+      retryPolicy: new SFSyncRetryPolicy({maxAttempts: 2, baseDelay: 10, maxDelay: 40, jitter: 0})
+    }, options));
+  }
+
+  beforeEach(async () => {
+    transport.reset();
+    await storageManager.clearAllData();
+    await storageManager.setItem("server", Factory.serverURL());
+    syncManager = new SFSyncManager(Factory.createModelManager(), storageManager, new SFHttpManager(null, transport));
+    syncManager.setKeyRequestHandler(async () => {
+      return {
+        offline: false
+      };
+    })
+    transport.on("post", "/items/sync", (request, params) => {
+      return {status: 200, body: MockTransport.syncResponse(params, {sync_token: "server-token"})};
+    });
+
+    events = [];
+    syncManager.addEventHandler((event) => { events.push(event); });
+    server = new MockPushServer();
+  })
+
+  afterEach(() => {
+    channel && channel.stop();
+  })
+
+  it("connects and syncs once for a burst of notifications", async () => {
+    channel = createChannel();
+    channel.start();
+    await Factory.sleep(0.01);
+    expect(channel.status).to.equal(SFSyncPushChannel.StatusConnected);
+    expect(events).to.include("push:connected");
+
+    server.notifyItemsChanged("a");
+    server.notifyItemsChanged("b");
+    server.notifyItemsChanged("c");
+    expect(transport.requests.length).to.equal(0);
+    await Factory.sleep(0.1);
+    expect(transport.requests.length).to.equal(1);
+  });
+
+  it("ignores notifications for the sync token it already has", async () => {
+    await syncManager.setSyncToken("current");
+    channel = createChannel();
+    channel.start();
+    await Factory.sleep(0.01);
+
+    server.notifyItemsChanged("current");
+    server.send({event: "something-else"});
+    await Factory.sleep(0.05);
+    expect(transport.requests.length).to.equal(0);
+  });
+
+  it("reconnects with backoff and catches up after reconnecting", async () => {
+    channel = createChannel();
+    channel.start();
+    await Factory.sleep(0.01);
+
+    server.disconnectAll();
+    expect(events).to.include("push:disconnected");
+    expect(channel.status).to.equal(SFSyncPushChannel.StatusConnecting);
+
+    await Factory.sleep(0.1);
+    expect(server.connectionAttempts).to.equal(2);
+    expect(channel.status).to.equal(SFSyncPushChannel.StatusConnected);
+    // Notifications may have been missed while disconnected
+    expect(transport.requests.length).to.equal(1);
+  });
+
+  it("retries when the channel url can't be resolved", async () => {
+    var urlRequests = 0;
+    channel = createChannel({url: async () => {
+      urlRequests++;
+      if(urlRequests == 1) {
+        throw "offline";
+      }
+      return "ws://localhost:3000/items/changes";
+    }});
+    channel.start();
+    await Factory.sleep(0.01);
+    expect(events).to.include("push:disconnected");
+
+    await Factory.sleep(0.05);
+    expect(urlRequests).to.equal(2);
+    expect(channel.status).to.equal(SFSyncPushChannel.StatusConnected);
+  });
+
+  it("falls back to polling while the channel is unavailable", async () => {
+    server.available = false;
+    channel = createChannel();
+    channel.start();
+
+    await Factory.sleep(0.15);
+    expect(channel.status).to.equal(SFSyncPushChannel.StatusPolling);
+    expect(events).to.include("push:polling");
+    expect(server.connectionAttempts).to.be.above(2);
+    expect(transport.requests.length).to.be.above(0);
+
+    // Polling stops once the channel is back
+    server.available = true;
+    await Factory.sleep(0.1);
+    expect(channel.status).to.equal(SFSyncPushChannel.StatusConnected);
+    let requestCount = transport.requests.length;
+    await Factory.sleep(0.1);
+    expect(transport.requests.length).to.equal(requestCount);
+  });
+
+  it("polls when push is not supported", async () => {
+    channel = new SFSyncPushChannel(syncManager, {type: "sse", pollInterval: 30});
+    channel.connectionFactory = null;
+    channel.start();
+    await Factory.sleep(0.1);
+    expect(channel.status).to.equal(SFSyncPushChannel.StatusPolling);
+    expect(transport.requests.length).to.be.above(0);
+  });
+
+  it("stops listening and polling when stopped", async () => {
+    channel = createChannel();
+    channel.start();
+    await Factory.sleep(0.01);
+    channel.stop();
+    expect(server.connections.length).to.equal(0);
+
+    server.disconnectAll(false);
+    await Factory.sleep(0.1);
+    expect(server.connectionAttempts).to.equal(1);
+    expect(transport.requests.length).to.equal(0);
+  });
+
+  it("derives the channel url from the server url", async () => {
+    channel = new SFSyncPushChannel(syncManager, {connectionFactory: server.connect});
+    expect(await channel.channelURL()).to.equal("ws://localhost:3000/items/changes");
+    channel = new SFSyncPushChannel(syncManager, {type: "sse", connectionFactory: server.connect});
+    expect(await channel.channelURL()).to.equal("http://localhost:3000/items/changes");
+  });
+});
@@ -0,0 +1,331 @@
+import '../dist/regenerator.js';
+import '../dist/sfjs.js';
+import '../node_modules/chai/chai.js';
+import './vendor/chai-as-promised-built.js';
+import '../vendor/lodash/lodash.custom.js';
+import Factory from './lib/factory.js';
+import MemoryStorageManager from './lib/memoryStorageManager.js';
+import MockTransport from './lib/mockTransport.js';
+
+SFItem.AppDomain = "org.standardnotes.sn";
+
+chai.use(chaiAsPromised);
+var expect = chai.expect;
+
+describe('re-encryption', () => {
+  let email = "upgrade@example.com";
+  let password = "password";
+  var storageManager, transport, server, managers;
+
+  let createManagers = () => {
+    let graph = SFAccountManager.createManagers({storageManager: storageManager});
+    graph.httpManager.setTransport(transport);
+    return graph;
+  }
+
+  // Makes the nth request to path respond with result instead, i.e {networkError: true}
+  let failRequest = (path, n, result) => {
+    server.failures.push({path: path, n: n, result: result});
+  }
+
+  let route = (verb, path, handler) => {
+    transport.on(verb, path, (request, params) => {
+      server.calls[path] = (server.calls[path] || 0) + 1;
+      let failure = server.failures.find((candidate) => {
+        return candidate.path == path && candidate.n == server.calls[path];
+      });
+      return failure ? failure.result : handler(request, params);
+    });
+  }
+
+  let serverItemVersions = () => {
+    return Object.keys(server.items).map((uuid) => server.items[uuid].content.substring(0, 3));
+  }
+
+  beforeEach(async () => {
+    storageManager = new MemoryStorageManager();
+    transport = new MockTransport();
+    server = {items: {}, calls: {}, failures: []};
+
+    route("get", "/auth/params", () => {
+      return {status: 200, body: server.authParams};
+    });
+    route("post", "/auth/change_pw", (request, params) => {
+      if(server.changePasswordError) {
+        return {status: 500, body: {error: {message: server.changePasswordError}}};
+      }
+      if(params.current_password !== server.pw) {
+        return {status: 401, body: {error: {message: "The current password you entered is incorrect."}}};
+      }
+      server.pw = params.new_password;
+      server.authParams = _.pick(params, ["pw_nonce", "pw_salt", "pw_cost", "identifier", "version"]);
+      if(server.loseChangePasswordResponse) {
+        return {networkError: true};
+      }
+      return {status: 200, body: {token: "changed-token"}};
+    });
+    route("post", "/auth/sign_in", (request, params) => {
+      if(params.password !== server.pw) {
+        return {status: 401, body: {error: {message: "Invalid email or password."}}};
+      }
+      return {status: 200, body: {token: "signed-in-token"}};
+    });
+    route("post", "/items/sync", (request, params) => {
+      for(var item of params.items) {
+        server.items[item.uuid] = item;
+      }
+      return {status: 200, body: MockTransport.syncResponse(params)};
+    });
+
+    // Accounts on 002 have their salt returned by the server, rather than an identifier
+    let authParams = {pw_salt: await SFJS.crypto.generateRandomKey(128), pw_cost: 3000, version: "002"};
+    let keys = await SFJS.crypto.computeEncryptionKeysForUser(password, authParams);
+    server.pw = keys.pw;
+    server.authParams = authParams;
+    server.keys = keys;
+
+    managers = createManagers();
+    await managers.authManager.handleAuthResponse({token: "token"}, email, Factory.serverURL(), authParams, keys);
+
+    for(var i = 0; i < 3; i++) {
+      let item = Factory.createItem();
+      managers.modelManager.addItem(item);
+      item.setDirty(true);
+    }
+    await managers.syncManager.sync();
+  })
+
+  it("re-encrypts every item with the new keys", async () => {
+    var progress = [];
+    managers.reencryptionManager.batchSize = 2;
+    managers.reencryptionManager.addEventHandler((event, data) => {
+      if(event == "reencryption:progress") {
+        progress.push(data);
+      }
+    });
+    expect(serverItemVersions()).to.eql(["002", "002", "002"]);
+
+    let response = await managers.reencryptionManager.upgradeProtocolVersion(password, {email: email});
+    expect(response.error).to.not.be.ok;
+    expect((await managers.authManager.getAuthParams()).version).to.equal(SFJS.version());
+    expect(server.authParams.version).to.equal(SFJS.version());
+    expect(serverItemVersions()).to.eql(["003", "003", "003"]);
+    expect(progress).to.eql([{completed: 2, total: 3, rollback: false}, {completed: 3, total: 3, rollback: false}]);
+    expect(await managers.reencryptionManager.hasPendingTransition()).to.equal(false);
+  });
+
+  it("only advances once a batch is uploaded", async () => {
+    // The first sync resolves without uploading anything, like a sync that was queued before the batch was marked dirty
+    let sync = managers.syncManager.sync.bind(managers.syncManager);
+    var syncCount = 0;
+    managers.syncManager.sync = (options) => {
+      syncCount++;
+      return syncCount == 1 ? Promise.resolve({}) : sync(options);
+    }
+
+    var uploaded = [];
+    managers.reencryptionManager.batchSize = 1;
+    managers.reencryptionManager.addEventHandler((event, data) => {
+      if(event == "reencryption:progress") {
+        uploaded.push(serverItemVersions().filter((version) => version == "003").length);
+      }
+    });
+
+    let response = await managers.reencryptionManager.upgradeProtocolVersion(password, {email: email});
+    expect(response.error).to.not.be.ok;
+    expect(uploaded).to.eql([1, 2, 3]);
+    expect(syncCount).to.equal(4);
+  });
+
+  it("requires the email for accounts without an identifier", async () => {
+    let response = await managers.reencryptionManager.upgradeProtocolVersion(password);
+    expect(response.error.message).to.contain("email");
+  });
+
+  it("rejects an incorrect password without contacting the server", async () => {
+    let requestCount = transport.requests.length;
+    let response = await managers.reencryptionManager.upgradeProtocolVersion("wrong", {email: email});
+    expect(response.error.message).to.contain("incorrect");
+    expect(transport.requests.length).to.equal(requestCount);
+    expect(await managers.reencryptionManager.hasPendingTransition()).to.equal(false);
+  });
+
+  it("discards the change if the server didn't apply it", async () => {
+    server.changePasswordError = "Something went wrong.";
+
+    let response = await managers.reencryptionManager.upgradeProtocolVersion(password, {email: email});
+    expect(response.error).to.be.ok;
+    expect(await managers.reencryptionManager.hasPendingTransition()).to.equal(false);
+    expect((await managers.authManager.getAuthParams()).version).to.equal("002");
+    expect(serverItemVersions()).to.eql(["002", "002", "002"]);
+  });
+
+  it("signs in with the new keys if the change was applied but the response was lost", async () => {
+    server.loseChangePasswordResponse = true;
+
+    let response = await managers.reencryptionManager.upgradeProtocolVersion(password, {email: email});
+    expect(response.error).to.not.be.ok;
+    expect(await storageManager.getItem("jwt")).to.equal("signed-in-token");
+    expect(serverItemVersions()).to.eql(["003", "003", "003"]);
+  });
+
+  it("resumes after an interruption without leaving unreadable items", async () => {
+    managers.reencryptionManager.batchSize = 1;
+    failRequest("/items/sync", 3, {status: 400, body: {error: {message: "Interrupted"}}});
+
+    let response = await managers.reencryptionManager.upgradeProtocolVersion(password, {email: email});
+    expect(response.error).to.be.ok;
+    expect(await managers.reencryptionManager.hasPendingTransition()).to.equal(true);
+    expect(serverItemVersions().sort()).to.eql(["002", "002", "003"]);
+
+    let stored = await storageManager.getItem(SFReencryptionManager.StorageKey);
+    expect(stored).to.not.contain(server.keys.pw);
+    expect(JSON.parse(stored).keys.pw).to.not.be.ok;
+    expect(JSON.parse(stored).previousKeys.mk).to.equal(server.keys.mk);
+
+    // Restart with the same storage. Some local items are still encrypted with the previous keys.
+    managers = createManagers();
+    await managers.reencryptionManager.load();
+    await managers.syncManager.loadLocalItems();
+    expect(managers.modelManager.allItems.length).to.equal(3);
+    expect(managers.modelManager.invalidItems().length).to.equal(0);
+
+    response = await managers.reencryptionManager.resume();
+    expect(response.error).to.not.be.ok;
+    expect(serverItemVersions()).to.eql(["003", "003", "003"]);
+    expect(await managers.reencryptionManager.hasPendingTransition()).to.equal(false);
+  });
+
+  it("re-encrypts stored items that weren't loaded when resuming", async () => {
+    server.loseChangePasswordResponse = true;
+    failRequest("/auth/params", 1, {networkError: true});
+    let response = await managers.reencryptionManager.upgradeProtocolVersion(password, {email: email});
+    expect(response.error).to.be.ok;
+    expect(server.authParams.version).to.equal(SFJS.version());
+
+    // Restart with the same storage. The server passwords weren't stored, so the password is required to sign in.
+    managers = createManagers();
+    await managers.reencryptionManager.load();
+    response = await managers.reencryptionManager.resume();
+    expect(response.error.message).to.contain("password is required");
+    response = await managers.reencryptionManager.resume({password: "wrong"});
+    expect(response.error.message).to.contain("incorrect");
+
+    // Resuming before local items are loaded
+    response = await managers.reencryptionManager.resume({password: password});
+    expect(response.error.message).to.contain("loaded");
+    expect(await storageManager.getItem("jwt")).to.equal("signed-in-token");
+    expect((await managers.reencryptionManager.getTransition()).pending.length).to.equal(3);
+
+    await managers.syncManager.loadLocalItems();
+    response = await managers.reencryptionManager.resume();
+    expect(response.error).to.not.be.ok;
+    expect(serverItemVersions()).to.eql(["003", "003", "003"]);
+  });
+
+  it("changes the password and re-encrypts every item", async () => {
+    let response = await managers.reencryptionManager.changePassword(password, "new-password", {email: email});
+    expect(response.error).to.not.be.ok;
+
+    let authParams = await managers.authManager.getAuthParams();
+    let newKeys = await SFJS.crypto.computeEncryptionKeysForUser("new-password", authParams);
+    expect(server.pw).to.equal(newKeys.pw);
+    expect((await managers.authManager.keys()).mk).to.equal(newKeys.mk);
+    expect(await storageManager.getItem("jwt")).to.equal("changed-token");
+    expect(serverItemVersions()).to.eql(["003", "003", "003"]);
+  });
+
+  it("rejects an incorrect current password", async () => {
+    let response = await managers.reencryptionManager.changePassword("wrong", "new-password", {email: email});
+    expect(response.error.message).to.contain("incorrect");
+    expect(server.pw).to.equal(server.keys.pw);
+  });
+
+  it("rolls back if re-uploading fails", async () => {
+    var rolledBack = false;
+    managers.reencryptionManager.addEventHandler((event) => {
+      if(event == "reencryption:rolled-back") {
+        rolledBack = true;
+      }
+    });
+    managers.reencryptionManager.batchSize = 1;
+    failRequest("/items/sync", 3, {status: 400, body: {error: {message: "Interrupted"}}});
+
+    let response = await managers.reencryptionManager.changePassword(password, "new-password", {email: email});
+    expect(response.error).to.be.ok;
+    expect(response.rolledBack).to.equal(true);
+    expect(rolledBack).to.equal(true);
+    expect(server.pw).to.equal(server.keys.pw);
+    expect(server.authParams.version).to.equal("002");
+    expect((await managers.authManager.keys()).mk).to.equal(server.keys.mk);
+    expect(serverItemVersions()).to.eql(["002", "002", "002"]);
+    expect(await managers.reencryptionManager.hasPendingTransition()).to.equal(false);
+  });
+
+  it("resumes a rollback that couldn't finish", async () => {
+    managers.reencryptionManager.batchSize = 1;
+    failRequest("/items/sync", 3, {status: 400, body: {error: {message: "Interrupted"}}});
+    failRequest("/auth/change_pw", 2, {networkError: true});
+    failRequest("/auth/params", 1, {networkError: true});
+
+    let response = await managers.reencryptionManager.changePassword(password, "new-password", {email: email});
+    expect(response.rolledBack).to.equal(false);
+    expect(await managers.reencryptionManager.hasPendingTransition()).to.equal(true);
+
+    response = await managers.reencryptionManager.resume();
+    expect(response.error).to.not.be.ok;
+    expect(server.pw).to.equal(server.keys.pw);
+    expect((await managers.authManager.keys()).mk).to.equal(server.keys.mk);
+    expect(serverItemVersions()).to.eql(["002", "002", "002"]);
+    expect(await managers.reencryptionManager.hasPendingTransition()).to.equal(false);
+  });
+
+  it("keeps replaced keys in the keyring", async () => {
+    await managers.reencryptionManager.changePassword(password, "new-password", {email: email});
+    let keyring = await managers.authManager.keyring();
+    expect(keyring.previousIds()).to.eql([await SFKeyring.idForKeys(server.keys)]);
+    expect(keyring.keysForId(keyring.previousIds()[0]).mk).to.equal(server.keys.mk);
+  });
+
+  it("re-wraps item keys with the current keys and drops previous keys", async () => {
+    let newKeys = await SFJS.crypto.computeEncryptionKeysForUser("new-password", server.authParams);
+    await managers.authManager.saveKeys(newKeys);
+    await storageManager.removeItem("jwt");
+
+    let contents = (await storageManager.getAllModels()).map((payload) => payload.content).sort();
+    var progress = [];
+    managers.reencryptionManager.batchSize = 2;
+    managers.reencryptionManager.addEventHandler((event, data) => {
+      if(event == "reencryption:rewrap-progress") {
+        progress.push(data);
+      }
+    });
+
+    let response = await managers.reencryptionManager.rewrapItemKeys();
+    expect(response.error).to.not.be.ok;
+    expect(progress).to.eql([{completed: 2, total: 3}, {completed: 3, total: 3}]);
+
+    let payloads = await storageManager.getAllModels();
+    let newKeyId = await SFKeyring.idForKeys(newKeys);
+    expect(payloads.map((payload) => SFJS.itemTransformer.keyIdForItem(payload))).to.eql([newKeyId, newKeyId, newKeyId]);
+    expect(payloads.map((payload) => payload.content).sort()).to.eql(contents);
+    expect(await managers.authManager.getPreviousKeys()).to.eql([]);
+
+    managers = createManagers();
+    await managers.syncManager.loadLocalItems();
+    expect(managers.modelManager.allItems.length).to.equal(3);
+    expect(managers.modelManager.invalidItems().length).to.equal(0);
+  });
+
+  it("uploads re-wrapped items when signed in", async () => {
+    let newKeys = await SFJS.crypto.computeEncryptionKeysForUser("new-password", server.authParams);
+    await managers.authManager.saveKeys(newKeys);
+
+    let response = await managers.reencryptionManager.rewrapItemKeys();
+    expect(response.error).to.not.be.ok;
+    let newKeyId = await SFKeyring.idForKeys(newKeys);
+    let serverKeyIds = Object.keys(server.items).map((uuid) => SFJS.itemTransformer.keyIdForItem(server.items[uuid]));
+    expect(serverKeyIds).to.eql([newKeyId, newKeyId, newKeyId]);
+  });
+});
+
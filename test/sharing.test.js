@@ -0,0 +1,248 @@
+import '../dist/regenerator.js';
+import '../dist/sfjs.js';
+import '../node_modules/chai/chai.js';
+import './vendor/chai-as-promised-built.js';
+import '../vendor/lodash/lodash.custom.js';
+import Factory from './lib/factory.js';
+import MemoryStorageManager from './lib/memoryStorageManager.js';
+import MockTransport from './lib/mockTransport.js';
+import MockSharingServer from './lib/mockSharingServer.js';
+
+SFItem.AppDomain = "org.standardnotes.sn";
+
+chai.use(chaiAsPromised);
+var expect = chai.expect;
+
+describe('sharing', () => {
+  var transport, server, alice, bob;
+
+  let signIn = async (email) => {
+    let managers = SFAccountManager.createManagers({storageManager: new MemoryStorageManager()});
+    managers.httpManager.setTransport(transport);
+    let result = await SFJS.crypto.generateInitialKeysAndAuthParamsForUser(email, "password");
+    await managers.authManager.handleAuthResponse({token: server.addAccount(email)}, email, Factory.serverURL(), result.authParams, result.keys);
+    managers.keys = result.keys;
+    managers.storageManager = managers.syncManager.storageManager;
+    return managers;
+  }
+
+  // Like restarting the app: new managers that load the account's items from storage
+  let reload = async (managers) => {
+    let reloaded = SFAccountManager.createManagers({storageManager: managers.storageManager});
+    reloaded.httpManager.setTransport(transport);
+    await reloaded.syncManager.loadLocalItems();
+    reloaded.keys = managers.keys;
+    reloaded.storageManager = managers.storageManager;
+    return reloaded;
+  }
+
+  let createNote = (text) => {
+    let note = new SFItem({content_type: "Note", content: {title: "Shared", text: text}});
+    alice.modelManager.addItem(note);
+    return note;
+  }
+
+  beforeEach(async () => {
+    transport = new MockTransport();
+    server = new MockSharingServer(transport);
+    alice = await signIn("alice@example.com");
+    bob = await signIn("bob@example.com");
+    await alice.sharingManager.enableSharing();
+  })
+
+  it("publishes the public key and syncs the key pair encrypted", async () => {
+    let response = await bob.sharingManager.enableSharing();
+    expect(response.error).to.not.be.ok;
+
+    let keyPair = bob.sharingManager.keyPairs()[0];
+    expect(server.account("bob@example.com").publicKey).to.equal(keyPair.publicKey);
+    expect(server.account("bob@example.com").signingPublicKey).to.equal(keyPair.signingPublicKey);
+
+    let stored = Object.values(server.account("bob@example.com").items);
+    expect(stored.length).to.equal(1);
+    expect(stored[0].content_type).to.equal("SF|KeyPair");
+    expect(stored[0].content).to.not.contain(keyPair.privateKey);
+    expect(stored[0].content).to.not.contain(keyPair.signingPrivateKey);
+
+    // Enabling again keeps the same key pair
+    await bob.sharingManager.enableSharing();
+    expect(bob.sharingManager.keyPairs().length).to.equal(1);
+  });
+
+  it("adds signing keys to key pairs created without them", async () => {
+    let keyPair = new SFKeyPair({content_type: "SF|KeyPair", content: await SFJS.crypto.generateKeyPair()});
+    await keyPair.initUUID();
+    bob.modelManager.addItem(keyPair);
+
+    await bob.sharingManager.enableSharing();
+    expect(bob.sharingManager.keyPairs()).to.eql([keyPair]);
+    expect(keyPair.signingPrivateKey).to.be.ok;
+    expect(server.account("bob@example.com").signingPublicKey).to.equal(keyPair.signingPublicKey);
+    expect(server.account("bob@example.com").items[keyPair.uuid]).to.be.ok;
+  });
+
+  it("shares an item only the recipient can decrypt", async () => {
+    await bob.sharingManager.enableSharing();
+    let response = await alice.sharingManager.shareItem(createNote("hello bob"), "bob@example.com");
+    expect(response.error).to.not.be.ok;
+
+    let share = server.account("bob@example.com").inbox[0];
+    expect(share.content_type).to.equal("SF|SharedItem");
+    expect(share.enc_item_key.startsWith("share:")).to.equal(true);
+    let copy = Object.assign({}, share);
+    await SFJS.itemTransformer.decryptItem(copy, alice.keys);
+    expect(copy.errorDecrypting).to.equal(true);
+
+    var received;
+    bob.sharingManager.addEventHandler((event, data) => {
+      if(event == "sharing:received") {
+        received = data.items;
+      }
+    });
+    response = await bob.sharingManager.fetchSharedItems();
+    expect(response.error).to.not.be.ok;
+    expect(response.undecryptable).to.equal(0);
+    expect(received).to.eql(response.items);
+
+    let sharedItem = response.items[0];
+    expect(sharedItem.sender.email).to.equal("alice@example.com");
+    expect(sharedItem.recipient).to.equal("bob@example.com");
+    expect(sharedItem.sharedContentType).to.equal("Note");
+    expect(sharedItem.sharedContent.text).to.equal("hello bob");
+
+    // Saved to bob's account, encrypted with his keys, and removed from the inbox
+    let saved = server.account("bob@example.com").items[sharedItem.uuid];
+    expect(saved.enc_item_key.startsWith("003")).to.equal(true);
+    expect(server.account("bob@example.com").inbox).to.eql([]);
+  });
+
+  it("accepts a shared item as a regular item", async () => {
+    await bob.sharingManager.enableSharing();
+    await alice.sharingManager.shareItem(createNote("hello bob"), "bob@example.com");
+    let sharedItem = (await bob.sharingManager.fetchSharedItems()).items[0];
+
+    let note = await bob.sharingManager.acceptSharedItem(sharedItem);
+    expect(note.content_type).to.equal("Note");
+    expect(note.content.text).to.equal("hello bob");
+    expect(note.uuid).to.not.equal(sharedItem.uuid);
+    expect(server.account("bob@example.com").items[note.uuid]).to.be.ok;
+    expect(server.account("bob@example.com").items[sharedItem.uuid].deleted).to.equal(true);
+  });
+
+  it("uses key pairs and shared items loaded from storage", async () => {
+    await bob.sharingManager.enableSharing();
+    await alice.sharingManager.shareItem(createNote("hello bob"), "bob@example.com");
+    let uuid = (await bob.sharingManager.fetchSharedItems()).items[0].uuid;
+
+    bob = await reload(bob);
+    let keyPair = bob.sharingManager.keyPairs()[0];
+    expect(keyPair).to.be.an.instanceof(SFKeyPair);
+    expect(keyPair.publicKey).to.equal(server.account("bob@example.com").publicKey);
+    await bob.sharingManager.enableSharing();
+    expect(server.account("bob@example.com").publicKey).to.equal(keyPair.publicKey);
+
+    let sharedItem = bob.modelManager.findItem(uuid);
+    expect(sharedItem).to.be.an.instanceof(SFSharedItem);
+    expect(sharedItem.sender.email).to.equal("alice@example.com");
+    let note = await bob.sharingManager.acceptSharedItem(sharedItem);
+    expect(note.content_type).to.equal("Note");
+    expect(note.content.text).to.equal("hello bob");
+
+    await alice.sharingManager.shareItem(createNote("again"), "bob@example.com");
+    let response = await bob.sharingManager.fetchSharedItems();
+    expect(response.items.map((item) => item.sharedContent.text)).to.eql(["again"]);
+  });
+
+  it("doesn't share references", async () => {
+    await bob.sharingManager.enableSharing();
+    let note = createNote("tagged");
+    let tag = new SFItem({content_type: "Tag", content: {title: "work"}});
+    alice.modelManager.addItem(tag);
+    note.addItemAsRelationship(tag);
+
+    await alice.sharingManager.shareItem(note, "bob@example.com");
+    let sharedItem = (await bob.sharingManager.fetchSharedItems()).items[0];
+    expect(sharedItem.sharedContent.references).to.eql([]);
+    expect(note.content.references.length).to.equal(1);
+  });
+
+  it("gives both accounts the same fingerprint for the sender's keys", async () => {
+    await bob.sharingManager.enableSharing();
+    await alice.sharingManager.shareItem(createNote("hello bob"), "bob@example.com");
+    let sharedItem = (await bob.sharingManager.fetchSharedItems()).items[0];
+
+    let fingerprint = await alice.sharingManager.fingerprint();
+    expect(fingerprint).to.match(/^([0-9A-F]{4} ){15}[0-9A-F]{4}$/);
+    expect(sharedItem.sender.fingerprint).to.equal(fingerprint);
+    expect((await bob.sharingManager.fingerprintForAccount("alice@example.com")).fingerprint).to.equal(fingerprint);
+    expect(await bob.sharingManager.fingerprint()).to.not.equal(fingerprint);
+  });
+
+  it("refuses to share with keys that don't match the verified fingerprint", async () => {
+    await bob.sharingManager.enableSharing();
+    let fingerprint = (await alice.sharingManager.fingerprintForAccount("bob@example.com")).fingerprint;
+    let response = await alice.sharingManager.shareItem(createNote("hello bob"), "bob@example.com", {fingerprint: fingerprint});
+    expect(response.error).to.not.be.ok;
+
+    // The server hands out someone else's keys for bob
+    let mallory = await signIn("mallory@example.com");
+    await mallory.sharingManager.enableSharing();
+    server.account("bob@example.com").publicKey = server.account("mallory@example.com").publicKey;
+    server.account("bob@example.com").signingPublicKey = server.account("mallory@example.com").signingPublicKey;
+
+    response = await alice.sharingManager.shareItem(createNote("hello bob"), "bob@example.com", {fingerprint: fingerprint});
+    expect(response.error.message).to.contain("fingerprint");
+    expect(server.account("bob@example.com").inbox.length).to.equal(1);
+  });
+
+  it("requires the sender to have enabled sharing", async () => {
+    await bob.sharingManager.enableSharing();
+    let carol = await signIn("carol@example.com");
+    let response = await carol.sharingManager.shareItem(createNote("hello"), "bob@example.com");
+    expect(response.error.message).to.contain("Enable sharing");
+    expect(server.account("bob@example.com").inbox).to.eql([]);
+  });
+
+  it("requires the recipient to have enabled sharing", async () => {
+    let response = await alice.sharingManager.shareItem(createNote("hello"), "bob@example.com");
+    expect(response.error.message).to.contain("bob@example.com");
+    expect(server.account("bob@example.com").inbox).to.eql([]);
+  });
+
+  it("ignores shares that didn't come from their stated sender", async () => {
+    await bob.sharingManager.enableSharing();
+    await alice.sharingManager.shareItem(createNote("hello bob"), "bob@example.com");
+    server.account("bob@example.com").inbox[0].sender_email = "mallory@example.com";
+
+    let response = await bob.sharingManager.fetchSharedItems();
+    expect(response.items).to.eql([]);
+    expect(response.undecryptable).to.equal(1);
+    expect(server.account("bob@example.com").inbox.length).to.equal(1);
+  });
+
+  it("ignores shares that weren't signed by their sender for this account", async () => {
+    await bob.sharingManager.enableSharing();
+    let carol = await signIn("carol@example.com");
+    await carol.sharingManager.enableSharing();
+
+    // Bob forwards alice's share to carol, as if it came from alice
+    await alice.sharingManager.shareItem(createNote("for bob"), "bob@example.com");
+    let forwarded = (await bob.sharingManager.fetchSharedItems()).items[0];
+    let params = await new SFItemParams(forwarded, {publicKey: server.account("carol@example.com").publicKey}, {version: SFJS.version()}).paramsForSync();
+    server.account("carol@example.com").inbox.push(Object.assign(params, {sender_email: "alice@example.com"}));
+
+    // And claims a note he wrote is from alice, with alice's keys but his own signature
+    let forged = new SFSharedItem({content_type: "SF|SharedItem", content: _.cloneDeep(forwarded.content)});
+    await forged.initUUID();
+    forged.content.recipient = "carol@example.com";
+    forged.content.item.content.text = "from alice, honestly";
+    let keyPair = bob.sharingManager.keyPairs()[0];
+    forged.content.signature = await SFJS.crypto.signText(bob.sharingManager.signedText(forged.uuid, forged.content), keyPair.signingPrivateKey);
+    params = await new SFItemParams(forged, {publicKey: server.account("carol@example.com").publicKey}, {version: SFJS.version()}).paramsForSync();
+    server.account("carol@example.com").inbox.push(Object.assign(params, {sender_email: "alice@example.com"}));
+
+    let response = await carol.sharingManager.fetchSharedItems();
+    expect(response.items).to.eql([]);
+    expect(response.undecryptable).to.equal(2);
+  });
+});
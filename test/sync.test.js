@@ -4,6 +4,10 @@ import '../node_modules/chai/chai.js';
 import './vendor/chai-as-promised-built.js';
 import '../vendor/lodash/lodash.custom.js';
 import Factory from './lib/factory.js';
+import MemoryStorageManager from './lib/memoryStorageManager.js';
+import MockTransport from './lib/mockTransport.js';
+
+SFItem.AppDomain = "org.standardnotes.sn";
 
 chai.use(chaiAsPromised);
 var expect = chai.expect;
@@ -425,3 +429,1249 @@ describe('sync params', () => {
 
 
 });
+
+describe('sync retries', () => {
+  let transport = new MockTransport();
+  let storageManager = new MemoryStorageManager();
+  let modelManager = Factory.createModelManager();
+  let syncManager = new SFSyncManager(modelManager, storageManager, new SFHttpManager(null, transport));
+
+  syncManager.setKeyRequestHandler(async () => {
+    return {
+      offline: false
+    };
+  })
+
+  let waitForEvent = (name) => {
+    return new Promise((resolve, reject) => {
+      let handler = syncManager.addEventHandler((event, data) => {
+        if(event == name) {
+          syncManager.removeEventHandler(handler);
+          resolve(data);
+        }
+      });
+    })
+  }
+
+  before(async () => {
+    await storageManager.setItem("server", Factory.serverURL());
+  })
+
+  beforeEach(() => {
+    transport.reset();
+    syncManager.setRetryPolicy(new SFSyncRetryPolicy({maxAttempts: 2, baseDelay: 10, jitter: 0}));
+  })
+
+  it("computes exponential delays capped at max delay", () => {
+    let policy = new SFSyncRetryPolicy({baseDelay: 100, maxDelay: 300, jitter: 0});
+    expect(policy.delayForAttempt(1)).to.equal(100);
+    expect(policy.delayForAttempt(2)).to.equal(200);
+    expect(policy.delayForAttempt(3)).to.equal(300);
+  });
+
+  it("applies jitter below the computed delay", () => {
+    let policy = new SFSyncRetryPolicy({baseDelay: 1000, jitter: 0.5});
+    for(var i = 0; i < 20; i++) {
+      let delay = policy.delayForAttempt(1);
+      expect(delay).to.be.at.least(500);
+      expect(delay).to.be.at.most(1000);
+    }
+  });
+
+  it("distinguishes retryable and fatal errors", () => {
+    let policy = new SFSyncRetryPolicy();
+    expect(policy.isRetryable({status: 0})).to.equal(true);
+    expect(policy.isRetryable({status: 503})).to.equal(true);
+    expect(policy.isRetryable({status: 429})).to.equal(true);
+    expect(policy.isRetryable({status: 401})).to.equal(false);
+    expect(policy.isRetryable({status: 404})).to.equal(false);
+    expect(policy.isRetryable(null)).to.equal(false);
+  });
+
+  it("honors Retry-After in seconds and as a date", () => {
+    let policy = new SFSyncRetryPolicy();
+    expect(policy.delayForAttempt(1, {status: 429, headers: {"retry-after": "3"}})).to.equal(3000);
+    let date = new Date(Date.now() + 60000).toUTCString();
+    expect(policy.delayForAttempt(1, {status: 429, headers: {"retry-after": date}})).to.be.within(50000, 60000);
+  });
+
+  it("retries server errors and then completes", async () => {
+    var attempts = 0;
+    transport.on("post", "/items/sync", (request, params) => {
+      attempts++;
+      if(attempts == 1) {
+        return {status: 503, body: {error: {message: "Unavailable"}}};
+      }
+      return {status: 200, body: MockTransport.syncResponse(params)};
+    });
+
+    let item = Factory.createItem();
+    item.setDirty(true);
+    modelManager.addItem(item);
+
+    let scheduled = waitForEvent("sync:retry-scheduled");
+    let completed = waitForEvent("sync:completed");
+    await syncManager.sync();
+
+    let retryInfo = await scheduled;
+    expect(retryInfo.attempt).to.equal(1);
+    expect(retryInfo.delay).to.equal(10);
+    expect(retryInfo.status).to.equal(503);
+
+    await completed;
+    expect(attempts).to.equal(2);
+    expect(modelManager.getDirtyItems().length).to.equal(0);
+  });
+
+  it("waits for the Retry-After of 429 responses", async () => {
+    var attempts = 0;
+    transport.on("post", "/items/sync", (request, params) => {
+      attempts++;
+      if(attempts == 1) {
+        return {status: 429, body: {}, headers: {"retry-after": "0"}};
+      }
+      return {status: 200, body: MockTransport.syncResponse(params)};
+    });
+
+    let scheduled = waitForEvent("sync:retry-scheduled");
+    let completed = waitForEvent("sync:completed");
+    await syncManager.sync();
+    expect((await scheduled).delay).to.equal(0);
+    await completed;
+  });
+
+  it("gives up immediately on fatal errors", async () => {
+    transport.on("post", "/items/sync", () => {
+      return {status: 400, body: {error: {message: "Bad request"}}};
+    });
+
+    let gaveUp = waitForEvent("sync:gave-up");
+    await syncManager.sync();
+    let info = await gaveUp;
+    expect(info.reason).to.equal("fatal");
+    expect(info.status).to.equal(400);
+    expect(transport.requests.length).to.equal(1);
+  });
+
+  it("gives up after the maximum number of attempts", async () => {
+    transport.on("post", "/items/sync", () => {
+      return {networkError: true};
+    });
+
+    let gaveUp = waitForEvent("sync:gave-up");
+    await syncManager.sync();
+    let info = await gaveUp;
+    expect(info.reason).to.equal("max-attempts");
+    expect(info.attempts).to.equal(2);
+    expect(transport.requests.length).to.equal(2);
+  });
+
+  it("does not retry when the policy is disabled", async () => {
+    syncManager.setRetryPolicy(null);
+    transport.on("post", "/items/sync", () => {
+      return {status: 500, body: {}};
+    });
+
+    var scheduled = false;
+    let handler = syncManager.addEventHandler((event) => {
+      if(event == "sync:retry-scheduled") { scheduled = true; }
+    });
+    await syncManager.sync();
+    await Factory.sleep(0.05);
+    syncManager.removeEventHandler(handler);
+    expect(scheduled).to.equal(false);
+    expect(transport.requests.length).to.equal(1);
+  });
+});
+
+describe('sync outbox', () => {
+  // Storage of its own, so that syncs from other tests can't write to it
+  var storageManager, syncManagers;
+
+  let createSyncManager = (transport) => {
+    let modelManager = Factory.createModelManager();
+    let syncManager = new SFSyncManager(modelManager, storageManager, new SFHttpManager(null, transport));
+    syncManager.setKeyRequestHandler(async () => {
+      return {
+        offline: false
+      };
+    })
+    syncManagers.push(syncManager);
+    return syncManager;
+  }
+
+  beforeEach(async () => {
+    storageManager = new MemoryStorageManager();
+    syncManagers = [];
+    await storageManager.setItem("server", Factory.serverURL());
+  })
+
+  afterEach(async () => {
+    for(var syncManager of syncManagers) {
+      syncManager.cancelScheduledRetry();
+      syncManager.stopCheckingIfSyncIsTakingTooLong();
+      await syncManager.outbox.clear();
+    }
+  })
+
+  it("records the batch in flight and clears it on completion", async () => {
+    let transport = new MockTransport();
+    let syncManager = createSyncManager(transport);
+    var recorded;
+    transport.on("post", "/items/sync", async (request, params) => {
+      recorded = await syncManager.outbox.pendingBatch();
+      return {status: 200, body: MockTransport.syncResponse(params)};
+    });
+
+    let item = Factory.createItem();
+    item.setDirty(true);
+    syncManager.modelManager.addItem(item);
+    await syncManager.sync();
+
+    expect(recorded.uuids).to.eql([item.uuid]);
+    expect(await syncManager.outbox.pendingBatch()).to.not.be.ok;
+    expect(await syncManager.outbox.isOperationInProgress()).to.equal(false);
+  });
+
+  it("resumes an interrupted sync after restart", async () => {
+    // The first session crashes while its request is in flight
+    let hangingTransport = new MockTransport();
+    hangingTransport.on("post", "/items/sync", () => {
+      return new Promise(() => {});
+    });
+    let crashedSyncManager = createSyncManager(hangingTransport);
+    await crashedSyncManager.setCursorToken("cursor-1");
+
+    let item = Factory.createItem();
+    item.setDirty(true);
+    crashedSyncManager.modelManager.addItem(item);
+    crashedSyncManager.sync();
+    await Factory.sleep(0.1);
+    expect(hangingTransport.requests.length).to.equal(1);
+    crashedSyncManager.stopCheckingIfSyncIsTakingTooLong();
+
+    // Clear the persisted dirty flags, so that only the outbox knows the batch was never acknowledged
+    let models = await storageManager.getAllModels();
+    for(var model of models) { delete model.dirty; }
+    await storageManager.saveModels(models);
+
+    // Restart
+    let transport = new MockTransport();
+    var resumedParams;
+    transport.on("post", "/items/sync", (request, params) => {
+      resumedParams = params;
+      return {status: 200, body: MockTransport.syncResponse(params)};
+    });
+    let syncManager = createSyncManager(transport);
+    let completed = new Promise((resolve) => {
+      syncManager.addEventHandler((event) => {
+        if(event == "sync:completed") { resolve(); }
+      });
+    });
+
+    await syncManager.loadLocalItems();
+    await completed;
+
+    expect(resumedParams.cursor_token).to.equal("cursor-1");
+    expect(resumedParams.items.map((i) => i.uuid)).to.include(item.uuid);
+    expect(syncManager.modelManager.getDirtyItems().length).to.equal(0);
+    expect(await syncManager.outbox.pendingBatch()).to.not.be.ok;
+  });
+});
+
+describe('sync batching', () => {
+  let transport = new MockTransport();
+  let storageManager = new MemoryStorageManager();
+  var modelManager, syncManager;
+
+  beforeEach(async () => {
+    transport.reset();
+    modelManager = Factory.createModelManager();
+    syncManager = new SFSyncManager(modelManager, storageManager, new SFHttpManager(null, transport));
+    syncManager.setKeyRequestHandler(async () => {
+      return {
+        offline: false
+      };
+    })
+    await storageManager.setItem("server", Factory.serverURL());
+    transport.on("post", "/items/sync", (request, params) => {
+      return {status: 200, body: MockTransport.syncResponse(params)};
+    });
+  })
+
+  let addDirtyItems = (count, text) => {
+    for(var i = 0; i < count; i++) {
+      var item = Factory.createItem();
+      if(text) { item.content.text = text; }
+      item.setDirty(true);
+      modelManager.addItem(item);
+    }
+  }
+
+  let submittedBatches = () => {
+    return transport.requests.map((request) => JSON.parse(request.body));
+  }
+
+  it("uses configured upload and download limits", async () => {
+    syncManager.setBatchOptions({uploadLimit: 2, downloadLimit: 7});
+    addDirtyItems(5);
+    await syncManager.sync();
+
+    let batches = submittedBatches();
+    expect(batches.map((params) => params.items.length)).to.eql([2, 2, 1]);
+    expect(batches[0].limit).to.equal(7);
+    expect(modelManager.getDirtyItems().length).to.equal(0);
+  });
+
+  it("allows limits to be overriden per sync call", async () => {
+    addDirtyItems(3);
+    await syncManager.sync({uploadLimit: 1, downloadLimit: 3});
+    let batches = submittedBatches();
+    expect(batches.length).to.equal(3);
+    expect(batches[0].limit).to.equal(3);
+  });
+
+  it("keeps payloads under the maximum byte size", async () => {
+    let largeText = new Array(2000).join("x");
+    syncManager.setBatchOptions({maxPayloadBytes: 6000});
+    addDirtyItems(4, largeText);
+    await syncManager.sync();
+
+    let batches = submittedBatches();
+    expect(batches.length).to.be.above(1);
+    for(var request of transport.requests) {
+      expect(SFHttpManager.byteLength(request.body)).to.be.at.most(6000);
+    }
+    expect(modelManager.getDirtyItems().length).to.equal(0);
+  });
+
+  it("decrypts local items in configured batch sizes", async () => {
+    await storageManager.clearAllModels();
+    addDirtyItems(5);
+    await syncManager.writeItemsToLocalStorage(modelManager.allItems, false);
+    var progressCalls = 0;
+    syncManager.setBatchOptions({localBatchSize: 2});
+    await syncManager.loadLocalItems(() => { progressCalls++; });
+    expect(progressCalls).to.equal(2);
+  });
+
+  it("shrinks adaptive batches that are slow or heavy and grows fast ones", () => {
+    let sizer = new SFAdaptiveBatchSizer({initial: 100, min: 10, max: 300, targetLatency: 1000, maxPayloadBytes: 10000});
+    sizer.recordBatch({itemCount: 100, latency: 1500, bytes: 100});
+    expect(sizer.size).to.equal(50);
+    sizer.recordBatch({itemCount: 50, latency: 100, bytes: 9000});
+    expect(sizer.size).to.equal(25);
+    sizer.recordBatch({itemCount: 25, latency: 100, bytes: 100});
+    expect(sizer.size).to.equal(38);
+    // Partial batches don't grow the size
+    sizer.recordBatch({itemCount: 5, latency: 100, bytes: 100});
+    expect(sizer.size).to.equal(38);
+    for(var i = 0; i < 10; i++) {
+      sizer.recordBatch({itemCount: sizer.size, latency: 1500, bytes: 100});
+    }
+    expect(sizer.size).to.equal(10);
+  });
+
+  it("adapts the upload limit between requests", async () => {
+    syncManager.setBatchOptions({adaptive: true, uploadLimit: 2, targetLatency: 10000});
+    addDirtyItems(9);
+    await syncManager.sync();
+    let sizes = submittedBatches().map((params) => params.items.length);
+    expect(sizes[0]).to.equal(2);
+    expect(sizes[1]).to.equal(3);
+    expect(sizes[2]).to.equal(4);
+  });
+});
+
+/* Saves every item, except that the first request to include `item` is rejected with the server's version. */
+let respondWithConflict = (transport, item, serverContent, tag = "sync_conflict", serverFields = {}) => {
+  var conflicted = false;
+  transport.on("post", "/items/sync", async (request, params) => {
+    let submitted = params.items.find((candidate) => candidate.uuid == item.uuid);
+    if(!submitted || conflicted) {
+      return {status: 200, body: MockTransport.syncResponse(params)};
+    }
+    conflicted = true;
+    let serverItem = Object.assign({
+      uuid: item.uuid,
+      content_type: item.content_type,
+      content: "000" + await SFJS.crypto.base64(JSON.stringify(serverContent)),
+      created_at: item.created_at,
+      updated_at: new Date()
+    }, serverFields);
+    return {status: 200, body: MockTransport.syncResponse({items: params.items.filter((candidate) => candidate.uuid != item.uuid)}, {
+      unsaved: [{item: serverItem, error: {tag: tag}}]
+    })};
+  });
+}
+
+describe('conflict merging', () => {
+  let transport = new MockTransport();
+  let storageManager = new MemoryStorageManager();
+  var modelManager, syncManager;
+
+  beforeEach(async () => {
+    transport.reset();
+    await storageManager.clearAllData();
+    modelManager = Factory.createModelManager();
+    syncManager = new SFSyncManager(modelManager, storageManager, new SFHttpManager(null, transport));
+    syncManager.setKeyRequestHandler(async () => {
+      return {
+        offline: false
+      };
+    })
+    syncManager.enableConflictMerging();
+    await storageManager.setItem("server", Factory.serverURL());
+  })
+
+  let syncNewItem = async () => {
+    let item = Factory.createItem();
+    item.setDirty(true);
+    modelManager.addItem(item);
+    transport.on("post", "/items/sync", (request, params) => {
+      return {status: 200, body: MockTransport.syncResponse(params)};
+    });
+    await syncManager.sync();
+    transport.reset();
+    return item;
+  }
+
+  // Saves local edits to storage without syncing them, as when the server can't be reached
+  let editOffline = async (...items) => {
+    for(var item of items) {
+      item.setDirty(true);
+    }
+    transport.on("post", "/items/sync", () => {
+      return {status: 500, body: {error: {message: "Unavailable"}}};
+    });
+    await syncManager.sync();
+    transport.reset();
+  }
+
+  it("merges non overlapping edits instead of duplicating", async () => {
+    let item = await syncNewItem();
+    let serverContent = _.merge(_.cloneDeep(item.createContentJSONFromProperties()), {text: "remote text"});
+    respondWithConflict(transport, item, serverContent);
+
+    var mergedEvent;
+    syncManager.addEventHandler((event, data) => {
+      if(event == "sync:conflict-merged") { mergedEvent = data; }
+    });
+
+    item.content.title = "local title";
+    item.setDirty(true);
+    await syncManager.sync();
+
+    expect(modelManager.allItems.length).to.equal(1);
+    expect(item.content.title).to.equal("local title");
+    expect(item.content.text).to.equal("remote text");
+    expect(mergedEvent.item).to.equal(item);
+
+    // The merged result is sent back to the server
+    let lastRequest = JSON.parse(transport.requests[transport.requests.length - 1].body);
+    expect(lastRequest.items.map((params) => params.uuid)).to.include(item.uuid);
+    expect(item.dirty).to.not.be.ok;
+  });
+
+  it("creates a conflicted copy for overlapping edits", async () => {
+    let item = await syncNewItem();
+    let serverContent = _.merge(_.cloneDeep(item.createContentJSONFromProperties()), {title: "remote title"});
+    respondWithConflict(transport, item, serverContent);
+
+    item.content.title = "local title";
+    item.setDirty(true);
+    await syncManager.sync();
+
+    expect(modelManager.allItems.length).to.equal(2);
+    let dup = modelManager.allItems.find((candidate) => candidate.uuid != item.uuid);
+    expect(dup.conflict_of).to.equal(item.uuid);
+    expect(dup.content.title).to.equal("remote title");
+  });
+
+  it("duplicates items that have no merge base", async () => {
+    let item = Factory.createItem();
+    item.setDirty(true);
+    modelManager.addItem(item);
+    respondWithConflict(transport, item, {title: "remote", text: "remote", references: []});
+    await syncManager.sync();
+    expect(modelManager.allItems.length).to.equal(2);
+  });
+
+  it("uses merge functions registered for a content type", async () => {
+    let item = await syncNewItem();
+    let serverContent = _.merge(_.cloneDeep(item.createContentJSONFromProperties()), {text: "remote"});
+    respondWithConflict(transport, item, serverContent);
+
+    syncManager.itemMerger.registerMergeFunction("Note", (base, local, remote) => {
+      return _.merge({}, local, {text: local.text + "\n" + remote.text});
+    });
+
+    item.content.text = "local";
+    item.setDirty(true);
+    await syncManager.sync();
+
+    expect(modelManager.allItems.length).to.equal(1);
+    expect(item.content.text).to.equal("local\nremote");
+  });
+
+  it("persists merge bases encrypted", async () => {
+    let keys = await Factory.globalStandardFile().crypto.generateInitialKeysAndAuthParamsForUser("merge@base.org", "password");
+    syncManager.setKeyRequestHandler(async () => {
+      return {keys: keys.keys, auth_params: keys.authParams, offline: false};
+    });
+
+    let item = await syncNewItem();
+    let title = item.content.title;
+    await editOffline(item);
+
+    let persisted = JSON.parse(await storageManager.getItem("mergeBase_" + item.uuid));
+    expect(persisted.content.substring(0, 3)).to.equal(keys.authParams.version);
+
+    // A fresh store has to decrypt it
+    let store = new SFMergeBaseStore(storageManager);
+    let base = await store.baseForItem(item.uuid, keys.keys);
+    expect(base.title).to.equal(title);
+  });
+
+  it("only persists merge bases of items with unsynced edits", async () => {
+    var indexWrites = 0;
+    let setItem = storageManager.setItem;
+    storageManager.setItem = (key, value) => {
+      if(key == "mergeBase_index") { indexWrites++; }
+      return setItem.call(storageManager, key, value);
+    };
+
+    try {
+      let items = [await syncNewItem(), await syncNewItem(), await syncNewItem()];
+      let mergeBaseKeys = () => storageManager.keys().filter((key) => key.startsWith("mergeBase_") && key != "mergeBase_index");
+      expect(mergeBaseKeys()).to.eql([]);
+      expect(indexWrites).to.equal(0);
+
+      items[0].content.title = "edited";
+      items[0].setDirty(true);
+      items[1].content.title = "edited";
+      items[1].setDirty(true);
+      await editOffline(items[0], items[1]);
+      expect(mergeBaseKeys().sort()).to.eql(["mergeBase_" + items[0].uuid, "mergeBase_" + items[1].uuid].sort());
+      expect(indexWrites).to.equal(1);
+
+      // Once synced, the bases are only kept in memory
+      transport.on("post", "/items/sync", (request, params) => {
+        return {status: 200, body: MockTransport.syncResponse(params)};
+      });
+      await syncManager.sync();
+      expect(mergeBaseKeys()).to.eql([]);
+      expect(indexWrites).to.equal(2);
+    } finally {
+      storageManager.setItem = setItem;
+    }
+  });
+
+  it("merges edits made before a restart", async () => {
+    let item = await syncNewItem();
+    let title = item.content.title;
+    item.content.title = "local title";
+    await editOffline(item);
+
+    // Like restarting the app
+    modelManager = Factory.createModelManager();
+    syncManager = new SFSyncManager(modelManager, storageManager, new SFHttpManager(null, transport));
+    syncManager.setKeyRequestHandler(async () => {
+      return {
+        offline: false
+      };
+    })
+    syncManager.enableConflictMerging();
+    await syncManager.loadLocalItems();
+    let loaded = modelManager.findItem(item.uuid);
+    expect(loaded.dirty).to.equal(true);
+
+    let serverContent = _.merge(_.cloneDeep(item.createContentJSONFromProperties()), {title: title, text: "remote text"});
+    respondWithConflict(transport, loaded, serverContent);
+    await syncManager.sync();
+
+    expect(modelManager.allItems.length).to.equal(1);
+    expect(loaded.content.title).to.equal("local title");
+    expect(loaded.content.text).to.equal("remote text");
+  });
+
+  it("merges references as a set", () => {
+    let merger = new SFItemMerger();
+    let ref = (uuid) => { return {uuid: uuid, content_type: "Tag"} };
+    let base = {references: [ref("a"), ref("b")]};
+    let local = {references: [ref("a"), ref("c")]};
+    let remote = {references: [ref("b"), ref("a"), ref("d")]};
+    let result = merger.threeWayMerge(base, local, remote);
+    expect(result.conflicted).to.equal(false);
+    expect(result.value.references.map((reference) => reference.uuid)).to.eql(["a", "c", "d"]);
+  });
+
+  it("treats values with differently ordered keys as equal", () => {
+    let merger = new SFItemMerger();
+    let base = {title: "t", checklist: []};
+    let local = {title: "t", checklist: [{text: "milk", done: true}]};
+    let remote = {title: "t", checklist: [{done: true, text: "milk"}]};
+    let result = merger.threeWayMerge(base, local, remote);
+    expect(result.conflicted).to.equal(false);
+    expect(result.value.checklist).to.eql([{text: "milk", done: true}]);
+  });
+
+  it("merges nested appData and ignores client_updated_at", () => {
+    let merger = new SFItemMerger();
+    let item = Factory.createItem();
+    let domain = SFItem.AppDomain;
+    let base = {title: "t", appData: {[domain]: {pinned: false, client_updated_at: 1}}};
+    let local = {title: "t", appData: {[domain]: {pinned: true, client_updated_at: 2}}};
+    let remote = {title: "t2", appData: {[domain]: {pinned: false, client_updated_at: 3}, other: {key: "value"}}};
+    let merged = merger.mergeItemContent(item, base, local, remote);
+    expect(merged.title).to.equal("t2");
+    expect(merged.appData[domain]).to.eql({pinned: true, client_updated_at: 2});
+    expect(merged.appData.other.key).to.equal("value");
+  });
+});
+
+describe('conflict policies', () => {
+  let transport = new MockTransport();
+  let storageManager = new MemoryStorageManager();
+  var modelManager, syncManager;
+
+  beforeEach(async () => {
+    transport.reset();
+    await storageManager.clearAllData();
+    modelManager = Factory.createModelManager();
+    syncManager = new SFSyncManager(modelManager, storageManager, new SFHttpManager(null, transport));
+    syncManager.setKeyRequestHandler(async () => {
+      return {
+        offline: false
+      };
+    })
+    await storageManager.setItem("server", Factory.serverURL());
+  })
+
+  let createEditedItem = (title) => {
+    let item = Factory.createItem();
+    item.content.title = title;
+    item.setDirty(true);
+    modelManager.addItem(item);
+    return item;
+  }
+
+  let submittedUUIDs = () => {
+    return transport.requests.map((request) => JSON.parse(request.body).items.map((params) => params.uuid));
+  }
+
+  it("rejects unknown policies", () => {
+    expect(() => syncManager.conflictPolicies.register("Note", "coin-toss")).to.throw();
+  });
+
+  it("duplicates by default", async () => {
+    let item = createEditedItem("local");
+    respondWithConflict(transport, item, {title: "remote", references: []});
+    await syncManager.sync();
+    expect(modelManager.allItems.length).to.equal(2);
+  });
+
+  it("keeps the server version with server-wins", async () => {
+    syncManager.conflictPolicies.register("Note", SFConflictPolicyRegistry.ServerWins);
+    let item = createEditedItem("local");
+    respondWithConflict(transport, item, {title: "remote", references: []});
+    await syncManager.sync();
+
+    expect(modelManager.allItems.length).to.equal(1);
+    expect(item.content.title).to.equal("remote");
+    expect(item.content.text).to.not.be.ok;
+    expect(item.dirty).to.not.be.ok;
+    // The server version is not sent back
+    expect([].concat(...submittedUUIDs().slice(1))).to.not.include(item.uuid);
+  });
+
+  it("overwrites the server version with client-wins", async () => {
+    syncManager.conflictPolicies.register("Note", SFConflictPolicyRegistry.ClientWins);
+    let item = createEditedItem("local");
+    respondWithConflict(transport, item, {title: "remote", references: []});
+    await syncManager.sync();
+
+    expect(modelManager.allItems.length).to.equal(1);
+    expect(item.content.title).to.equal("local");
+    expect(submittedUUIDs()).to.eql([[item.uuid], [item.uuid]]);
+  });
+
+  it("picks the later client_updated_at with last-writer-wins", async () => {
+    syncManager.conflictPolicies.register("*", SFConflictPolicyRegistry.LastWriterWins);
+    let domain = SFItem.AppDomain;
+
+    let olderLocal = createEditedItem("older local");
+    let future = new Date(Date.now() + 60000);
+    respondWithConflict(transport, olderLocal, {title: "newer remote", references: [], appData: {[domain]: {client_updated_at: future}}});
+    await syncManager.sync();
+    expect(olderLocal.content.title).to.equal("newer remote");
+
+    transport.reset();
+    let newerLocal = createEditedItem("newer local");
+    let past = new Date(Date.now() - 60000);
+    respondWithConflict(transport, newerLocal, {title: "older remote", references: [], appData: {[domain]: {client_updated_at: past}}});
+    await syncManager.sync();
+    expect(newerLocal.content.title).to.equal("newer local");
+    expect(modelManager.allItems.length).to.equal(2);
+  });
+
+  it("applies custom policy functions", async () => {
+    var calls = [];
+    syncManager.conflictPolicies.register("Note", async (item, serverItem, tag, manager) => {
+      calls.push(tag);
+      expect(manager).to.equal(syncManager);
+      return SFConflictPolicyRegistry.ServerWins;
+    });
+    let item = createEditedItem("local");
+    respondWithConflict(transport, item, {title: "remote", references: []});
+    await syncManager.sync();
+
+    expect(calls).to.eql(["sync_conflict"]);
+    expect(item.content.title).to.equal("remote");
+  });
+
+  it("lets custom policy functions resolve conflicts themselves", async () => {
+    syncManager.conflictPolicies.register("Note", (item, serverItem) => {
+      item.content.title = "resolved";
+      item.setDirty(true);
+    });
+    let item = createEditedItem("local");
+    respondWithConflict(transport, item, {title: "remote", references: []});
+    await syncManager.sync();
+
+    expect(modelManager.allItems.length).to.equal(1);
+    expect(item.content.title).to.equal("resolved");
+    expect(submittedUUIDs().length).to.equal(2);
+  });
+
+  it("gives items a new uuid on uuid conflicts, whatever the policy", async () => {
+    let alternated = createEditedItem("alternated");
+    respondWithConflict(transport, alternated, {}, "uuid_conflict");
+    await syncManager.sync();
+    expect(modelManager.findItem(alternated.uuid)).to.not.be.ok;
+    expect(modelManager.allItems.length).to.equal(1);
+    expect(modelManager.allItems[0].content.title).to.equal("alternated");
+
+    // The uuid belongs to another account, so there's no server version that could replace the local item
+    transport.reset();
+    syncManager.conflictPolicies.register("Note", SFConflictPolicyRegistry.ServerWins);
+    let kept = createEditedItem("kept");
+    respondWithConflict(transport, kept, {}, "uuid_conflict");
+    await syncManager.sync();
+    expect(modelManager.findItem(kept.uuid)).to.not.be.ok;
+    let copy = modelManager.allItems.find((item) => item.content.title == "kept");
+    expect(copy).to.be.ok;
+    let stored = await storageManager.getAllModels();
+    expect(stored.find((item) => item.uuid == copy.uuid)).to.be.ok;
+  });
+});
+
+describe('sync scheduler', () => {
+  let transport = new MockTransport();
+  let storageManager = new MemoryStorageManager();
+  var modelManager, syncManager, scheduler, respond;
+
+  beforeEach(async () => {
+    transport.reset();
+    await storageManager.clearAllData();
+    await storageManager.setItem("server", Factory.serverURL());
+    modelManager = Factory.createModelManager();
+    syncManager = new SFSyncManager(modelManager, storageManager, new SFHttpManager(null, transport));
+    syncManager.setKeyRequestHandler(async () => {
+      return {
+        offline: false
+      };
+    })
+    syncManager.setRetryPolicy(null);
+    respond = (params) => { return {status: 200, body: MockTransport.syncResponse(params)} };
+    transport.on("post", "/items/sync", (request, params) => respond(params));
+    scheduler = new SFSyncScheduler(syncManager, {editDebounce: 20, pollInterval: 60, maxOfflineInterval: 200});
+  })
+
+  afterEach(() => {
+    scheduler.stop();
+  })
+
+  let addDirtyItem = () => {
+    let item = Factory.createItem();
+    modelManager.addItem(item);
+    item.setDirty(true);
+    return item;
+  }
+
+  it("syncs once after a burst of edits", async () => {
+    scheduler.start();
+    let item = addDirtyItem();
+    item.setDirty(true);
+    item.setDirty(true);
+    expect(transport.requests.length).to.equal(0);
+    await Factory.sleep(0.045);
+    expect(transport.requests.length).to.equal(1);
+    expect(item.dirty).to.not.be.ok;
+  });
+
+  it("only syncs after edits to its own account's items", async () => {
+    scheduler = new SFSyncScheduler(syncManager, {editDebounce: 20, pollInterval: 1000});
+    scheduler.start();
+    let otherModelManager = Factory.createModelManager();
+    let otherItem = Factory.createItem();
+    otherModelManager.addItem(otherItem);
+    otherItem.setDirty(true);
+
+    let removed = addDirtyItem();
+    await Factory.sleep(0.045);
+    expect(transport.requests.length).to.equal(1);
+
+    modelManager.removeItemLocally(removed);
+    removed.setDirty(true);
+    await Factory.sleep(0.045);
+    expect(transport.requests.length).to.equal(1);
+  });
+
+  it("polls on the configured interval", async () => {
+    scheduler.start();
+    await Factory.sleep(0.15);
+    expect(transport.requests.length).to.equal(2);
+  });
+
+  it("backs off while syncs fail and recovers once they succeed", async () => {
+    respond = () => { return {networkError: true} };
+    scheduler.start();
+    await Factory.sleep(0.07);
+    expect(scheduler.failedSyncs).to.equal(1);
+    expect(scheduler.currentPollInterval()).to.equal(120);
+    await Factory.sleep(0.13);
+    expect(scheduler.failedSyncs).to.equal(2);
+    expect(scheduler.currentPollInterval()).to.equal(200);
+
+    respond = (params) => { return {status: 200, body: MockTransport.syncResponse(params)} };
+    await syncManager.sync();
+    expect(scheduler.failedSyncs).to.equal(0);
+    expect(scheduler.currentPollInterval()).to.equal(60);
+  });
+
+  it("does nothing while paused and syncs when resumed", async () => {
+    scheduler.start();
+    scheduler.pause();
+    addDirtyItem();
+    await Factory.sleep(0.1);
+    expect(transport.requests.length).to.equal(0);
+
+    await scheduler.resume();
+    expect(transport.requests.length).to.equal(1);
+    expect(modelManager.getDirtyItems().length).to.equal(0);
+  });
+
+  it("pauses while the document is hidden", async () => {
+    var listener;
+    let doc = {
+      hidden: false,
+      addEventListener: (name, callback) => { listener = callback; },
+      removeEventListener: () => { listener = null; }
+    };
+    scheduler.start();
+    let stopObserving = scheduler.observeVisibility(doc);
+    doc.hidden = true;
+    listener();
+    expect(scheduler.paused).to.equal(true);
+    doc.hidden = false;
+    await listener();
+    expect(scheduler.paused).to.equal(false);
+    stopObserving();
+    expect(listener).to.equal(null);
+  });
+
+  it("coalesces sync calls made during an active sync", async () => {
+    var releaseRequest;
+    respond = (params) => {
+      return new Promise((resolve) => {
+        releaseRequest = () => resolve({status: 200, body: MockTransport.syncResponse(params)});
+      });
+    };
+    let first = syncManager.sync();
+    await Factory.sleep(0.01);
+    let others = [syncManager.sync(), syncManager.sync(), syncManager.sync()];
+    expect(syncManager.queuedCallbacks.length).to.equal(1);
+
+    respond = (params) => { return {status: 200, body: MockTransport.syncResponse(params)} };
+    releaseRequest();
+    let responses = await Promise.all(others);
+    await first;
+    // One repeat sync served all three calls
+    expect(transport.requests.length).to.equal(2);
+    expect(responses[0]).to.equal(responses[2]);
+    expect(syncManager.queuedCallbacks.length).to.equal(0);
+  });
+});
+
+describe('sync progress', () => {
+  let transport = new MockTransport();
+  let storageManager = new MemoryStorageManager();
+  var modelManager, syncManager, respond;
+
+  beforeEach(async () => {
+    transport.reset();
+    await storageManager.clearAllData();
+    await storageManager.setItem("server", Factory.serverURL());
+    modelManager = Factory.createModelManager();
+    syncManager = new SFSyncManager(modelManager, storageManager, new SFHttpManager(null, transport));
+    syncManager.setKeyRequestHandler(async () => {
+      return {
+        offline: false
+      };
+    })
+    syncManager.setRetryPolicy(null);
+    respond = (params) => { return {status: 200, body: MockTransport.syncResponse(params)} };
+    transport.on("post", "/items/sync", (request, params) => respond(params));
+  })
+
+  let addDirtyItems = (count) => {
+    for(var i = 0; i < count; i++) {
+      let item = Factory.createItem();
+      item.setDirty(true);
+      modelManager.addItem(item);
+    }
+  }
+
+  it("reports phases in order with an immutable snapshot", async () => {
+    var phases = [], snapshots = [];
+    syncManager.registerSyncProgressObserver((snapshot) => {
+      snapshots.push(snapshot);
+      if(phases[phases.length - 1] != snapshot.phase) {
+        phases.push(snapshot.phase);
+      }
+    });
+    addDirtyItems(2);
+    await syncManager.sync();
+
+    // Retrieved items are decrypted and mapped first, then saved items
+    expect(phases).to.eql([
+      "saving-local", "encrypting", "uploading", "downloading", "decrypting", "mapping", "decrypting", "mapping", "saving-local", "idle"
+    ]);
+    let last = snapshots[snapshots.length - 1];
+    expect(Object.isFrozen(last)).to.equal(true);
+    expect(Object.isFrozen(last.batches[0].timings)).to.equal(true);
+    expect(() => { "use strict"; last.items.total = 10; }).to.throw();
+    expect(last.inProgress).to.equal(false);
+    expect(last.items).to.eql({total: 2, uploaded: 2, retrieved: 0});
+    expect(last.bytes.uploaded).to.be.above(0);
+    expect(last.bytes.downloaded).to.be.above(0);
+    expect(last.batches[0].timings).to.have.property("encrypting");
+  });
+
+  it("aggregates batches into a single outcome", async () => {
+    syncManager.setBatchOptions({uploadLimit: 2});
+    addDirtyItems(5);
+    var totals = [];
+    syncManager.registerSyncProgressObserver((snapshot) => {
+      if(snapshot.inProgress) { totals.push(snapshot.items.total); }
+    });
+    await syncManager.sync();
+
+    expect(_.uniq(totals)).to.eql([5]);
+    let progress = syncManager.currentSyncProgress();
+    expect(progress.batches.length).to.equal(3);
+    expect(progress.batches.map((batch) => batch.itemCount)).to.eql([2, 2, 1]);
+    expect(progress.recentOutcomes.length).to.equal(1);
+    expect(progress.recentOutcomes[0].success).to.equal(true);
+    expect(progress.recentOutcomes[0].batchCount).to.equal(3);
+    expect(progress.recentOutcomes[0].savedCount).to.equal(5);
+  });
+
+  it("records failures and keeps a bounded history", async () => {
+    syncManager.diagnostics.historySize = 2;
+    await syncManager.sync();
+    respond = () => { return {status: 500, body: {error: {message: "Server broke"}}} };
+    await syncManager.sync();
+    await syncManager.sync();
+
+    let progress = syncManager.currentSyncProgress();
+    expect(progress.recentOutcomes.length).to.equal(2);
+    expect(progress.recentOutcomes[0].success).to.equal(false);
+    expect(progress.recentOutcomes[0].error.message).to.equal("Server broke");
+    expect(progress.error.message).to.equal("Server broke");
+
+    respond = (params) => { return {status: 200, body: MockTransport.syncResponse(params)} };
+    await syncManager.sync();
+    expect(syncManager.currentSyncProgress().error).to.equal(null);
+  });
+});
+
+describe('sync timeouts', () => {
+  let transport = new MockTransport();
+  let storageManager = new MemoryStorageManager();
+  var modelManager, syncManager, events;
+
+  let createSyncManager = (httpTransport) => {
+    let manager = new SFSyncManager(modelManager, storageManager, new SFHttpManager(null, httpTransport));
+    manager.setKeyRequestHandler(async () => {
+      return {
+        offline: false
+      };
+    })
+    manager.addEventHandler((event, data) => { events.push(event); });
+    return manager;
+  }
+
+  beforeEach(async () => {
+    transport.reset();
+    await storageManager.clearAllData();
+    await storageManager.setItem("server", Factory.serverURL());
+    modelManager = Factory.createModelManager();
+    events = [];
+    syncManager = createSyncManager(transport);
+  })
+
+  afterEach(() => {
+    syncManager.cancelScheduledRetry();
+    syncManager.stopCheckingIfSyncIsTakingTooLong();
+  })
+
+  it("warns after the configured threshold", async () => {
+    var release;
+    transport.on("post", "/items/sync", (request, params) => {
+      return new Promise((resolve) => {
+        release = () => resolve({status: 200, body: MockTransport.syncResponse(params)});
+      });
+    });
+    syncManager.setSyncTimeouts({warningThreshold: 30, hardTimeout: null});
+    let sync = syncManager.sync();
+    await Factory.sleep(0.08);
+    expect(events).to.include("sync:taking-too-long");
+    expect(events).to.not.include("sync:timed-out");
+    release();
+    await sync;
+  });
+
+  it("abandons a stalled sync, flushes waiting callers and retries", async () => {
+    var hang = true;
+    transport.on("post", "/items/sync", (request, params) => {
+      if(hang) {
+        return new Promise(() => {});
+      }
+      return {status: 200, body: MockTransport.syncResponse(params)};
+    });
+    syncManager.setSyncTimeouts({warningThreshold: 20, hardTimeout: 50});
+    syncManager.setRetryPolicy(new SFSyncRetryPolicy({baseDelay: 30, jitter: 0}));
+
+    let item = Factory.createItem();
+    item.setDirty(true);
+    modelManager.addItem(item);
+
+    let first = syncManager.sync();
+    await Factory.sleep(0.01);
+    let queued = syncManager.sync();
+    hang = false;
+
+    let responses = await Promise.all([first, queued]);
+    expect(responses[0].timedOut).to.equal(true);
+    expect(responses[0].error.message).to.equal("Sync timed out.");
+    expect(responses[1].timedOut).to.equal(true);
+    expect(syncManager.syncStatus.syncOpInProgress).to.equal(false);
+    expect(transport.requests[0].signal.aborted).to.equal(true);
+    expect(events).to.include("sync:timed-out");
+    expect(events).to.include("sync:retry-scheduled");
+
+    await Factory.sleep(0.1);
+    expect(transport.requests.length).to.equal(2);
+    expect(item.dirty).to.not.be.ok;
+  });
+
+  it("retries a stalled sync once without a retry policy", async () => {
+    var hang = true;
+    transport.on("post", "/items/sync", (request, params) => {
+      if(hang) {
+        return new Promise(() => {});
+      }
+      return {status: 200, body: MockTransport.syncResponse(params)};
+    });
+    syncManager.setSyncTimeouts({warningThreshold: 20, hardTimeout: 50, stalledRetryDelay: 30});
+
+    let item = Factory.createItem();
+    item.setDirty(true);
+    modelManager.addItem(item);
+
+    let response = await syncManager.sync();
+    expect(response.timedOut).to.equal(true);
+    expect(events).to.include("sync:retry-scheduled");
+    hang = false;
+
+    await Factory.sleep(0.1);
+    expect(transport.requests.length).to.equal(2);
+    expect(item.dirty).to.not.be.ok;
+  });
+
+  it("gives up on a stalled sync after one retry without a retry policy", async () => {
+    transport.on("post", "/items/sync", () => {
+      return new Promise(() => {});
+    });
+    syncManager.setSyncTimeouts({warningThreshold: 20, hardTimeout: 50, stalledRetryDelay: 30});
+
+    let response = await syncManager.sync();
+    expect(response.timedOut).to.equal(true);
+
+    await Factory.sleep(0.25);
+    expect(transport.requests.length).to.equal(2);
+    expect(events.filter((event) => event == "sync:retry-scheduled").length).to.equal(1);
+    expect(events).to.include("sync:gave-up");
+  });
+
+  it("ignores responses that arrive after the hard timeout", async () => {
+    let lateItem = Factory.createItemParams();
+    lateItem.content = "000" + await SFJS.crypto.base64(JSON.stringify(lateItem.content));
+    let lateTransport = {
+      send: () => {
+        return new Promise((resolve) => {
+          setTimeout(() => {
+            resolve({status: 200, responseText: JSON.stringify({retrieved_items: [lateItem], saved_items: [], unsaved: [], sync_token: "late"}), headers: {}});
+          }, 100);
+        });
+      }
+    };
+    syncManager = createSyncManager(lateTransport);
+    syncManager.setRetryPolicy(null);
+    syncManager.setSyncTimeouts({hardTimeout: 30});
+
+    let response = await syncManager.sync();
+    expect(response.timedOut).to.equal(true);
+    await Factory.sleep(0.15);
+    expect(modelManager.findItem(lateItem.uuid)).to.not.be.ok;
+    expect(await syncManager.getSyncToken()).to.not.equal("late");
+  });
+});
+
+describe('selective sync', () => {
+  let transport = new MockTransport();
+  let storageManager = new MemoryStorageManager();
+  var modelManager, syncManager, retrievedItems;
+
+  let createSyncManager = () => {
+    modelManager = Factory.createModelManager();
+    let manager = new SFSyncManager(modelManager, storageManager, new SFHttpManager(null, transport));
+    manager.setKeyRequestHandler(async () => {
+      return {
+        offline: false
+      };
+    })
+    return manager;
+  }
+
+  let serverItem = async (contentType, createdAt = new Date()) => {
+    let params = Factory.createItemParams();
+    params.content_type = contentType;
+    params.content = "000" + await SFJS.crypto.base64(JSON.stringify(params.content));
+    params.created_at = createdAt;
+    params.updated_at = createdAt;
+    return params;
+  }
+
+  beforeEach(async () => {
+    transport.reset();
+    await storageManager.clearAllData();
+    await storageManager.setItem("server", Factory.serverURL());
+    syncManager = createSyncManager();
+    retrievedItems = [];
+    transport.on("post", "/items/sync", (request, params) => {
+      return {status: 200, body: MockTransport.syncResponse(params, {retrieved_items: retrievedItems})};
+    });
+  })
+
+  it("forwards the subscription with sync requests", async () => {
+    syncManager.setSyncSubscription({contentTypes: ["Tag"], predicates: [["created_at", ">", "30.days.ago"]]});
+    await syncManager.sync();
+    let params = JSON.parse(transport.requests[0].body);
+    expect(params.content_types).to.eql(["Tag"]);
+    expect(params.predicates).to.eql([["created_at", ">", "30.days.ago"]]);
+
+    syncManager.setSyncSubscription(null);
+    await syncManager.sync();
+    expect(JSON.parse(transport.requests[1].body).content_types).to.not.be.ok;
+  });
+
+  it("stores unsubscribed items without decrypting or mapping them", async () => {
+    syncManager.setSyncSubscription({contentTypes: ["Tag"]});
+    let tag = await serverItem("Tag");
+    let note = await serverItem("Note");
+    let encryptedNoteContent = note.content;
+    retrievedItems = [tag, note];
+
+    var completed;
+    syncManager.addEventHandler((event, data) => {
+      if(event == "sync:completed") { completed = data; }
+    });
+    await syncManager.sync();
+
+    expect(modelManager.findItem(tag.uuid)).to.be.ok;
+    expect(modelManager.findItem(note.uuid)).to.not.be.ok;
+    expect(completed.retrievedItems.map((item) => item.uuid)).to.eql([tag.uuid]);
+
+    let stored = (await storageManager.getAllModels()).find((model) => model.uuid == note.uuid);
+    expect(stored.content).to.equal(encryptedNoteContent);
+  });
+
+  it("does not load unsubscribed items from local storage", async () => {
+    syncManager.setSyncSubscription({contentTypes: ["Tag"]});
+    let tag = await serverItem("Tag");
+    let note = await serverItem("Note");
+    retrievedItems = [tag, note];
+    await syncManager.sync();
+
+    let restarted = createSyncManager();
+    restarted.setSyncSubscription({contentTypes: ["Tag"]});
+    await restarted.loadLocalItems();
+    expect(restarted.modelManager.findItem(tag.uuid)).to.be.ok;
+    expect(restarted.modelManager.findItem(note.uuid)).to.not.be.ok;
+
+    // Items received anyway become available once subscribed
+    let widened = createSyncManager();
+    widened.setSyncSubscription({contentTypes: ["Tag", "Note"]});
+    await widened.loadLocalItems();
+    expect(widened.modelManager.findItem(note.uuid).content.title).to.equal("hello");
+  });
+
+  it("decrypts stored unsubscribed items with the account keys", async () => {
+    let account = await SFJS.crypto.generateInitialKeysAndAuthParamsForUser("account@example.com", "password");
+    let local = await SFJS.crypto.generateInitialKeysAndAuthParamsForUser("local@example.com", "passcode");
+    let keyRequestHandler = async (request) => {
+      let result = request == SFSyncManager.KeyRequestLoadSaveAccount ? account : local;
+      return {keys: result.keys, auth_params: result.authParams, offline: false};
+    };
+    syncManager.setKeyRequestHandler(keyRequestHandler);
+    syncManager.setSyncSubscription({contentTypes: ["Tag"]});
+
+    let note = new SFItem(Factory.createItemParams());
+    retrievedItems = [await new SFItemParams(note, account.keys, account.authParams).paramsForSync()];
+    await syncManager.sync();
+
+    let widened = createSyncManager();
+    widened.setKeyRequestHandler(keyRequestHandler);
+    widened.setSyncSubscription({contentTypes: ["Tag", "Note"]});
+    await widened.loadLocalItems();
+    let loaded = widened.modelManager.findItem(note.uuid);
+    expect(loaded.errorDecrypting).to.not.be.ok;
+    expect(loaded.content.title).to.equal(note.content.title);
+  }).timeout(10000);
+
+  it("filters by predicates on unencrypted fields", async () => {
+    syncManager.setSyncSubscription({predicates: [["created_at", ">", "30.days.ago"]]});
+    let recent = await serverItem("Note");
+    let old = await serverItem("Note", new Date(Date.now() - 60 * 24 * 3600 * 1000));
+    retrievedItems = [recent, old];
+    await syncManager.sync();
+
+    expect(modelManager.findItem(recent.uuid)).to.be.ok;
+    expect(modelManager.findItem(old.uuid)).to.not.be.ok;
+  });
+
+  it("keeps items that were already mapped up to date", async () => {
+    let note = await serverItem("Note");
+    retrievedItems = [note];
+    await syncManager.sync();
+
+    syncManager.setSyncSubscription({contentTypes: ["Tag"]});
+    let update = Object.assign({}, note, {content: "000" + await SFJS.crypto.base64(JSON.stringify({title: "updated", references: []}))});
+    retrievedItems = [update];
+    await syncManager.sync();
+    expect(modelManager.findItem(note.uuid).content.title).to.equal("updated");
+  });
+});
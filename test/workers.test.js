@@ -0,0 +1,135 @@
+import '../dist/regenerator.js';
+import '../dist/sfjs.js';
+import '../node_modules/chai/chai.js';
+import './vendor/chai-as-promised-built.js';
+import '../vendor/lodash/lodash.custom.js';
+import MockWorker from './lib/mockWorker.js';
+
+chai.use(chaiAsPromised);
+var expect = chai.expect;
+
+describe('crypto worker pool', () => {
+  let authParams = {version: "003", identifier: "hello@test.com", pw_nonce: "a1b2c3d4e5f6", pw_cost: 3000};
+  let workerSFJS = new StandardFile();
+  var keys, otherKeys, workers, pool;
+
+  before(async () => {
+    keys = await SFJS.crypto.computeEncryptionKeysForUser("password", authParams);
+    otherKeys = await SFJS.crypto.computeEncryptionKeysForUser("other", authParams);
+  })
+
+  beforeEach(() => {
+    workers = [];
+    pool = new SFCryptoWorkerPool({createWorker: () => {
+      let worker = new MockWorker(workerSFJS);
+      workers.push(worker);
+      return worker;
+    }});
+    SFJS.setWorkerPool(pool);
+  })
+
+  afterEach(() => {
+    SFJS.setWorkerPool(null);
+    pool.terminate();
+  })
+
+  let workerMethods = () => {
+    return _.uniq([].concat(...workers.map((worker) => worker.methods)));
+  }
+
+  let encryptedNote = async (text, withKeys = keys) => {
+    let item = new SFItem({content_type: "Note", content: {title: "hello", text: text}});
+    return new SFItemParams(item, withKeys, authParams).paramsForSync();
+  }
+
+  it("encrypts and decrypts items on workers", async () => {
+    let params = await encryptedNote("world");
+    expect(workerMethods()).to.eql(["encryptItem"]);
+    expect(params.content.startsWith("003")).to.equal(true);
+
+    let copy = Object.assign({}, params);
+    await workerSFJS.itemTransformer.decryptItem(copy, keys);
+    expect(JSON.parse(copy.content).text).to.equal("world");
+
+    await SFJS.itemTransformer.decryptMultipleItems([params], keys);
+    expect(workerMethods()).to.eql(["encryptItem", "decryptMultipleItems"]);
+    expect(params.errorDecrypting).to.equal(false);
+    expect(params.auth_params).to.eql(authParams);
+    expect(JSON.parse(params.content).text).to.equal("world");
+  });
+
+  it("splits decryption across workers", async () => {
+    var items = [];
+    for(var i = 0; i < 4; i++) {
+      items.push(await encryptedNote(`note ${i}`));
+    }
+    let unencrypted = {uuid: "plain", content: {text: "plain"}};
+
+    await SFJS.itemTransformer.decryptMultipleItems(items.concat([unencrypted]), keys);
+    expect(workers.length).to.equal(2);
+    expect(workers.every((worker) => worker.methods.includes("decryptMultipleItems"))).to.equal(true);
+    expect(items.map((item) => JSON.parse(item.content).text)).to.eql(["note 0", "note 1", "note 2", "note 3"]);
+    expect(unencrypted.content).to.eql({text: "plain"});
+  });
+
+  it("uses keyrings on workers", async () => {
+    let params = await encryptedNote("world");
+    let keyring = await SFKeyring.create(otherKeys, [keys]);
+
+    await SFJS.itemTransformer.decryptMultipleItems([params], keyring);
+    expect(params.errorDecrypting).to.equal(false);
+
+    let rewrapped = await encryptedNote("rotated", keyring);
+    expect(SFJS.itemTransformer.keyIdForItem(rewrapped)).to.equal(keyring.currentId);
+  });
+
+  it("reports items that can't be decrypted", async () => {
+    let params = await encryptedNote("world");
+    let content = params.content;
+
+    await SFJS.itemTransformer.decryptMultipleItems([params], otherKeys);
+    expect(params.errorDecrypting).to.equal(true);
+    expect(params.errorDecryptingValueChanged).to.equal(true);
+    expect(params.content).to.equal(content);
+  });
+
+  it("derives keys on workers", async () => {
+    let derived = await SFJS.crypto.computeEncryptionKeysForUser("password", authParams);
+    expect(derived).to.eql(keys);
+
+    let params004 = {version: "004", identifier: "hello@test.com", pw_nonce: "a1b2c3d4e5f6", pw_cost: 2, pw_memory: 1024};
+    let derived004 = await SFJS.crypto.computeEncryptionKeysForUser("password", params004);
+    SFJS.setWorkerPool(null);
+    expect(derived004).to.eql(await SFJS.crypto.computeEncryptionKeysForUser("password", params004));
+    expect(workerMethods()).to.eql(["pbkdf2", "argon2"]);
+  });
+
+  it("falls back to the main thread when workers can't be started", async () => {
+    pool = new SFCryptoWorkerPool({createWorker: () => {
+      throw new Error("Workers are not supported");
+    }});
+    SFJS.setWorkerPool(pool);
+
+    let params = await encryptedNote("world");
+    await SFJS.itemTransformer.decryptMultipleItems([params], keys);
+    expect(JSON.parse(params.content).text).to.equal("world");
+    expect(await SFJS.crypto.computeEncryptionKeysForUser("password", authParams)).to.eql(keys);
+    expect(pool.isAvailable()).to.equal(false);
+  });
+
+  it("falls back to the main thread when a worker fails", async () => {
+    pool.size = 1;
+    let params = await encryptedNote("world");
+    let decryption = SFJS.itemTransformer.decryptMultipleItems([params], keys);
+    workers[0].crash();
+    await decryption;
+    expect(JSON.parse(params.content).text).to.equal("world");
+    expect(workers[0].methods).to.eql(["encryptItem", "decryptMultipleItems"]);
+
+    // The failed worker is replaced for the next task
+    pool.size = 2;
+    await encryptedNote("again");
+    expect(workers.length).to.equal(2);
+    expect(workers[1].methods).to.eql(["encryptItem"]);
+  });
+});